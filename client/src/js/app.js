@@ -15,44 +15,192 @@ document.addEventListener('DOMContentLoaded', () => {
     gameFormElement: document.getElementById('game-form-element'),
     cancelFormBtn: document.getElementById('cancel-form'),
     deleteGameBtn: document.getElementById('delete-game'),
+    refreshIgdbBtn: document.getElementById('refresh-igdb'),
+    listSwitcher: document.getElementById('list-switcher'),
+    listTitle: document.getElementById('list-title'),
+    priorityHeader: document.getElementById('priority-header'),
     exportButton: document.getElementById('export-button'),
+    exportFormat: document.getElementById('export-format'),
+    importButton: document.getElementById('import-button'),
+    loansButton: document.getElementById('loans-button'),
+    loansCount: document.getElementById('loans-count'),
+    loansPanel: document.getElementById('loans-panel'),
+    loansList: document.getElementById('loans-list'),
+    loansOverdue: document.getElementById('loans-overdue'),
+    importModal: document.getElementById('import-modal'),
+    importFile: document.getElementById('import-file'),
+    importSummary: document.getElementById('import-summary'),
+    importErrors: document.getElementById('import-errors'),
+    importPreview: document.getElementById('import-preview'),
+    importPreset: document.getElementById('import-preset'),
+    importPlatform: document.getElementById('import-platform'),
+    importMatch: document.getElementById('import-match'),
+    importConfirm: document.getElementById('import-confirm'),
+    importCancel: document.getElementById('import-cancel'),
+    formPlaythroughs: document.getElementById('form-playthroughs'),
+    playthroughList: document.getElementById('playthrough-list'),
+    playthroughTotal: document.getElementById('playthrough-total'),
+    playthroughFormTitle: document.getElementById('playthrough-form-title'),
+    playthroughStatus: document.getElementById('playthrough-status'),
+    playthroughInicio: document.getElementById('playthrough-inicio'),
+    playthroughFim: document.getElementById('playthrough-fim'),
+    playthroughTempo: document.getElementById('playthrough-tempo'),
+    playthroughDificuldade: document.getElementById('playthrough-dificuldade'),
+    playthroughNota: document.getElementById('playthrough-nota'),
+    playthroughNotas: document.getElementById('playthrough-notas'),
+    playthroughSave: document.getElementById('playthrough-save'),
+    playthroughCancel: document.getElementById('playthrough-cancel'),
+    formSessions: document.getElementById('form-sessions'),
+    sessionList: document.getElementById('session-list'),
+    sessionTotal: document.getElementById('session-total'),
+    sessionInicio: document.getElementById('session-inicio'),
+    sessionFim: document.getElementById('session-fim'),
+    sessionDuracao: document.getElementById('session-duracao'),
+    sessionAdd: document.getElementById('session-add'),
+    formLoans: document.getElementById('form-loans'),
+    loanStatus: document.getElementById('loan-status'),
+    loanHistory: document.getElementById('loan-history'),
+    loanForm: document.getElementById('loan-form'),
+    loanPessoa: document.getElementById('loan-pessoa'),
+    loanData: document.getElementById('loan-data'),
+    loanPrevisao: document.getElementById('loan-previsao'),
+    loanAdd: document.getElementById('loan-add'),
+    formHistory: document.getElementById('form-history'),
+    historyList: document.getElementById('history-list'),
+    historyTotals: document.getElementById('history-totals'),
     localSearchInput: document.getElementById('local-search'),
     filterStatus: document.getElementById('filter-status'),
     filterPlatform: document.getElementById('filter-platform'),
+    filterStore: document.getElementById('filter-store'),
+    filterTag: document.getElementById('filter-tag'),
+    collectionFilter: document.getElementById('collection-filter'),
+    filterCollection: document.getElementById('filter-collection'),
+    collectionDelete: document.getElementById('collection-delete'),
+    tagSuggestions: document.getElementById('tag-suggestions'),
+    storeSuggestions: document.getElementById('store-suggestions'),
+    costPerHour: document.getElementById('form-custo-hora'),
+    formCollections: document.getElementById('form-collections'),
+    collectionList: document.getElementById('collection-list'),
+    collectionName: document.getElementById('collection-name'),
+    collectionCreate: document.getElementById('collection-create'),
     confirmationModal: document.getElementById('confirmation-modal'),
     modalTitle: document.getElementById('modal-title'),
     modalMessage: document.getElementById('modal-message'),
     modalCancel: document.getElementById('modal-cancel'),
     modalConfirm: document.getElementById('modal-confirm'),
+    conflictModal: document.getElementById('conflict-modal'),
+    conflictFields: document.getElementById('conflict-fields'),
+    conflictMerge: document.getElementById('conflict-merge'),
+    conflictOverwrite: document.getElementById('conflict-overwrite'),
+    conflictCancel: document.getElementById('conflict-cancel'),
     loadingOverlay: document.getElementById('loading-overlay'),
     skeletonLoader: document.getElementById('skeleton-loader')
   }
 
   // ----------------- Estado da Aplicação -----------------
   const searchCache = new Map()
-  const API_BASE_URL = ''
+  const API_BASE_URL = '/api/v1'
+  // Cronômetros em andamento: { [gameId]: início em ISO }
+  const TIMERS_STORAGE_KEY = 'playTimers'
+  // Limite de uma sessão no servidor (SESSION_MAX_MINUTES)
+  const SESSION_MAX_MINUTES = 24 * 60
+  // Listas do seletor do cabeçalho (rota na API → título); `games` é o
+  // catálogo, o único com sessões, jogadas, histórico, coleções e importação
+  const CATALOG_LIST = 'games'
+  const GAME_LISTS = {
+    games: 'Meus Jogos',
+    wishlist: 'Lista de desejos',
+    backlog: 'Backlog'
+  }
   const RETRY_CONFIG = {
     maxRetries: 3,
     baseDelay: 1000,
     maxDelay: 5000
   }
+  const GAME_FIELD_LABELS = {
+    plataforma: 'Plataforma',
+    nome: 'Nome',
+    dataLancamento: 'Lançamento',
+    genero: 'Gênero',
+    status: 'Status',
+    tempo: 'Tempo',
+    inicio: 'Início',
+    fim: 'Fim',
+    nota: 'Nota',
+    capa: 'Capa',
+    resumo: 'Resumo',
+    desenvolvedora: 'Desenvolvedora',
+    publicadora: 'Publicadora',
+    franquia: 'Franquia',
+    modos: 'Modos de Jogo',
+    notaCritica: 'Nota da Crítica',
+    igdbId: 'IGDB ID',
+    tags: 'Tags',
+    prioridade: 'Prioridade',
+    estimativa: 'Duração Estimada',
+    formato: 'Formato',
+    loja: 'Loja',
+    edicao: 'Edição',
+    dataCompra: 'Data da Compra',
+    preco: 'Preço',
+    assinatura: 'Assinatura',
+    tipo: 'Tipo',
+    jogoPai: 'Jogo Base'
+  }
+
+  // Campos preenchidos a partir da IGDB (ver `metadata` nos resultados)
+  const METADATA_FIELDS = [
+    'igdbId',
+    'capa',
+    'resumo',
+    'desenvolvedora',
+    'publicadora',
+    'franquia',
+    'modos',
+    'notaCritica',
+    'tipo'
+  ]
 
   class AppState {
     constructor() {
       this.state = {
+        // Página atual de jogos (filtrada, ordenada e paginada no servidor)
         games: [],
-        filteredGames: [],
+        totalGames: 0,
+        totalPages: 1,
+        platforms: [],
+        // Lojas em que os jogos foram comprados (facets de GET /games)
+        stores: [],
+        // Jogos que podem ser jogo base de uma DLC (facets de GET /games)
+        parents: [],
+        // Tags do catálogo (facets de GET /games) e coleções (GET /collections)
+        tags: [],
+        collections: [],
+        // Empréstimos em aberto (GET /loans), com `atrasado`
+        loans: [],
         currentPage: 1,
         rowsPerPage: 10,
         sortColumn: 'inicio',
         sortAsc: false,
         isLoading: false,
+        // Lista exibida (chave de GAME_LISTS)
+        currentList: CATALOG_LIST,
         currentFilters: {
           search: '',
           status: '',
-          platform: ''
+          platform: '',
+          store: '',
+          tag: '',
+          collection: ''
         },
-        editingGameId: null
+        editingGameId: null,
+        // Cópia do jogo ao abrir o formulário (base para detectar conflitos)
+        editingGame: null,
+        // Transições de status e datas automáticas (GET /games/status-rules)
+        statusRules: null,
+        // Jogadas do jogo em edição e a jogada aberta no mini-formulário
+        playthroughs: [],
+        editingPlaythroughId: null
       }
 
       this.listeners = new Set()
@@ -80,6 +228,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
   const appState = new AppState()
 
+  const isCatalog = () => appState.getState().currentList === CATALOG_LIST
+
+  // Arrastar para reordenar exige a lista inteira na ordem de prioridade
+  const canReorder = state =>
+    state.currentList !== CATALOG_LIST &&
+    state.sortColumn === 'prioridade' &&
+    state.sortAsc &&
+    !Object.values(state.currentFilters).some(Boolean)
+
   // ----------------- Utilitários -----------------
   const utils = {
     debounce: (func, wait, immediate = false) => {
@@ -116,6 +273,61 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     },
 
+    // Data e hora de uma sessão de jogo (AAAA-MM-DDTHH:mm)
+    formatDateTime: dateString => {
+      if (!dateString) return '-'
+      const date = new Date(dateString)
+      if (isNaN(date)) return dateString
+      return date.toLocaleString('pt-BR', {
+        dateStyle: 'short',
+        timeStyle: 'short'
+      })
+    },
+
+    // Divide o período do cronômetro em sessões seguidas de até
+    // SESSION_MAX_MINUTES (o limite do servidor), sem perder minutos
+    splitSessions: (startedAt, endedAt) => {
+      const sessions = []
+      let remaining = Math.round((endedAt - startedAt) / 60000)
+      let inicio = startedAt
+      while (remaining > 0) {
+        const duracao = Math.min(remaining, SESSION_MAX_MINUTES)
+        remaining -= duracao
+        const fim = remaining
+          ? new Date(inicio.getTime() + duracao * 60000)
+          : endedAt
+        sessions.push({ inicio, fim, duracao })
+        inicio = fim
+      }
+      return sessions
+    },
+
+    // Data e hora locais no formato dos campos datetime-local
+    toLocalDateTime: date => {
+      const pad = n => String(n).padStart(2, '0')
+      return (
+        `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+          date.getDate()
+        )}` + `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+      )
+    },
+
+    // Valor em reais (ex.: "R$ 4,99")
+    formatCurrency: value =>
+      Number(value).toLocaleString('pt-BR', {
+        style: 'currency',
+        currency: 'BRL'
+      }),
+
+    // Tempo decorrido do cronômetro (H:MM:SS)
+    formatElapsed: ms => {
+      const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+      const pad = n => String(n).padStart(2, '0')
+      const hours = Math.floor(totalSeconds / 3600)
+      const minutes = Math.floor((totalSeconds % 3600) / 60)
+      return `${hours}:${pad(minutes)}:${pad(totalSeconds % 60)}`
+    },
+
     formatPlaytime: timeString => {
       if (!timeString) return '-'
       const totalMinutes = utils.parsePlaytimeToMinutes(timeString)
@@ -140,6 +352,14 @@ document.addEventListener('DOMContentLoaded', () => {
       return totalMinutes
     },
 
+    escapeHtml: value =>
+      String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;'),
+
     sanitizeInput: input => {
       if (typeof input !== 'string') return input
       return input
@@ -156,6 +376,10 @@ document.addEventListener('DOMContentLoaded', () => {
       if (!data.nome?.trim()) errors.push('O nome é obrigatório.')
       if (data.nota && (data.nota < 0 || data.nota > 10))
         errors.push('A nota deve estar entre 0 e 10.')
+      if (data.notaCritica && (data.notaCritica < 0 || data.notaCritica > 100))
+        errors.push('A nota da crítica deve estar entre 0 e 100.')
+      if (data.preco && data.preco < 0)
+        errors.push('O preço não pode ser negativo.')
       if (
         data.dataLancamento &&
         isNaN(new Date(data.dataLancamento).getTime())
@@ -167,6 +391,40 @@ document.addEventListener('DOMContentLoaded', () => {
           'O tempo de jogo deve estar em um formato como "10h", "90m" ou "1h 30m".'
         )
       }
+      if (data.estimativa && !validators.playtime(data.estimativa)) {
+        errors.push(
+          'A duração estimada deve estar em um formato como "20h", "90m" ou "1h 30m".'
+        )
+      }
+      if (data.inicio && data.fim && data.fim < data.inicio) {
+        errors.push('A data de fim não pode ser anterior à de início.')
+      }
+
+      // Mesmas regras de status aplicadas pelo servidor (só no catálogo)
+      const { statusRules, editingGame } = appState.getState()
+      if (statusRules && isCatalog()) {
+        const forbidden = statusRules.forbiddenDates[data.status] || []
+        forbidden
+          .filter(field => data[field])
+          .forEach(field => {
+            errors.push(
+              `Um jogo "${data.status}" não pode ter data de ${GAME_FIELD_LABELS[
+                field
+              ].toLowerCase()}.`
+            )
+          })
+
+        const from = editingGame?.status
+        if (
+          from &&
+          from !== data.status &&
+          !(statusRules.transitions[from] || []).includes(data.status)
+        ) {
+          errors.push(
+            `Não é possível mudar o status de "${from}" para "${data.status}".`
+          )
+        }
+      }
 
       return errors
     },
@@ -308,15 +566,211 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // ----------------- Conflito de Edição -----------------
+  const conflictManager = {
+    currentResolve: null,
+
+    // Resolve com 'merge', 'overwrite' ou 'cancel'
+    show: changedFields => {
+      return new Promise(resolve => {
+        conflictManager.currentResolve = resolve
+
+        elements.conflictFields.innerHTML = ''
+        changedFields.forEach(({ label, serverValue }) => {
+          const li = document.createElement('li')
+          li.textContent = `${label}: ${serverValue || '(vazio)'}`
+          elements.conflictFields.appendChild(li)
+        })
+        elements.conflictModal.classList.remove('hidden')
+
+        elements.conflictMerge.focus()
+      })
+    },
+
+    choose: choice => {
+      if (conflictManager.currentResolve) {
+        conflictManager.currentResolve(choice)
+        elements.conflictModal.classList.add('hidden')
+        conflictManager.currentResolve = null
+      }
+    }
+  }
+
+  // ----------------- Importação -----------------
+  const importManager = {
+    // Arquivo validado no preview: { content, contentType, options }
+    pending: null,
+    presetsLoaded: false,
+
+    show: () => {
+      importManager.reset()
+      elements.importFile.value = ''
+      elements.importModal.classList.remove('hidden')
+      elements.importFile.focus()
+      importManager.loadPresets()
+    },
+
+    // Layouts de outros rastreadores (carregados uma vez)
+    loadPresets: async () => {
+      if (importManager.presetsLoaded) return
+      try {
+        const presets = await apiClient.request('/games/import/presets')
+        presets.forEach(({ id, label }) => {
+          const option = document.createElement('option')
+          option.value = id
+          option.textContent = label
+          elements.importPreset.appendChild(option)
+        })
+        importManager.presetsLoaded = true
+      } catch (error) {
+        console.error('Erro ao carregar formatos de importação:', error)
+      }
+    },
+
+    // Opções escolhidas no diálogo (parâmetros de POST /games/import)
+    getOptions: () => {
+      const options = {}
+      const platform = elements.importPlatform.value.trim()
+      if (elements.importPreset.value) {
+        options.preset = elements.importPreset.value
+      }
+      if (platform) options.defaultPlatform = platform
+      if (elements.importMatch.checked) options.matchMetadata = true
+      return options
+    },
+
+    hide: () => {
+      elements.importModal.classList.add('hidden')
+      importManager.reset()
+    },
+
+    reset: () => {
+      importManager.pending = null
+      elements.importSummary.textContent = ''
+      elements.importErrors.innerHTML = ''
+      elements.importPreview.innerHTML = ''
+      elements.importConfirm.disabled = true
+    },
+
+    // Exibe o resultado do dry run (resumo, problemas por linha e os jogos)
+    renderPreview: result => {
+      const parts = [`${result.valid} de ${result.total} jogos prontos`]
+      if (result.skipped.length > 0) {
+        parts.push(`${result.skipped.length} já existentes`)
+      }
+      if (result.errors.length > 0) {
+        parts.push(`${result.errors.length} com erros`)
+      }
+      elements.importSummary.textContent = `${parts.join(', ')}.`
+
+      elements.importErrors.innerHTML = ''
+      const problems = [
+        ...result.errors.map(({ row, errors }) => ({
+          row,
+          message: errors.join('; ')
+        })),
+        ...result.skipped,
+        ...result.warnings.map(({ row, message }) => ({
+          row,
+          message: `Aviso: ${message}`
+        })),
+        ...result.matches
+          .filter(match => !match.exact)
+          .map(({ row, igdbName }) => ({
+            row,
+            message: `Associado a "${igdbName}" na IGDB (confira)`
+          }))
+      ].sort((a, b) => a.row - b.row)
+
+      problems.forEach(({ row, message }) => {
+        const li = document.createElement('li')
+        li.textContent = `Linha ${row}: ${message}`
+        elements.importErrors.appendChild(li)
+      })
+
+      elements.importPreview.innerHTML = ''
+      result.games.forEach(game => {
+        const li = document.createElement('li')
+        li.textContent = [
+          game.nome,
+          game.plataforma,
+          game.status,
+          game.igdbId ? 'IGDB ✓' : ''
+        ]
+          .filter(Boolean)
+          .join(' · ')
+        elements.importPreview.appendChild(li)
+      })
+
+      elements.importConfirm.disabled = result.valid === 0
+    }
+  }
+
+  // ----------------- Cronômetros -----------------
+  // Cronômetros de jogo por linha da tabela, mantidos no localStorage para
+  // continuar contando após recarregar a página
+  const timerManager = {
+    intervalId: null,
+
+    getAll: () => {
+      try {
+        return JSON.parse(localStorage.getItem(TIMERS_STORAGE_KEY)) || {}
+      } catch {
+        return {}
+      }
+    },
+
+    save: timers => {
+      localStorage.setItem(TIMERS_STORAGE_KEY, JSON.stringify(timers))
+    },
+
+    isRunning: gameId => Boolean(timerManager.getAll()[gameId]),
+
+    start: (gameId, startedAt = new Date()) => {
+      const timers = timerManager.getAll()
+      timers[gameId] = startedAt.toISOString()
+      timerManager.save(timers)
+    },
+
+    // Para o cronômetro e retorna a data de início (ou null)
+    stop: gameId => {
+      const timers = timerManager.getAll()
+      const startedAt = timers[gameId]
+      delete timers[gameId]
+      timerManager.save(timers)
+      return startedAt ? new Date(startedAt) : null
+    },
+
+    // Atualiza os contadores visíveis na tabela
+    tick: () => {
+      const timers = timerManager.getAll()
+      document.querySelectorAll('.timer-elapsed').forEach(element => {
+        const startedAt = timers[element.dataset.gameId]
+        if (startedAt) {
+          element.textContent = utils.formatElapsed(
+            Date.now() - new Date(startedAt).getTime()
+          )
+        }
+      })
+    },
+
+    startTicking: () => {
+      if (!timerManager.intervalId) {
+        timerManager.intervalId = setInterval(timerManager.tick, 1000)
+      }
+    }
+  }
+
   // ----------------- API Client -----------------
   const apiClient = {
     request: async (url, options = {}) => {
       const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), 15000)
+      const { timeout = 15000, ...fetchOptions } = options
+      const timeoutId = setTimeout(() => controller.abort(), timeout)
 
       try {
         const response = await fetch(`${API_BASE_URL}${url}`, {
-          ...options,
+          ...fetchOptions,
           signal: controller.signal,
           headers: {
             'Content-Type': 'application/json',
@@ -328,14 +782,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (!response.ok) {
           let errorMessage = `Erro ${response.status}`
+          let errorData = null
           try {
-            const errorData = await response.json()
+            errorData = await response.json()
             errorMessage = errorData.message || errorData.error || errorMessage
           } catch {
             const errorText = await response.text()
             errorMessage = errorText || errorMessage
           }
-          throw new Error(errorMessage)
+          const error = new Error(errorMessage)
+          error.status = response.status
+          error.data = errorData
+          throw error
         }
 
         // Se a resposta for vazia (status 204 ou sem conteúdo)
@@ -362,6 +820,8 @@ document.addEventListener('DOMContentLoaded', () => {
         } catch (error) {
           lastError = error
 
+          // Erros do cliente (4xx) não mudam com nova tentativa
+          if (error.status >= 400 && error.status < 500) break
           if (attempt === retryConfig.maxRetries) break
 
           const delay = Math.min(
@@ -410,31 +870,85 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // ----------------- Lógica da Planilha (API) -----------------
   const spreadsheetService = {
+    lastRequestId: 0,
+
+    // Rota da lista exibida (/games, /wishlist ou /backlog)
+    listPath: () => `/${appState.getState().currentList}`,
+
+    // Parâmetros de GET /games a partir dos filtros, ordenação e página atuais
+    buildQuery: () => {
+      const { currentFilters, sortColumn, sortAsc, currentPage, rowsPerPage } =
+        appState.getState()
+      const params = new URLSearchParams({
+        sort: sortColumn,
+        order: sortAsc ? 'asc' : 'desc',
+        page: currentPage,
+        pageSize: rowsPerPage
+      })
+      // DLCs abaixo do jogo base, exceto ao arrastar para reordenar, que
+      // precisa da lista na ordem de prioridade
+      if (!canReorder(appState.getState())) params.set('group', 'true')
+
+      if (currentFilters.search) params.set('q', currentFilters.search)
+      if (currentFilters.status) params.set('status', currentFilters.status)
+      if (currentFilters.platform) {
+        params.set('platform', currentFilters.platform)
+      }
+      if (currentFilters.store) params.set('store', currentFilters.store)
+      if (currentFilters.tag) params.set('tag', currentFilters.tag)
+      if (currentFilters.collection && isCatalog()) {
+        params.set('collection', currentFilters.collection)
+      }
+
+      return params
+    },
+
     fetchGames: async () => {
+      const requestId = ++spreadsheetService.lastRequestId
+
       return apiClient.withRetry(async () => {
         uiFeedback.showSkeletonTable(true)
         appState.setState({ isLoading: true })
 
-        const games = await apiClient.request('/games')
+        const result = await apiClient.request(
+          `${spreadsheetService.listPath()}?${spreadsheetService.buildQuery()}`
+        )
+
+        // Ignorar respostas de consultas que já foram substituídas
+        if (requestId !== spreadsheetService.lastRequestId) return result
 
         appState.setState({
-          games,
+          games: result.items,
+          totalGames: result.total,
+          totalPages: result.totalPages,
+          platforms: result.facets.platforms,
+          stores: result.facets.stores,
+          parents: result.facets.parents,
+          tags: result.facets.tags,
           isLoading: false
         })
 
         uiFeedback.showSkeletonTable(false)
-        return games
+
+        // A página atual deixou de existir (ex.: após excluir o último jogo)
+        if (result.page > result.totalPages) {
+          appState.setState({ currentPage: result.totalPages })
+        }
+
+        return result
       })
     },
 
-    saveGame: async (gameData, isEditing = false) => {
+    saveGame: async (gameData, isEditing = false, version = null) => {
       return apiClient.withRetry(async () => {
-        const url = isEditing ? `/games/${gameData.id}` : '/games'
+        const listPath = spreadsheetService.listPath()
+        const url = isEditing ? `${listPath}/${gameData.id}` : listPath
         const method = isEditing ? 'PUT' : 'POST'
 
         const response = await apiClient.request(url, {
           method,
-          body: JSON.stringify(gameData)
+          body: JSON.stringify(gameData),
+          headers: version ? { 'If-Match': `"${version}"` } : {}
         })
 
         uiFeedback.showMessage(
@@ -446,21 +960,157 @@ document.addEventListener('DOMContentLoaded', () => {
       })
     },
 
-    deleteGame: async gameId => {
+    deleteGame: async (gameId, version = null) => {
       return apiClient.withRetry(async () => {
-        await apiClient.request(`/games/${gameId}`, {
-          method: 'DELETE'
+        await apiClient.request(`${spreadsheetService.listPath()}/${gameId}`, {
+          method: 'DELETE',
+          headers: version ? { 'If-Match': `"${version}"` } : {}
         })
 
         uiFeedback.showMessage('Jogo excluído com sucesso!', 'success')
       })
     },
 
-    exportGames: async () => {
+    // Muda a prioridade do jogo na lista (`{ position }` ou `{ direction }`)
+    reorderGame: async (gameId, move) => {
+      return apiClient.request(
+        `${spreadsheetService.listPath()}/${gameId}/reorder`,
+        { method: 'POST', body: JSON.stringify(move) }
+      )
+    },
+
+    // Move o jogo da lista de desejos ou do backlog para o catálogo
+    moveToCatalog: async (gameId, version = null) => {
+      return apiClient.request(
+        `${spreadsheetService.listPath()}/${gameId}/move`,
+        {
+          method: 'POST',
+          body: JSON.stringify({}),
+          headers: version ? { 'If-Match': `"${version}"` } : {}
+        }
+      )
+    },
+
+    // Envia o arquivo sem conversão; o servidor aceita CSV e JSON
+    importGames: async (content, contentType, options = {}) => {
+      const params = new URLSearchParams(options)
+      return apiClient.request(`/games/import?${params}`, {
+        method: 'POST',
+        body: content,
+        headers: { 'Content-Type': contentType },
+        // A busca na IGDB respeita o limite de 4 requisições/s
+        timeout: options.matchMetadata ? 120000 : 15000
+      })
+    },
+
+    fetchSessions: async gameId => {
+      return apiClient.request(`/games/${gameId}/sessions`)
+    },
+
+    // Registrar ou remover sessões atualiza o tempo do jogo no servidor
+    addSession: async (gameId, session) => {
+      return apiClient.request(`/games/${gameId}/sessions`, {
+        method: 'POST',
+        body: JSON.stringify(session)
+      })
+    },
+
+    fetchPlaythroughs: async gameId => {
+      return apiClient.request(`/games/${gameId}/playthroughs`)
+    },
+
+    // Sem ID, começa uma nova jogada; com ID, altera a jogada
+    savePlaythrough: async (gameId, playthrough, playthroughId = null) => {
+      const url = playthroughId
+        ? `/games/${gameId}/playthroughs/${playthroughId}`
+        : `/games/${gameId}/playthroughs`
+      return apiClient.request(url, {
+        method: playthroughId ? 'PUT' : 'POST',
+        body: JSON.stringify(playthrough)
+      })
+    },
+
+    deletePlaythrough: async (gameId, playthroughId) => {
+      return apiClient.request(
+        `/games/${gameId}/playthroughs/${playthroughId}`,
+        { method: 'DELETE' }
+      )
+    },
+
+    fetchHistory: async gameId => {
+      return apiClient.request(`/games/${gameId}/history`)
+    },
+
+    fetchStatusRules: async () => {
+      return apiClient.request('/games/status-rules')
+    },
+
+    fetchCollections: async () => {
+      return apiClient.request('/collections')
+    },
+
+    fetchLoans: async () => {
+      return apiClient.request('/loans')
+    },
+
+    fetchGameLoans: async gameId => {
+      return apiClient.request(`/games/${gameId}/loans`)
+    },
+
+    lendGame: async (gameId, loan) => {
+      return apiClient.request(`/games/${gameId}/loans`, {
+        method: 'POST',
+        body: JSON.stringify(loan)
+      })
+    },
+
+    returnLoan: async loanId => {
+      return apiClient.request(`/loans/${loanId}/return`, {
+        method: 'POST',
+        body: JSON.stringify({})
+      })
+    },
+
+    createCollection: async collection => {
+      return apiClient.request('/collections', {
+        method: 'POST',
+        body: JSON.stringify(collection)
+      })
+    },
+
+    deleteCollection: async collectionId => {
+      return apiClient.request(`/collections/${collectionId}`, {
+        method: 'DELETE'
+      })
+    },
+
+    // Coloca ou retira um jogo da coleção
+    setCollectionGame: async (collectionId, gameId, included) => {
+      return apiClient.request(`/collections/${collectionId}/games/${gameId}`, {
+        method: included ? 'PUT' : 'DELETE'
+      })
+    },
+
+    deleteSession: async (gameId, sessionId) => {
+      return apiClient.request(`/games/${gameId}/sessions/${sessionId}`, {
+        method: 'DELETE'
+      })
+    },
+
+    // Exporta no formato escolhido, com os filtros e a ordenação atuais
+    exportGames: async (format = 'csv') => {
       try {
         uiFeedback.showLoading(true, 'Exportando dados...')
 
-        const response = await fetch(`${API_BASE_URL}/games/export`)
+        const params = spreadsheetService.buildQuery()
+        params.delete('page')
+        params.delete('pageSize')
+        params.set('format', format)
+
+        const listPath = spreadsheetService.listPath()
+        const response = await fetch(
+          `${API_BASE_URL}${listPath}/export?${params}`
+        )
 
         if (!response.ok) {
           throw new Error('Falha ao exportar dados')
@@ -470,8 +1120,11 @@ document.addEventListener('DOMContentLoaded', () => {
         const url = window.URL.createObjectURL(blob)
         const a = document.createElement('a')
 
+        const date = new Date().toISOString().split('T')[0]
+
         a.href = url
-        a.download = `meus-jogos-${new Date().toISOString().split('T')[0]}.csv`
+        const suffix = isCatalog() ? '' : `-${appState.getState().currentList}`
+        a.download = `meus-jogos${suffix}-${date}.${format}`
         document.body.appendChild(a)
         a.click()
 
@@ -508,20 +1161,46 @@ document.addEventListener('DOMContentLoaded', () => {
           ? new Date(game.first_release_date * 1000).getFullYear()
           : '?'
 
+        const metadata = game.metadata || {}
+        const details = [
+          metadata.nomePai
+            ? `${metadata.tipo || 'DLC'} de ${metadata.nomePai}`
+            : '',
+          metadata.desenvolvedora,
+          metadata.notaCritica !== '' && metadata.notaCritica !== undefined
+            ? `Crítica ${metadata.notaCritica}/100`
+            : ''
+        ].filter(Boolean)
+
         const li = document.createElement('li')
         li.className = 'search-result-item'
         li.setAttribute('role', 'option')
         li.setAttribute('tabindex', '0')
         li.innerHTML = `
-          <div class="flex justify-between items-center">
-            <div>
-              <div class="font-semibold">${utils.sanitizeInput(game.name)}</div>
+          <div class="flex justify-between items-center gap-3">
+            ${
+              metadata.capa
+                ? `<img src="${utils.escapeHtml(metadata.capa.replace('/t_cover_big/', '/t_thumb/'))}" alt="" class="search-result-cover" loading="lazy" />`
+                : '<div class="search-result-cover"></div>'
+            }
+            <div class="flex-1 min-w-0">
+              <div class="font-semibold">${utils.escapeHtml(game.name)}</div>
               <div class="text-sm search-result-subtitle">
-                ${releaseYear} • ${
-          game.platforms?.map(p => p.name).join(', ') ||
-          'Plataforma desconhecida'
-        }
+                ${releaseYear} • ${utils.escapeHtml(
+                  game.platforms?.map(p => p.name).join(', ') ||
+                    'Plataforma desconhecida'
+                )}
               </div>
+              ${
+                details.length > 0
+                  ? `<div class="text-sm search-result-subtitle">${utils.escapeHtml(details.join(' • '))}</div>`
+                  : ''
+              }
+              ${
+                metadata.resumo
+                  ? `<div class="text-sm search-result-summary">${utils.escapeHtml(metadata.resumo)}</div>`
+                  : ''
+              }
             </div>
             <span class="text-2xl">→</span>
           </div>
@@ -542,31 +1221,13 @@ document.addEventListener('DOMContentLoaded', () => {
     },
 
     table: state => {
-      const { filteredGames, currentPage, rowsPerPage, sortColumn, sortAsc } =
-        state
-
-      let sortedData = [...filteredGames].sort((a, b) => {
-        let valA = a[sortColumn] || ''
-        let valB = b[sortColumn] || ''
-
-        if (['dataLancamento', 'inicio', 'fim'].includes(sortColumn)) {
-          valA = valA ? new Date(valA).getTime() : 0
-          valB = valB ? new Date(valB).getTime() : 0
-        }
-
-        if (sortColumn === 'tempo') {
-          valA = utils.parsePlaytimeToMinutes(valA)
-          valB = utils.parsePlaytimeToMinutes(valB)
-        }
-
-        if (valA < valB) return sortAsc ? -1 : 1
-        if (valA > valB) return sortAsc ? 1 : -1
-        return 0
-      })
-
-      const startIndex = (currentPage - 1) * rowsPerPage
-      const pageData = sortedData.slice(startIndex, startIndex + rowsPerPage)
-      const totalPages = Math.max(1, Math.ceil(sortedData.length / rowsPerPage))
+      const {
+        games: pageData,
+        currentPage,
+        totalPages,
+        sortColumn,
+        sortAsc
+      } = state
 
       // Render table
       elements.tableBody.innerHTML = ''
@@ -578,7 +1239,10 @@ document.addEventListener('DOMContentLoaded', () => {
               ${
                 state.currentFilters.search ||
                 state.currentFilters.status ||
-                state.currentFilters.platform
+                state.currentFilters.platform ||
+                state.currentFilters.store ||
+                state.currentFilters.tag ||
+                state.currentFilters.collection
                   ? 'Nenhum jogo encontrado com os filtros aplicados.'
                   : 'Nenhum jogo cadastrado. Adicione seu primeiro jogo!'
               }
@@ -587,39 +1251,110 @@ document.addEventListener('DOMContentLoaded', () => {
         `
       } else {
         const fragment = document.createDocumentFragment()
+        const draggable = canReorder(state)
+        // Empréstimos são só do catálogo
+        const loansByGame = new Map(
+          state.currentList === CATALOG_LIST
+            ? state.loans.map(loan => [loan.gameId, loan])
+            : []
+        )
+        // DLCs vêm logo abaixo do jogo base (GET /games?group=true)
+        const pageIds = new Set(pageData.map(game => game.id))
 
-        pageData.forEach(game => {
+        pageData.forEach((game, index) => {
           const tr = document.createElement('tr')
           tr.className =
             'border-b border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 fade-in transition-colors'
+          const isChild = pageIds.has(game.jogoPai)
+          if (isChild) tr.classList.add('game-child')
+          if (draggable) {
+            tr.draggable = true
+            tr.dataset.gameId = game.id
+            tr.dataset.position =
+              (currentPage - 1) * state.rowsPerPage + index + 1
+          }
 
           const columns = [
             { key: 'plataforma', value: game.plataforma || '-' },
-            { key: 'nome', value: utils.sanitizeInput(game.nome) || '-' },
+            {
+              key: 'nome',
+              value: `${isChild ? '↳ ' : ''}${
+                utils.sanitizeInput(game.nome) || '-'
+              }`
+            },
             {
               key: 'dataLancamento',
               value: utils.formatDate(game.dataLancamento)
             },
             { key: 'genero', value: utils.sanitizeInput(game.genero) || '-' },
             { key: 'status', value: game.status || '-' },
-            { key: 'tempo', value: utils.formatPlaytime(game.tempo) },
+            {
+              key: 'tempo',
+              value: game.dlcs
+                ? `${utils.formatPlaytime(game.tempo)} (${utils.formatPlaytime(
+                    game.tempoTotal
+                  )} com DLCs)`
+                : utils.formatPlaytime(game.tempo)
+            },
             { key: 'inicio', value: utils.formatDate(game.inicio) },
             { key: 'fim', value: utils.formatDate(game.fim) },
             { key: 'nota', value: game.nota || '-' }
           ]
+          if (state.currentList !== CATALOG_LIST) {
+            columns.unshift({
+              key: 'prioridade',
+              value: game.prioridade || '-'
+            })
+          }
 
           columns.forEach(({ key, value }) => {
             const td = document.createElement('td')
             td.className = 'p-3 text-sm'
             td.textContent = value
+            if (key === 'nome') {
+              td.classList.add('game-name')
+              renderers.typeBadge(td, game.tipo)
+              renderers.tagChips(td, game.tags)
+              renderers.loanBadge(td, loansByGame.get(game.id))
+            }
             tr.appendChild(td)
           })
 
           // Actions column
           const actionsTd = document.createElement('td')
           actionsTd.className = 'p-3'
+          const running = timerManager.isRunning(game.id)
+          // Jogadas e cronômetro são do catálogo; nas listas, mover para ele
+          const catalogActions = `
+              <button class="p-1 hover:text-blue-600 dark:hover:text-blue-400 transition-colors playthroughs-btn"
+                      title="Ver jogadas" data-game-id="${game.id}">
+                🔁
+              </button>
+              <button class="p-1 hover:text-green-600 dark:hover:text-green-400 transition-colors timer-btn"
+                      title="${
+                        running ? 'Parar cronômetro' : 'Iniciar cronômetro'
+                      }" data-game-id="${game.id}">
+                ${running ? '⏹️' : '▶️'}
+              </button>
+              ${
+                running
+                  ? `<span class="timer-elapsed text-xs font-mono" data-game-id="${game.id}"></span>`
+                  : ''
+              }`
+          const listActions = `
+              <button class="p-1 hover:text-green-600 dark:hover:text-green-400 transition-colors move-btn"
+                      title="Mover para o catálogo" data-game-id="${
+                        game.id
+                      }" data-game-name="${utils.sanitizeInput(game.nome)}">
+                ➡️
+              </button>`
           actionsTd.innerHTML = `
-            <div class="flex gap-2">
+            <div class="flex gap-2 items-center">
+              ${
+                state.currentList === CATALOG_LIST
+                  ? catalogActions
+                  : listActions
+              }
               <button class="p-1 hover:text-blue-600 dark:hover:text-blue-400 transition-colors edit-btn"
                       title="Editar jogo" data-game-id="${game.id}">
                 ✏️
@@ -638,6 +1373,7 @@ document.addEventListener('DOMContentLoaded', () => {
         })
 
         elements.tableBody.appendChild(fragment)
+        timerManager.tick()
       }
 
       // Update pagination
@@ -670,15 +1406,19 @@ document.addEventListener('DOMContentLoaded', () => {
       elements.searchResults.innerHTML = ''
       elements.searchInput.value = ''
 
+      const { currentList } = appState.getState()
+      const catalog = currentList === CATALOG_LIST
       elements.gameForm.querySelector('#form-title').textContent = isEditing
         ? 'Editar Jogo'
-        : 'Adicionar Jogo'
+        : catalog
+          ? 'Adicionar Jogo'
+          : `Adicionar Jogo (${GAME_LISTS[currentList]})`
 
       elements.deleteGameBtn.classList.toggle('hidden', !isEditing)
 
       // Fill form data
       const formData = {
-        id: game?.id || '',
+        id: isEditing ? game.id : '',
         nome: game?.name || game?.nome || '',
         dataLancamento: game?.first_release_date
           ? utils.unixTimestampToISO(game.first_release_date)
@@ -688,60 +1428,588 @@ document.addEventListener('DOMContentLoaded', () => {
         tempo: game?.tempo || '',
         inicio: game?.inicio || '',
         fim: game?.fim || '',
-        nota: game?.nota || ''
+        nota: game?.nota || '',
+        tags: (isEditing && game.tags) || '',
+        estimativa: game?.estimativa || '',
+        formato: game?.formato || '',
+        loja: game?.loja || '',
+        edicao: game?.edicao || '',
+        dataCompra: game?.dataCompra || '',
+        preco: game?.preco ?? '',
+        assinatura: game?.assinatura || ''
       }
 
+      // Metadados: vindos da busca na IGDB ou já salvos no jogo
+      const metadata = game?.metadata || game || {}
+      METADATA_FIELDS.forEach(key => {
+        formData[key] = metadata[key] ?? ''
+      })
+
       Object.keys(formData).forEach(key => {
         const element = elements.gameForm.querySelector(`#form-${key}`)
         if (element) element.value = formData[key]
       })
+      renderers.coverPreview(formData.capa)
+      renderers.costPerHour()
+      renderers.parentOptions(
+        game?.jogoPai || '',
+        isEditing ? game.id : null,
+        game?.metadata
+      )
+      elements.refreshIgdbBtn.classList.toggle('hidden', !formData.igdbId)
+
+      renderers.statusOptions(isEditing ? formData.status : null)
+
+      // Sessões só existem para jogos já salvos do catálogo
+      const withRecords = isEditing && catalog
+      elements.formSessions.classList.toggle('hidden', !withRecords)
+      elements.formHistory.classList.toggle('hidden', !withRecords)
+      elements.formPlaythroughs.classList.toggle('hidden', !withRecords)
+      elements.formCollections.classList.toggle('hidden', !withRecords)
+      elements.formLoans.classList.toggle('hidden', !withRecords)
+      renderers.gameCollections(withRecords ? game.id : null)
+      renderers.gameLoans(null)
+      renderers.sessions(null)
+      renderers.history(null)
+      renderers.playthroughs(null)
+      if (withRecords) {
+        handlers.loadPlaythroughs(game.id)
+        handlers.loadSessions(game.id)
+        handlers.loadHistory(game.id)
+        handlers.loadGameLoans(game.id)
+      }
 
       // Update platforms dropdown
       renderers.updatePlatformsDropdown(game?.platforms, game?.plataforma)
 
-      appState.setState({ editingGameId: isEditing ? game.id : null })
+      appState.setState({
+        editingGameId: isEditing ? game.id : null,
+        editingGame: isEditing ? { ...game } : null
+      })
       elements.gameForm.querySelector('#form-plataforma').focus()
     },
 
-    updatePlatformsDropdown: (platforms, currentPlatform) => {
-      const select = elements.gameForm.querySelector('#form-plataforma')
-      const currentGames = appState.getState().games
-      const uniquePlatforms = [
-        ...new Set(currentGames.map(g => g.plataforma).filter(Boolean))
+    // Habilita no select só os status permitidos a partir do atual
+    // (sem status atual, ao adicionar um jogo, todos são permitidos)
+    statusOptions: currentStatus => {
+      const { statusRules } = appState.getState()
+      const select = elements.gameForm.querySelector('#form-status')
+      const allowed =
+        statusRules && currentStatus && isCatalog()
+          ? [currentStatus, ...(statusRules.transitions[currentStatus] || [])]
+          : null
+
+      Array.from(select.options).forEach(option => {
+        option.disabled = Boolean(allowed) && !allowed.includes(option.value)
+      })
+    },
+
+    // Lista de sessões do jogo em edição (null limpa a lista)
+    sessions: result => {
+      const sessions = result?.sessions || []
+      const tempoInput = elements.gameForm.querySelector('#form-tempo')
+
+      // Com sessões, o tempo é calculado pelo servidor
+      tempoInput.readOnly = sessions.length > 0
+      tempoInput.title =
+        sessions.length > 0 ? 'Soma das sessões de jogo registradas' : ''
+      elements.sessionTotal.textContent = sessions.length
+        ? `(${sessions.length} · ${utils.formatPlaytime(result.tempo)})`
+        : ''
+
+      elements.sessionList.innerHTML = sessions.length
+        ? sessions
+            .map(
+              session => `
+          <li>
+            <span>
+              ${utils.formatDateTime(session.inicio)}
+              ${session.fim ? `– ${utils.formatDateTime(session.fim)}` : ''}
+              <span class="text-gray-400">
+                (${utils.formatPlaytime(`${session.duracao}m`)})
+              </span>
+            </span>
+            <button type="button" class="p-1 hover:text-red-400 session-delete-btn"
+                    title="Remover sessão" data-session-id="${utils.escapeHtml(
+                      session.id
+                    )}">
+              🗑️
+            </button>
+          </li>`
+            )
+            .join('')
+        : '<li class="text-gray-500">Nenhuma sessão registrada.</li>'
+    },
+
+    // Resumo de uma jogada (#2 · Concluído · 01/02/2024 – 10/03/2024 · 30h)
+    playthroughSummary: playthrough =>
+      [
+        `#${playthrough.numero}`,
+        playthrough.status,
+        playthrough.inicio || playthrough.fim
+          ? `${utils.formatDate(playthrough.inicio)} – ${
+              playthrough.fim ? utils.formatDate(playthrough.fim) : '…'
+            }`
+          : '',
+        utils.parsePlaytimeToMinutes(playthrough.tempo) > 0
+          ? utils.formatPlaytime(playthrough.tempo)
+          : '',
+        playthrough.dificuldade,
+        playthrough.nota !== '' ? `nota ${playthrough.nota}` : ''
       ]
+        .filter(Boolean)
+        .map(utils.escapeHtml)
+        .join(' · '),
+
+    // Jogadas do jogo em edição (null limpa a lista e o mini-formulário)
+    playthroughs: result => {
+      const playthroughs = result?.playthroughs || []
+      appState.setState({ playthroughs, editingPlaythroughId: null })
+      renderers.playthroughForm(null)
+
+      elements.playthroughTotal.textContent =
+        playthroughs.length > 1 ? `(${playthroughs.length})` : ''
+      elements.playthroughList.innerHTML = playthroughs
+        .map(
+          playthrough => `
+          <li>
+            <span>
+              ${renderers.playthroughSummary(playthrough)}
+              ${
+                playthrough.id === result.current
+                  ? '<span class="text-gray-400">(atual)</span>'
+                  : ''
+              }
+              ${
+                playthrough.notas
+                  ? `<span class="block text-gray-400">${utils.escapeHtml(
+                      playthrough.notas
+                    )}</span>`
+                  : ''
+              }
+            </span>
+            <span class="flex gap-2">
+              <button type="button" class="p-1 hover:text-blue-400 playthrough-edit-btn"
+                      title="Editar jogada" data-playthrough-id="${utils.escapeHtml(
+                        playthrough.id
+                      )}">
+                ✏️
+              </button>
+              ${
+                playthroughs.length > 1
+                  ? `<button type="button" class="p-1 hover:text-red-400 playthrough-delete-btn"
+                      title="Remover jogada" data-playthrough-id="${utils.escapeHtml(
+                        playthrough.id
+                      )}">
+                      🗑️
+                    </button>`
+                  : ''
+              }
+            </span>
+          </li>`
+        )
+        .join('')
+    },
 
-      select.innerHTML = ''
+    // Mini-formulário: jogada em edição ou uma nova (null)
+    playthroughForm: playthrough => {
+      elements.playthroughFormTitle.textContent = playthrough
+        ? `Editar jogada #${playthrough.numero}`
+        : 'Nova jogada'
+      elements.playthroughSave.textContent = playthrough
+        ? '💾 Salvar jogada'
+        : '🔁 Começar nova jogada'
+      elements.playthroughCancel.classList.toggle('hidden', !playthrough)
+
+      elements.playthroughStatus.value = playthrough?.status || 'Jogando'
+      elements.playthroughInicio.value = playthrough?.inicio || ''
+      elements.playthroughFim.value = playthrough?.fim || ''
+      elements.playthroughTempo.value = playthrough?.tempo || ''
+      elements.playthroughDificuldade.value = playthrough?.dificuldade || ''
+      elements.playthroughNota.value = playthrough?.nota ?? ''
+      elements.playthroughNotas.value = playthrough?.notas || ''
+    },
 
-      // Add platforms from IGDB search
-      if (platforms?.length > 0) {
-        platforms.forEach(platform => {
-          const option = document.createElement('option')
-          option.value = platform.name
-          option.textContent = platform.name
-          select.appendChild(option)
-        })
-      }
+    // Linha expandida na tabela com as jogadas de um jogo
+    playthroughRow: (gameId, result) => {
+      const tr = document.createElement('tr')
+      tr.className =
+        'playthrough-row border-b border-gray-200 dark:border-gray-700'
+      tr.dataset.gameId = gameId
+      tr.innerHTML = `
+        <td colspan="10" class="px-6 py-3 text-sm">
+          <ol class="space-y-1">
+            ${result.playthroughs
+              .map(
+                playthrough =>
+                  `<li>${renderers.playthroughSummary(playthrough)}</li>`
+              )
+              .join('')}
+          </ol>
+        </td>
+      `
+      return tr
+    },
 
-      // Add platforms from existing games
-      uniquePlatforms.forEach(platform => {
-        if (!select.querySelector(`option[value="${platform}"]`)) {
-          const option = document.createElement('option')
-          option.value = platform
-          option.textContent = platform
-          select.appendChild(option)
-        }
+    // Linha do tempo de status do jogo em edição (null limpa a lista)
+    history: result => {
+      const history = result?.history || []
+      const formatDays = dias =>
+        dias < 1 ? 'menos de 1 dia' : `${dias} ${dias === 1 ? 'dia' : 'dias'}`
+
+      elements.historyTotals.textContent = Object.entries(result?.totals || {})
+        .map(([status, dias]) => `${status}: ${formatDays(dias)}`)
+        .join(' · ')
+
+      elements.historyList.innerHTML = history.length
+        ? history
+            .map(
+              entry => `
+          <li>
+            <div>${utils.formatDateTime(entry.data)}</div>
+            <div>
+              ${
+                entry.de
+                  ? `${utils.escapeHtml(entry.de)} → `
+                  : 'Adicionado como '
+              }<strong>${utils.escapeHtml(entry.para)}</strong>
+              <span class="text-gray-400">
+                (${entry.ate ? 'por' : 'há'} ${formatDays(entry.dias)})
+              </span>
+            </div>
+          </li>`
+            )
+            .join('')
+        : '<li class="text-gray-500">Nenhuma mudança de status registrada.</li>'
+    },
+
+    coverPreview: url => {
+      const preview = elements.gameForm.querySelector('#form-capa-preview')
+      preview.classList.toggle('hidden', !url)
+      if (url) preview.src = url
+      else preview.removeAttribute('src')
+    },
+
+    platformFilter: platforms => {
+      const selected = elements.filterPlatform.value
+      elements.filterPlatform.innerHTML =
+        '<option value="">Todas as plataformas</option>'
+
+      platforms.forEach(platform => {
+        const option = document.createElement('option')
+        option.value = platform
+        option.textContent = platform
+        elements.filterPlatform.appendChild(option)
       })
 
-      // Add "Other" option
-      if (!select.querySelector('option[value="Outro"]')) {
+      elements.filterPlatform.value = selected
+    },
+
+    // Filtro e sugestões do formulário com as lojas do catálogo
+    storeFilter: stores => {
+      const selected = elements.filterStore.value
+      elements.filterStore.innerHTML =
+        '<option value="">Todas as lojas</option>'
+      elements.storeSuggestions.innerHTML = ''
+
+      stores.forEach(store => {
         const option = document.createElement('option')
-        option.value = 'Outro'
-        option.textContent = 'Outro'
-        select.appendChild(option)
-      }
+        option.value = store
+        option.textContent = store
+        elements.filterStore.appendChild(option)
+        elements.storeSuggestions.appendChild(option.cloneNode(true))
+      })
 
-      // Set current value
-      if (currentPlatform) {
+      elements.filterStore.value = selected
+    },
+
+    // Custo por hora jogada do formulário (preço ÷ tempo de jogo)
+    costPerHour: () => {
+      const form = elements.gameForm
+      const preco = form.querySelector('#form-preco').value
+      const minutes = utils.parsePlaytimeToMinutes(
+        form.querySelector('#form-tempo').value
+      )
+
+      elements.costPerHour.textContent =
+        preco !== '' && minutes > 0
+          ? `Custo por hora jogada: ${utils.formatCurrency(
+              Number(preco) / (minutes / 60)
+            )}`
+          : 'Custo por hora jogada: informe o preço e o tempo de jogo'
+    },
+
+    // Filtro e sugestões do formulário com as tags do catálogo
+    tagFilter: tags => {
+      const selected = elements.filterTag.value
+      elements.filterTag.innerHTML = '<option value="">Todas as tags</option>'
+      elements.tagSuggestions.innerHTML = ''
+
+      tags.forEach(tag => {
+        const option = document.createElement('option')
+        option.value = tag
+        option.textContent = tag
+        elements.filterTag.appendChild(option)
+        elements.tagSuggestions.appendChild(option.cloneNode(true))
+      })
+
+      elements.filterTag.value = selected
+    },
+
+    // Título, seletor e recursos exclusivos do catálogo da lista exibida
+    listMode: currentList => {
+      const catalog = currentList === CATALOG_LIST
+      elements.listSwitcher.value = currentList
+      elements.listTitle.textContent = GAME_LISTS[currentList]
+      elements.importButton.classList.toggle('hidden', !catalog)
+      elements.loansButton.classList.toggle('hidden', !catalog)
+      if (!catalog) elements.loansPanel.classList.add('hidden')
+      elements.collectionFilter.classList.toggle('hidden', !catalog)
+      elements.priorityHeader.classList.toggle('hidden', catalog)
+    },
+
+    collectionFilter: collections => {
+      const selected = elements.filterCollection.value
+      elements.filterCollection.innerHTML =
+        '<option value="">Todas as coleções</option>'
+
+      collections.forEach(collection => {
+        const option = document.createElement('option')
+        option.value = collection.id
+        option.textContent = `${collection.nome} (${collection.total})`
+        elements.filterCollection.appendChild(option)
+      })
+
+      elements.filterCollection.value = selected
+      elements.collectionDelete.classList.toggle(
+        'hidden',
+        !elements.filterCollection.value
+      )
+    },
+
+    // Selo de empréstimo abaixo do nome na tabela (em vermelho se atrasado)
+    // Selo de DLC, expansão ou pacote ao lado do nome
+    typeBadge: (td, tipo) => {
+      if (!tipo || tipo === 'Jogo') return
+
+      const badge = document.createElement('span')
+      badge.className = 'type-badge'
+      badge.textContent = tipo
+      td.appendChild(badge)
+    },
+
+    // Opções de jogo base do formulário (facets.parents, sem o próprio jogo)
+    // Vindo da IGDB, seleciona o jogo do catálogo com o igdbId do jogo base
+    // (`igdbPai`) ou avisa que ele ainda não foi cadastrado
+    parentOptions: (selectedId, gameId = null, metadata = null) => {
+      const { parents } = appState.getState()
+      const select = elements.gameForm.querySelector('#form-jogoPai')
+      const hint = elements.gameForm.querySelector('#form-parent-hint')
+      const igdbParent = metadata?.igdbPai
+        ? parents.find(
+            parent => String(parent.igdbId) === String(metadata.igdbPai)
+          )
+        : null
+
+      select.innerHTML = '<option value="">Nenhum (jogo independente)</option>'
+      parents
+        .filter(parent => parent.id !== gameId)
+        .forEach(parent => {
+          const option = document.createElement('option')
+          option.value = parent.id
+          option.textContent = `${parent.nome} (${parent.plataforma})`
+          select.appendChild(option)
+        })
+      select.value = selectedId || igdbParent?.id || ''
+
+      hint.textContent =
+        metadata?.igdbPai && !igdbParent
+          ? `Jogo base na IGDB: ${metadata.nomePai} (ainda não cadastrado)`
+          : ''
+      hint.classList.toggle('hidden', !hint.textContent)
+    },
+
+    loanBadge: (td, loan) => {
+      if (!loan) return
+
+      const badge = document.createElement('div')
+      badge.className = `loan-badge${loan.atrasado ? ' overdue' : ''}`
+      badge.textContent = `${loan.atrasado ? '⚠️ Atrasado' : '📤 Emprestado'}: ${
+        loan.pessoa
+      }`
+      if (loan.previsao) {
+        badge.title = `Devolver até ${utils.formatDate(loan.previsao)}`
+      }
+      td.appendChild(badge)
+    },
+
+    // Painel de empréstimos em aberto e contagem no botão do cabeçalho
+    loansPanel: loans => {
+      const overdue = loans.filter(loan => loan.atrasado)
+      elements.loansCount.textContent = loans.length
+        ? `(${loans.length}${overdue.length ? ` · ${overdue.length} ⚠️` : ''})`
+        : ''
+
+      const shown = elements.loansOverdue.checked ? overdue : loans
+      elements.loansList.innerHTML = shown.length
+        ? shown
+            .map(
+              loan => `
+          <li class="${loan.atrasado ? 'loan-overdue' : ''}">
+            <span>
+              <strong>${utils.escapeHtml(loan.nome || '-')}</strong>
+              <span class="text-gray-400">(${utils.escapeHtml(
+                loan.plataforma
+              )})</span>
+              com ${utils.escapeHtml(loan.pessoa)} desde ${utils.formatDate(
+                loan.data
+              )}
+              ${
+                loan.previsao
+                  ? `· devolver até ${utils.formatDate(loan.previsao)}`
+                  : ''
+              }
+              ${loan.atrasado ? '· atrasado' : ''}
+            </span>
+            <button type="button" class="btn btn-secondary loan-return-btn"
+                    data-loan-id="${utils.escapeHtml(loan.id)}">
+              ✅ Devolvido
+            </button>
+          </li>`
+            )
+            .join('')
+        : `<li class="text-gray-500">${
+            elements.loansOverdue.checked
+              ? 'Nenhum empréstimo atrasado.'
+              : 'Nenhum jogo emprestado.'
+          }</li>`
+    },
+
+    // Empréstimos do jogo em edição (null limpa a seção); o formulário de
+    // empréstimo só aparece se o jogo não estiver emprestado
+    gameLoans: result => {
+      const loans = result?.loans || []
+      const current = result?.current || null
+
+      elements.loanStatus.textContent = current
+        ? `(com ${current.pessoa}${current.atrasado ? ', atrasado' : ''})`
+        : ''
+      elements.loanForm.classList.toggle('hidden', Boolean(current))
+      elements.loanPessoa.value = ''
+      elements.loanData.value = ''
+      elements.loanPrevisao.value = ''
+
+      elements.loanHistory.innerHTML = loans.length
+        ? loans
+            .map(
+              loan => `
+          <li class="${loan.atrasado ? 'loan-overdue' : ''}">
+            <span>
+              ${utils.escapeHtml(loan.pessoa)}:
+              ${utils.formatDate(loan.data)}
+              ${
+                loan.devolucao
+                  ? `– ${utils.formatDate(loan.devolucao)}`
+                  : loan.previsao
+                    ? `(devolver até ${utils.formatDate(loan.previsao)})`
+                    : '(em aberto)'
+              }
+            </span>
+            ${
+              loan.devolucao
+                ? ''
+                : `<button type="button" class="btn btn-secondary loan-return-btn"
+                      data-loan-id="${utils.escapeHtml(loan.id)}">
+                    ✅ Devolvido
+                  </button>`
+            }
+          </li>`
+            )
+            .join('')
+        : '<li class="text-gray-500">Nenhum empréstimo registrado.</li>'
+    },
+
+    // Tags do jogo abaixo do nome na tabela (clicar filtra pela tag)
+    tagChips: (td, tags) => {
+      const list = (tags || '')
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(Boolean)
+      if (list.length === 0) return
+
+      const container = document.createElement('div')
+      container.className = 'tag-list'
+      list.forEach(tag => {
+        const chip = document.createElement('span')
+        chip.className = 'tag-chip'
+        chip.dataset.tag = tag
+        chip.title = `Filtrar por "${tag}"`
+        chip.textContent = tag
+        container.appendChild(chip)
+      })
+      td.appendChild(container)
+    },
+
+    // Coleções no formulário de edição, marcadas se incluem o jogo
+    // (null limpa a lista)
+    gameCollections: gameId => {
+      const { collections } = appState.getState()
+      elements.collectionName.value = ''
+      elements.collectionList.innerHTML = gameId
+        ? collections
+            .map(
+              collection => `
+          <li>
+            <label class="flex gap-2 items-center cursor-pointer">
+              <input type="checkbox" class="collection-checkbox"
+                     data-collection-id="${utils.escapeHtml(collection.id)}"
+                     ${collection.jogos.includes(gameId) ? 'checked' : ''} />
+              ${utils.escapeHtml(collection.nome)}
+            </label>
+            <span class="text-gray-400">${collection.total}</span>
+          </li>`
+            )
+            .join('') ||
+          '<li class="text-gray-400">Nenhuma coleção criada.</li>'
+        : ''
+    },
+
+    updatePlatformsDropdown: (platforms, currentPlatform) => {
+      const select = elements.gameForm.querySelector('#form-plataforma')
+      const uniquePlatforms = appState.getState().platforms
+
+      select.innerHTML = ''
+
+      // Add platforms from IGDB search
+      if (platforms?.length > 0) {
+        platforms.forEach(platform => {
+          const option = document.createElement('option')
+          option.value = platform.name
+          option.textContent = platform.name
+          select.appendChild(option)
+        })
+      }
+
+      // Add platforms from existing games
+      uniquePlatforms.forEach(platform => {
+        if (!select.querySelector(`option[value="${platform}"]`)) {
+          const option = document.createElement('option')
+          option.value = platform
+          option.textContent = platform
+          select.appendChild(option)
+        }
+      })
+
+      // Add "Other" option
+      if (!select.querySelector('option[value="Outro"]')) {
+        const option = document.createElement('option')
+        option.value = 'Outro'
+        option.textContent = 'Outro'
+        select.appendChild(option)
+      }
+
+      // Set current value
+      if (currentPlatform) {
         select.value = currentPlatform
       }
     }
@@ -780,92 +2048,732 @@ document.addEventListener('DOMContentLoaded', () => {
           </li>
         `
       }
-    }, 300),
-
-    filterGames: utils.debounce(filters => {
-      appState.setState({ currentFilters: filters })
-    }, 250),
+    }, 300),
+
+    filterGames: utils.debounce(filters => {
+      appState.setState({ currentFilters: filters, currentPage: 1 })
+    }, 250),
+
+    changePage: direction => {
+      const { currentPage, totalPages } = appState.getState()
+
+      let newPage = currentPage
+
+      if (direction === 'prev' && currentPage > 1) {
+        newPage = currentPage - 1
+      } else if (direction === 'next' && currentPage < totalPages) {
+        newPage = currentPage + 1
+      }
+
+      if (newPage !== currentPage) {
+        appState.setState({ currentPage: newPage })
+      }
+    },
+
+    sortGames: column => {
+      const { sortColumn, sortAsc } = appState.getState()
+      const newSortAsc = column === sortColumn ? !sortAsc : true
+
+      appState.setState({
+        sortColumn: column,
+        sortAsc: newSortAsc,
+        currentPage: 1
+      })
+    },
+
+    submitForm: async e => {
+      e.preventDefault()
+
+      const formData = new FormData(elements.gameFormElement)
+      const payload = {
+        plataforma: formData.get('plataforma'),
+        nome: formData.get('nome'),
+        dataLancamento: formData.get('dataLancamento'),
+        genero: formData.get('genero'),
+        status: formData.get('status'),
+        tempo: validators.parsePlaytime(formData.get('tempo')),
+        inicio: formData.get('inicio'),
+        fim: formData.get('fim'),
+        nota: formData.get('nota') ? parseFloat(formData.get('nota')) : '',
+        capa: formData.get('capa'),
+        resumo: formData.get('resumo'),
+        desenvolvedora: formData.get('desenvolvedora'),
+        publicadora: formData.get('publicadora'),
+        franquia: formData.get('franquia'),
+        modos: formData.get('modos'),
+        tags: formData.get('tags'),
+        estimativa: validators.parsePlaytime(formData.get('estimativa')),
+        formato: formData.get('formato'),
+        loja: formData.get('loja'),
+        edicao: formData.get('edicao'),
+        dataCompra: formData.get('dataCompra'),
+        preco: formData.get('preco') ? parseFloat(formData.get('preco')) : '',
+        assinatura: formData.get('assinatura'),
+        tipo: formData.get('tipo'),
+        jogoPai: formData.get('jogoPai'),
+        notaCritica: formData.get('notaCritica')
+          ? parseFloat(formData.get('notaCritica'))
+          : '',
+        igdbId: formData.get('igdbId') ? Number(formData.get('igdbId')) : ''
+      }
+
+      // Sanitize inputs
+      Object.keys(payload).forEach(key => {
+        if (typeof payload[key] === 'string') {
+          payload[key] = utils.sanitizeInput(payload[key])
+        }
+      })
+
+      // Validate
+      const errors = validators.gameData(payload)
+      if (errors.length > 0) {
+        errors.forEach(error => uiFeedback.showMessage(error, 'error'))
+        return
+      }
+
+      try {
+        uiFeedback.showLoading(true, 'Salvando jogo...')
+
+        const { editingGameId, editingGame } = appState.getState()
+
+        if (editingGameId) {
+          payload.id = editingGameId
+          await spreadsheetService.saveGame(payload, true, editingGame?.version)
+        } else {
+          await spreadsheetService.saveGame(payload, false)
+        }
+
+        elements.gameForm.classList.add('hidden')
+        appState.setState({ editingGameId: null, editingGame: null })
+
+        // Refresh games list
+        await spreadsheetService.fetchGames()
+      } catch (error) {
+        if (error.status === 409 && error.data?.current) {
+          uiFeedback.showLoading(false)
+          await handlers.resolveConflict(payload, error.data.current)
+          return
+        }
+
+        uiFeedback.showMessage(
+          `Erro ao ${
+            appState.getState().editingGameId ? 'atualizar' : 'adicionar'
+          } jogo: ${error.message}`,
+          'error'
+        )
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
+    // Recarrega os metadados da IGDB no formulário (aplicados ao salvar)
+    refreshFromIgdb: async () => {
+      const igdbId = elements.gameForm.querySelector('#form-igdbId').value
+      if (!igdbId) return
+
+      try {
+        uiFeedback.showLoading(true, 'Consultando a IGDB...')
+        const game = await apiClient.request(
+          `/games/igdb/${igdbId}?refresh=true`
+        )
+
+        METADATA_FIELDS.forEach(key => {
+          const element = elements.gameForm.querySelector(`#form-${key}`)
+          if (element) element.value = game.metadata[key] ?? ''
+        })
+        renderers.coverPreview(game.metadata.capa)
+
+        uiFeedback.showMessage(
+          'Metadados atualizados. Salve para aplicar.',
+          'success'
+        )
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao consultar a IGDB: ${error.message}`,
+          'error'
+        )
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
+    // Resolve um conflito de edição (409): mesclar, sobrescrever ou cancelar
+    resolveConflict: async (payload, current) => {
+      const { editingGame } = appState.getState()
+      const original = editingGame || {}
+      const fields = Object.keys(GAME_FIELD_LABELS)
+      const sameValue = (a, b) => String(a ?? '') === String(b ?? '')
+
+      const changedOnServer = fields.filter(
+        field => !sameValue(original[field], current[field])
+      )
+      const choice = await conflictManager.show(
+        changedOnServer.map(field => ({
+          label: GAME_FIELD_LABELS[field],
+          serverValue: current[field]
+        }))
+      )
+
+      if (choice === 'cancel') {
+        // Recarregar o formulário com a versão do servidor
+        renderers.showForm(current, true)
+        uiFeedback.showMessage(
+          'Formulário atualizado com a versão do servidor.',
+          'info'
+        )
+        return
+      }
+
+      let resolved = { ...payload }
+      if (choice === 'merge') {
+        // Campos que o usuário não alterou recebem o valor do servidor
+        fields.forEach(field => {
+          if (sameValue(payload[field], original[field])) {
+            resolved[field] = current[field]
+          }
+        })
+      }
+
+      try {
+        uiFeedback.showLoading(true, 'Salvando jogo...')
+        await spreadsheetService.saveGame(resolved, true, current.version)
+
+        elements.gameForm.classList.add('hidden')
+        appState.setState({ editingGameId: null, editingGame: null })
+        await spreadsheetService.fetchGames()
+      } catch (error) {
+        if (error.status === 409 && error.data?.current) {
+          uiFeedback.showLoading(false)
+          appState.setState({ editingGame: current })
+          await handlers.resolveConflict(resolved, error.data.current)
+          return
+        }
+        uiFeedback.showMessage(
+          `Erro ao atualizar jogo: ${error.message}`,
+          'error'
+        )
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
+    loadSessions: async gameId => {
+      try {
+        const result = await spreadsheetService.fetchSessions(gameId)
+        // O formulário pode ter sido fechado ou trocado de jogo
+        if (appState.getState().editingGameId === gameId) {
+          renderers.sessions(result)
+        }
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao carregar sessões: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    loadPlaythroughs: async gameId => {
+      try {
+        const result = await spreadsheetService.fetchPlaythroughs(gameId)
+        if (appState.getState().editingGameId === gameId) {
+          renderers.playthroughs(result)
+        }
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao carregar jogadas: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    // Aplica ao formulário o jogo atualizado após mudar uma jogada (os
+    // campos da jogada atual são espelhados no jogo)
+    applyGameUpdate: async game => {
+      const mirroredFields = ['status', 'inicio', 'fim', 'tempo', 'nota']
+      mirroredFields.forEach(key => {
+        const element = elements.gameForm.querySelector(`#form-${key}`)
+        if (element) element.value = game[key] ?? ''
+      })
+
+      appState.setState({ editingGame: { ...game } })
+      renderers.statusOptions(game.status)
+      await Promise.all([
+        handlers.loadPlaythroughs(game.id),
+        handlers.loadSessions(game.id),
+        handlers.loadHistory(game.id)
+      ])
+      await spreadsheetService.fetchGames()
+    },
+
+    editPlaythrough: playthroughId => {
+      const playthrough = appState
+        .getState()
+        .playthroughs.find(p => p.id === playthroughId)
+      if (!playthrough) return
+
+      appState.setState({ editingPlaythroughId: playthroughId })
+      renderers.playthroughForm(playthrough)
+      elements.playthroughStatus.focus()
+    },
+
+    cancelPlaythroughEdit: () => {
+      appState.setState({ editingPlaythroughId: null })
+      renderers.playthroughForm(null)
+    },
+
+    savePlaythrough: async () => {
+      const { editingGameId, editingPlaythroughId } = appState.getState()
+      if (!editingGameId) return
+
+      const playthrough = {
+        status: elements.playthroughStatus.value,
+        inicio: elements.playthroughInicio.value,
+        fim: elements.playthroughFim.value,
+        tempo: validators.parsePlaytime(elements.playthroughTempo.value),
+        dificuldade: utils.sanitizeInput(elements.playthroughDificuldade.value),
+        notas: utils.sanitizeInput(elements.playthroughNotas.value),
+        nota: elements.playthroughNota.value
+          ? parseFloat(elements.playthroughNota.value)
+          : ''
+      }
+
+      if (playthrough.tempo && !validators.playtime(playthrough.tempo)) {
+        uiFeedback.showMessage(
+          'O tempo de jogo deve estar em um formato como "10h", "90m" ou "1h 30m".',
+          'error'
+        )
+        return
+      }
+      if (
+        playthrough.inicio &&
+        playthrough.fim &&
+        playthrough.fim < playthrough.inicio
+      ) {
+        uiFeedback.showMessage(
+          'A data de fim não pode ser anterior à de início.',
+          'error'
+        )
+        return
+      }
+
+      try {
+        uiFeedback.showLoading(true, 'Salvando jogada...')
+        const { game } = await spreadsheetService.savePlaythrough(
+          editingGameId,
+          playthrough,
+          editingPlaythroughId
+        )
+        await handlers.applyGameUpdate(game)
+        uiFeedback.showMessage(
+          editingPlaythroughId ? 'Jogada atualizada!' : 'Nova jogada iniciada!',
+          'success'
+        )
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao salvar jogada: ${error.message}`,
+          'error'
+        )
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
+    deletePlaythrough: async playthroughId => {
+      const { editingGameId } = appState.getState()
+      if (!editingGameId) return
+
+      const confirmed = await modalManager.show(
+        'Remover jogada',
+        'Remover esta jogada e suas sessões? Esta ação não pode ser desfeita.'
+      )
+      if (!confirmed) return
+
+      try {
+        uiFeedback.showLoading(true, 'Removendo jogada...')
+        const { game } = await spreadsheetService.deletePlaythrough(
+          editingGameId,
+          playthroughId
+        )
+        await handlers.applyGameUpdate(game)
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao remover jogada: ${error.message}`,
+          'error'
+        )
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
+    // Mostra ou esconde as jogadas de um jogo abaixo da sua linha na tabela
+    togglePlaythroughs: async button => {
+      const row = button.closest('tr')
+      const gameId = button.dataset.gameId
+      const expanded = row.nextElementSibling
+      if (expanded?.classList.contains('playthrough-row')) {
+        expanded.remove()
+        return
+      }
+
+      try {
+        const result = await spreadsheetService.fetchPlaythroughs(gameId)
+        row.after(renderers.playthroughRow(gameId, result))
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao carregar jogadas: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    loadCollections: async () => {
+      try {
+        const { collections } = await spreadsheetService.fetchCollections()
+        appState.setState({ collections })
+      } catch (error) {
+        console.error('Erro ao carregar coleções:', error)
+      }
+    },
+
+    // Cria uma coleção já com o jogo em edição
+    createCollection: async () => {
+      const { editingGameId } = appState.getState()
+      const nome = utils.sanitizeInput(elements.collectionName.value.trim())
+      if (!editingGameId || !nome) {
+        uiFeedback.showMessage('Informe o nome da coleção', 'warning')
+        return
+      }
+
+      try {
+        await spreadsheetService.createCollection({
+          nome,
+          jogos: [editingGameId]
+        })
+        await handlers.loadCollections()
+        uiFeedback.showMessage(`Coleção "${nome}" criada!`, 'success')
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao criar coleção: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    toggleCollectionGame: async checkbox => {
+      const { editingGameId } = appState.getState()
+      if (!editingGameId) return
+
+      try {
+        await spreadsheetService.setCollectionGame(
+          checkbox.dataset.collectionId,
+          editingGameId,
+          checkbox.checked
+        )
+        await handlers.loadCollections()
+        // A tabela pode estar filtrada por essa coleção
+        if (appState.getState().currentFilters.collection) {
+          await spreadsheetService.fetchGames()
+        }
+      } catch (error) {
+        checkbox.checked = !checkbox.checked
+        uiFeedback.showMessage(
+          `Erro ao atualizar coleção: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    // Remove a coleção selecionada no filtro (os jogos são mantidos)
+    deleteCollection: async () => {
+      const { collections } = appState.getState()
+      const collection = collections.find(
+        c => c.id === elements.filterCollection.value
+      )
+      if (!collection) return
+
+      const confirmed = await modalManager.show(
+        'Remover coleção',
+        `Remover a coleção "${collection.nome}"? Os jogos não serão excluídos.`
+      )
+      if (!confirmed) return
+
+      try {
+        await spreadsheetService.deleteCollection(collection.id)
+        elements.filterCollection.value = ''
+        appState.setState({
+          currentFilters: {
+            ...appState.getState().currentFilters,
+            collection: ''
+          },
+          currentPage: 1
+        })
+        await handlers.loadCollections()
+        uiFeedback.showMessage('Coleção removida!', 'success')
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao remover coleção: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    loadLoans: async () => {
+      try {
+        const { loans } = await spreadsheetService.fetchLoans()
+        appState.setState({ loans })
+      } catch (error) {
+        console.error('Erro ao carregar empréstimos:', error)
+      }
+    },
+
+    loadGameLoans: async gameId => {
+      try {
+        const result = await spreadsheetService.fetchGameLoans(gameId)
+        if (appState.getState().editingGameId === gameId) {
+          renderers.gameLoans(result)
+        }
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao carregar empréstimos: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    // Empresta o jogo em edição
+    lendGame: async () => {
+      const { editingGameId } = appState.getState()
+      const pessoa = utils.sanitizeInput(elements.loanPessoa.value)
+      if (!editingGameId || !pessoa) {
+        uiFeedback.showMessage(
+          'Informe para quem o jogo foi emprestado',
+          'warning'
+        )
+        return
+      }
+
+      const loan = {
+        pessoa,
+        data: elements.loanData.value,
+        previsao: elements.loanPrevisao.value
+      }
+      if (loan.data && loan.previsao && loan.previsao < loan.data) {
+        uiFeedback.showMessage(
+          'A devolução não pode ser anterior ao empréstimo.',
+          'warning'
+        )
+        return
+      }
+
+      try {
+        await spreadsheetService.lendGame(editingGameId, loan)
+        await Promise.all([
+          handlers.loadGameLoans(editingGameId),
+          handlers.loadLoans()
+        ])
+        uiFeedback.showMessage(`Jogo emprestado a ${pessoa}!`, 'success')
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao emprestar jogo: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    // Marca o empréstimo como devolvido hoje
+    returnLoan: async loanId => {
+      try {
+        const { loan } = await spreadsheetService.returnLoan(loanId)
+        await handlers.loadLoans()
+        if (appState.getState().editingGameId === loan.gameId) {
+          await handlers.loadGameLoans(loan.gameId)
+        }
+        uiFeedback.showMessage('Devolução registrada!', 'success')
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao registrar devolução: ${error.message}`,
+          'error'
+        )
+      }
+    },
+
+    loadHistory: async gameId => {
+      try {
+        const result = await spreadsheetService.fetchHistory(gameId)
+        if (appState.getState().editingGameId === gameId) {
+          renderers.history(result)
+        }
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao carregar histórico: ${error.message}`,
+          'error'
+        )
+      }
+    },
 
-    changePage: direction => {
-      const { currentPage, filteredGames, rowsPerPage } = appState.getState()
-      const totalPages = Math.ceil(filteredGames.length / rowsPerPage)
+    // Aplica ao formulário o jogo atualizado pelo servidor após uma mudança
+    // nas sessões (novo tempo, início/fim preenchidos e nova versão)
+    applySessionUpdate: async game => {
+      const form = elements.gameForm
+      form.querySelector('#form-tempo').value = game.tempo || ''
+      renderers.costPerHour()
+      const inicio = form.querySelector('#form-inicio')
+      const fim = form.querySelector('#form-fim')
+      if (!inicio.value) inicio.value = game.inicio || ''
+      if (!fim.value) fim.value = game.fim || ''
+
+      appState.setState({ editingGame: { ...game } })
+      await handlers.loadSessions(game.id)
+      await spreadsheetService.fetchGames()
+    },
 
-      let newPage = currentPage
+    addSession: async () => {
+      const { editingGameId } = appState.getState()
+      if (!editingGameId) return
 
-      if (direction === 'prev' && currentPage > 1) {
-        newPage = currentPage - 1
-      } else if (direction === 'next' && currentPage < totalPages) {
-        newPage = currentPage + 1
+      const session = {
+        inicio: elements.sessionInicio.value,
+        fim: elements.sessionFim.value,
+        duracao: elements.sessionDuracao.value
+          ? Number(elements.sessionDuracao.value)
+          : ''
+      }
+      if (!session.inicio || (!session.fim && !session.duracao)) {
+        uiFeedback.showMessage(
+          'Informe o início e o fim ou a duração da sessão',
+          'warning'
+        )
+        return
       }
 
-      if (newPage !== currentPage) {
-        appState.setState({ currentPage: newPage })
+      try {
+        uiFeedback.showLoading(true, 'Registrando sessão...')
+        const { game } = await spreadsheetService.addSession(
+          editingGameId,
+          session
+        )
+
+        elements.sessionInicio.value = ''
+        elements.sessionFim.value = ''
+        elements.sessionDuracao.value = ''
+        await handlers.applySessionUpdate(game)
+        uiFeedback.showMessage('Sessão registrada!', 'success')
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao registrar sessão: ${error.message}`,
+          'error'
+        )
+      } finally {
+        uiFeedback.showLoading(false)
       }
     },
 
-    sortGames: column => {
-      const { sortColumn, sortAsc } = appState.getState()
-      const newSortAsc = column === sortColumn ? !sortAsc : true
+    deleteSession: async sessionId => {
+      const { editingGameId } = appState.getState()
+      if (!editingGameId) return
 
-      appState.setState({
-        sortColumn: column,
-        sortAsc: newSortAsc,
-        currentPage: 1
-      })
+      const confirmed = await modalManager.show(
+        'Remover sessão',
+        'Remover esta sessão de jogo? O tempo total será recalculado.'
+      )
+      if (!confirmed) return
+
+      try {
+        uiFeedback.showLoading(true, 'Removendo sessão...')
+        const { game } = await spreadsheetService.deleteSession(
+          editingGameId,
+          sessionId
+        )
+        await handlers.applySessionUpdate(game)
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao remover sessão: ${error.message}`,
+          'error'
+        )
+      } finally {
+        uiFeedback.showLoading(false)
+      }
     },
 
-    submitForm: async e => {
-      e.preventDefault()
+    // Inicia o cronômetro; um jogo "Não iniciado" passa a "Jogando" com
+    // início hoje
+    startTimer: async gameId => {
+      const game = appState.getState().games.find(g => g.id === gameId)
+      if (!game) return
 
-      const formData = new FormData(elements.gameFormElement)
-      const payload = {
-        plataforma: formData.get('plataforma'),
-        nome: formData.get('nome'),
-        dataLancamento: formData.get('dataLancamento'),
-        genero: formData.get('genero'),
-        status: formData.get('status'),
-        tempo: validators.parsePlaytime(formData.get('tempo')),
-        inicio: formData.get('inicio'),
-        fim: formData.get('fim'),
-        nota: formData.get('nota') ? parseFloat(formData.get('nota')) : ''
+      timerManager.start(gameId)
+      renderers.table(appState.getState())
+
+      if (game.status !== 'Não iniciado') return
+
+      try {
+        const today = utils.toLocalDateTime(new Date()).split('T')[0]
+        await spreadsheetService.saveGame(
+          { ...game, status: 'Jogando', inicio: today },
+          true,
+          game.version
+        )
+        await spreadsheetService.fetchGames()
+      } catch (error) {
+        uiFeedback.showMessage(
+          `Erro ao atualizar o status: ${error.message}`,
+          'error'
+        )
       }
+    },
 
-      // Sanitize inputs
-      Object.keys(payload).forEach(key => {
-        if (typeof payload[key] === 'string') {
-          payload[key] = utils.sanitizeInput(payload[key])
-        }
-      })
+    // Para o cronômetro e registra o tempo decorrido como sessão de jogo
+    stopTimer: async gameId => {
+      const startedAt = timerManager.stop(gameId)
+      renderers.table(appState.getState())
+      if (!startedAt) return
 
-      // Validate
-      const errors = validators.gameData(payload)
-      if (errors.length > 0) {
-        errors.forEach(error => uiFeedback.showMessage(error, 'error'))
+      const endedAt = new Date()
+      const duracao = Math.round((endedAt - startedAt) / 60000)
+
+      if (duracao < 1) {
+        uiFeedback.showMessage(
+          'Sessão com menos de 1 minuto não foi registrada.',
+          'warning'
+        )
         return
       }
 
+      // Mais de 24h (limite de uma sessão) vira várias sessões seguidas; o
+      // servidor soma as sessões ao tempo que o jogo já tinha
+      const sessions = utils.splitSessions(startedAt, endedAt)
+      let registered = 0
       try {
-        uiFeedback.showLoading(true, 'Salvando jogo...')
-
-        const { editingGameId } = appState.getState()
+        uiFeedback.showLoading(true, 'Registrando sessão...')
+        let game
+        for (const session of sessions) {
+          const result = await spreadsheetService.addSession(gameId, {
+            inicio: utils.toLocalDateTime(session.inicio),
+            fim: utils.toLocalDateTime(session.fim),
+            duracao: session.duracao
+          })
+          game = result.game
+          registered += 1
+        }
 
-        if (editingGameId) {
-          payload.id = editingGameId
-          await spreadsheetService.saveGame(payload, true)
+        if (appState.getState().editingGameId === gameId) {
+          await handlers.applySessionUpdate(game)
         } else {
-          await spreadsheetService.saveGame(payload, false)
+          await spreadsheetService.fetchGames()
         }
-
-        elements.gameForm.classList.add('hidden')
-        appState.setState({ editingGameId: null })
-
-        // Refresh games list
-        await spreadsheetService.fetchGames()
+        uiFeedback.showMessage(
+          `Sessão de ${utils.formatPlaytime(`${duracao}m`)} registrada!`,
+          'success'
+        )
       } catch (error) {
+        // Mantém o cronômetro, a partir da primeira sessão não registrada,
+        // para tentar de novo
+        if (registered < sessions.length) {
+          timerManager.start(gameId, sessions[registered].inicio)
+          renderers.table(appState.getState())
+        }
         uiFeedback.showMessage(
-          `Erro ao ${
-            appState.getState().editingGameId ? 'atualizar' : 'adicionar'
-          } jogo: ${error.message}`,
+          `Erro ao registrar sessão: ${error.message}`,
           'error'
         )
       } finally {
@@ -873,6 +2781,20 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     },
 
+    // Ao mudar o status no formulário, preenche as datas vazias do novo
+    // status com a data de hoje (como o servidor faz ao salvar)
+    changeStatus: status => {
+      const { statusRules, editingGame } = appState.getState()
+      if (!statusRules || !isCatalog() || editingGame?.status === status) return
+
+      const today = utils.toLocalDateTime(new Date()).split('T')[0]
+      const stamps = statusRules.dateStamps[status] || []
+      stamps.forEach(field => {
+        const element = elements.gameForm.querySelector(`#form-${field}`)
+        if (element && !element.value) element.value = today
+      })
+    },
+
     editGame: gameId => {
       const { games } = appState.getState()
       const game = games.find(g => g.id === gameId)
@@ -895,14 +2817,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (confirmed) {
           uiFeedback.showLoading(true, 'Excluindo jogo...')
-          await spreadsheetService.deleteGame(gameId)
+          const game = appState.getState().games.find(g => g.id === gameId)
+          await spreadsheetService.deleteGame(gameId, game?.version)
 
           // Fechar o formulário
           elements.gameForm.classList.add('hidden')
-          appState.setState({ editingGameId: null })
+          appState.setState({ editingGameId: null, editingGame: null })
 
-          // Recarregar jogos
+          // Recarregar jogos (e coleções e empréstimos, que perdem o jogo
+          // excluído)
           await spreadsheetService.fetchGames()
+          await handlers.loadCollections()
+          await handlers.loadLoans()
 
           uiFeedback.showMessage('Jogo excluído com sucesso!', 'success')
         }
@@ -911,6 +2837,93 @@ document.addEventListener('DOMContentLoaded', () => {
           `Erro ao excluir jogo: ${error.message}`,
           'error'
         )
+        // O jogo mudou no servidor: recarregar para exibir a versão atual
+        if (error.status === 409) {
+          await spreadsheetService.fetchGames()
+        }
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
+    // Troca a lista exibida; filtros e página voltam ao início
+    switchList: list => {
+      if (!GAME_LISTS[list] || list === appState.getState().currentList) return
+
+      elements.gameForm.classList.add('hidden')
+      elements.localSearchInput.value = ''
+      elements.filterStatus.value = ''
+      elements.filterPlatform.value = ''
+      elements.filterStore.value = ''
+      elements.filterTag.value = ''
+      elements.filterCollection.value = ''
+      elements.collectionDelete.classList.add('hidden')
+
+      // As listas abrem na ordem de prioridade; o catálogo, pelo início
+      const catalog = list === CATALOG_LIST
+      appState.setState({
+        currentList: list,
+        currentPage: 1,
+        sortColumn: catalog ? 'inicio' : 'prioridade',
+        sortAsc: !catalog,
+        currentFilters: {
+          search: '',
+          status: '',
+          platform: '',
+          store: '',
+          tag: '',
+          collection: ''
+        },
+        editingGameId: null,
+        editingGame: null
+      })
+    },
+
+    // Solta o jogo arrastado na posição de outro (1 = primeiro da lista)
+    reorderGame: async (gameId, position) => {
+      const game = appState.getState().games.find(g => g.id === gameId)
+      if (!game || Number(game.prioridade) === position) return
+
+      try {
+        uiFeedback.showLoading(true, 'Reordenando...')
+        await spreadsheetService.reorderGame(gameId, { position })
+        await spreadsheetService.fetchGames()
+      } catch (error) {
+        uiFeedback.showMessage(`Erro ao reordenar: ${error.message}`, 'error')
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
+    // Leva o jogo (com os dados da IGDB) da lista para o catálogo
+    moveToCatalog: async (gameId, gameName) => {
+      const confirmed = await modalManager.show(
+        'Mover para o catálogo',
+        `Mover "${gameName}" para Meus Jogos? Ele deixa de aparecer em ${
+          GAME_LISTS[appState.getState().currentList]
+        }.`
+      )
+      if (!confirmed) return
+
+      try {
+        uiFeedback.showLoading(true, 'Movendo jogo...')
+        const game = appState.getState().games.find(g => g.id === gameId)
+        await spreadsheetService.moveToCatalog(gameId, game?.version)
+
+        elements.gameForm.classList.add('hidden')
+        appState.setState({ editingGameId: null, editingGame: null })
+        await spreadsheetService.fetchGames()
+
+        uiFeedback.showMessage(
+          `"${gameName}" movido para o catálogo!`,
+          'success'
+        )
+      } catch (error) {
+        uiFeedback.showMessage(`Erro ao mover jogo: ${error.message}`, 'error')
+        // O jogo mudou no servidor: recarregar para exibir a versão atual
+        if (error.status === 409) {
+          await spreadsheetService.fetchGames()
+        }
       } finally {
         uiFeedback.showLoading(false)
       }
@@ -918,12 +2931,63 @@ document.addEventListener('DOMContentLoaded', () => {
 
     exportGames: async () => {
       try {
-        await spreadsheetService.exportGames()
+        await spreadsheetService.exportGames(elements.exportFormat.value)
       } catch (error) {
         uiFeedback.showMessage(`Erro ao exportar: ${error.message}`, 'error')
       }
     },
 
+    previewImport: async () => {
+      const file = elements.importFile.files[0]
+      importManager.reset()
+      if (!file) return
+
+      const contentType = file.name.toLowerCase().endsWith('.json')
+        ? 'application/json'
+        : 'text/csv'
+
+      try {
+        uiFeedback.showLoading(true, 'Validando arquivo...')
+        const content = await file.text()
+        const options = importManager.getOptions()
+        const result = await spreadsheetService.importGames(
+          content,
+          contentType,
+          { ...options, dryRun: true }
+        )
+        importManager.pending = { content, contentType, options }
+        importManager.renderPreview(result)
+      } catch (error) {
+        elements.importSummary.textContent = `Erro ao validar: ${error.message}`
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
+    confirmImport: async () => {
+      const { pending } = importManager
+      if (!pending) return
+
+      try {
+        uiFeedback.showLoading(true, 'Importando jogos...')
+        const result = await spreadsheetService.importGames(
+          pending.content,
+          pending.contentType,
+          pending.options
+        )
+        importManager.hide()
+        await spreadsheetService.fetchGames()
+        uiFeedback.showMessage(
+          `${result.imported} jogo(s) importado(s) com sucesso!`,
+          'success'
+        )
+      } catch (error) {
+        uiFeedback.showMessage(`Erro ao importar: ${error.message}`, 'error')
+      } finally {
+        uiFeedback.showLoading(false)
+      }
+    },
+
     toggleTheme: () => {
       const html = document.documentElement
       const isDark = html.classList.contains('dark')
@@ -997,6 +3061,85 @@ document.addEventListener('DOMContentLoaded', () => {
       })
     })
 
+    elements.filterStore.addEventListener('change', e => {
+      handlers.filterGames({
+        ...appState.getState().currentFilters,
+        store: e.target.value
+      })
+    })
+
+    elements.filterTag.addEventListener('change', e => {
+      handlers.filterGames({
+        ...appState.getState().currentFilters,
+        tag: e.target.value
+      })
+    })
+
+    elements.filterCollection.addEventListener('change', e => {
+      elements.collectionDelete.classList.toggle('hidden', !e.target.value)
+      handlers.filterGames({
+        ...appState.getState().currentFilters,
+        collection: e.target.value
+      })
+    })
+
+    // Empréstimos
+    // Abrir o painel recarrega os empréstimos em aberto
+    elements.loansButton.addEventListener('click', () => {
+      if (!elements.loansPanel.classList.toggle('hidden')) handlers.loadLoans()
+    })
+    elements.loansOverdue.addEventListener('change', () =>
+      renderers.loansPanel(appState.getState().loans)
+    )
+    elements.loanAdd.addEventListener('click', handlers.lendGame)
+
+    // Coleções
+    elements.collectionDelete.addEventListener(
+      'click',
+      handlers.deleteCollection
+    )
+    elements.collectionCreate.addEventListener(
+      'click',
+      handlers.createCollection
+    )
+    elements.collectionList.addEventListener('change', e => {
+      if (e.target.matches('.collection-checkbox')) {
+        handlers.toggleCollectionGame(e.target)
+      }
+    })
+
+    // Reordenação das listas (arrastar e soltar)
+    let draggedRow = null
+    elements.tableBody.addEventListener('dragstart', e => {
+      draggedRow = e.target.closest('tr[draggable="true"]')
+      if (!draggedRow) return
+      draggedRow.classList.add('dragging')
+      e.dataTransfer?.setData('text/plain', draggedRow.dataset.gameId)
+    })
+    elements.tableBody.addEventListener('dragover', e => {
+      const row = e.target.closest('tr[draggable="true"]')
+      if (!draggedRow || !row) return
+      e.preventDefault()
+      row.classList.add('drag-over')
+    })
+    elements.tableBody.addEventListener('dragleave', e => {
+      e.target.closest('tr')?.classList.remove('drag-over')
+    })
+    elements.tableBody.addEventListener('drop', e => {
+      const row = e.target.closest('tr[draggable="true"]')
+      if (!draggedRow || !row) return
+      e.preventDefault()
+      row.classList.remove('drag-over')
+      handlers.reorderGame(
+        draggedRow.dataset.gameId,
+        Number(row.dataset.position)
+      )
+    })
+    elements.tableBody.addEventListener('dragend', () => {
+      draggedRow?.classList.remove('dragging')
+      draggedRow = null
+    })
+
     // Pagination
     elements.prevPageBtn.addEventListener('click', () =>
       handlers.changePage('prev')
@@ -1015,10 +3158,20 @@ document.addEventListener('DOMContentLoaded', () => {
     // Form
     elements.cancelFormBtn.addEventListener('click', () => {
       elements.gameForm.classList.add('hidden')
-      appState.setState({ editingGameId: null })
+      appState.setState({ editingGameId: null, editingGame: null })
     })
 
     elements.gameFormElement.addEventListener('submit', handlers.submitForm)
+    elements.gameForm
+      .querySelector('#form-status')
+      .addEventListener('change', e => handlers.changeStatus(e.target.value))
+    elements.refreshIgdbBtn.addEventListener('click', handlers.refreshFromIgdb)
+    elements.gameForm
+      .querySelector('#form-preco')
+      .addEventListener('input', renderers.costPerHour)
+    elements.gameForm
+      .querySelector('#form-tempo')
+      .addEventListener('input', renderers.costPerHour)
 
     // Delete button (na seção de edição)
     elements.deleteGameBtn.addEventListener('click', () => {
@@ -1031,20 +3184,76 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     })
 
+    // Jogadas
+    elements.playthroughSave.addEventListener('click', handlers.savePlaythrough)
+    elements.playthroughCancel.addEventListener(
+      'click',
+      handlers.cancelPlaythroughEdit
+    )
+
+    // Sessões de jogo
+    elements.sessionAdd.addEventListener('click', handlers.addSession)
+
     // Modal
     elements.modalConfirm.addEventListener('click', modalManager.confirm)
     elements.modalCancel.addEventListener('click', modalManager.cancel)
 
+    // Conflict modal
+    elements.conflictMerge.addEventListener('click', () =>
+      conflictManager.choose('merge')
+    )
+    elements.conflictOverwrite.addEventListener('click', () =>
+      conflictManager.choose('overwrite')
+    )
+    elements.conflictCancel.addEventListener('click', () =>
+      conflictManager.choose('cancel')
+    )
+
     // Theme
     elements.themeToggle.addEventListener('click', handlers.toggleTheme)
 
+    // Listas
+    elements.listSwitcher.addEventListener('change', e =>
+      handlers.switchList(e.target.value)
+    )
+
     // Export
     elements.exportButton.addEventListener('click', handlers.exportGames)
 
+    // Import
+    elements.importButton.addEventListener('click', importManager.show)
+    elements.importFile.addEventListener('change', handlers.previewImport)
+    // Mudar as opções refaz o preview do arquivo escolhido
+    elements.importPreset.addEventListener('change', handlers.previewImport)
+    elements.importPlatform.addEventListener('change', handlers.previewImport)
+    elements.importMatch.addEventListener('change', handlers.previewImport)
+    elements.importConfirm.addEventListener('click', handlers.confirmImport)
+    elements.importCancel.addEventListener('click', importManager.hide)
+
     // Event delegation for action buttons
     document.addEventListener('click', e => {
       const editBtn = e.target.closest('.edit-btn')
       const deleteBtn = e.target.closest('.delete-btn')
+      const timerBtn = e.target.closest('.timer-btn')
+      const sessionDeleteBtn = e.target.closest('.session-delete-btn')
+      const playthroughsBtn = e.target.closest('.playthroughs-btn')
+      const playthroughEditBtn = e.target.closest('.playthrough-edit-btn')
+      const playthroughDeleteBtn = e.target.closest('.playthrough-delete-btn')
+      const tagChip = e.target.closest('.tag-chip')
+      const moveBtn = e.target.closest('.move-btn')
+      const loanReturnBtn = e.target.closest('.loan-return-btn')
+
+      if (loanReturnBtn) {
+        handlers.returnLoan(loanReturnBtn.dataset.loanId)
+      }
+
+      if (tagChip) {
+        elements.filterTag.value = tagChip.dataset.tag
+        handlers.filterGames({
+          ...appState.getState().currentFilters,
+          tag: tagChip.dataset.tag
+        })
+      }
 
       if (editBtn) {
         const gameId = editBtn.dataset.gameId
@@ -1056,6 +3265,30 @@ document.addEventListener('DOMContentLoaded', () => {
         const gameName = deleteBtn.dataset.gameName
         handlers.deleteGame(gameId, gameName)
       }
+
+      if (moveBtn) {
+        handlers.moveToCatalog(moveBtn.dataset.gameId, moveBtn.dataset.gameName)
+      }
+
+      if (timerBtn) {
+        const gameId = timerBtn.dataset.gameId
+        if (timerManager.isRunning(gameId)) handlers.stopTimer(gameId)
+        else handlers.startTimer(gameId)
+      }
+
+      if (playthroughsBtn) handlers.togglePlaythroughs(playthroughsBtn)
+
+      if (playthroughEditBtn) {
+        handlers.editPlaythrough(playthroughEditBtn.dataset.playthroughId)
+      }
+
+      if (playthroughDeleteBtn) {
+        handlers.deletePlaythrough(playthroughDeleteBtn.dataset.playthroughId)
+      }
+
+      if (sessionDeleteBtn) {
+        handlers.deleteSession(sessionDeleteBtn.dataset.sessionId)
+      }
     })
 
     // Global error handling
@@ -1075,14 +3308,23 @@ document.addEventListener('DOMContentLoaded', () => {
       )
     })
 
+    // Cronômetros iniciados ou parados em outra aba
+    window.addEventListener('storage', e => {
+      if (e.key === TIMERS_STORAGE_KEY) renderers.table(appState.getState())
+    })
+
     // Keyboard shortcuts
     document.addEventListener('keydown', e => {
       if (e.key === 'Escape') {
-        if (!elements.confirmationModal.classList.contains('hidden')) {
+        if (!elements.conflictModal.classList.contains('hidden')) {
+          conflictManager.choose('cancel')
+        } else if (!elements.importModal.classList.contains('hidden')) {
+          importManager.hide()
+        } else if (!elements.confirmationModal.classList.contains('hidden')) {
           modalManager.cancel()
         } else if (!elements.gameForm.classList.contains('hidden')) {
           elements.gameForm.classList.add('hidden')
-          appState.setState({ editingGameId: null })
+          appState.setState({ editingGameId: null, editingGame: null })
         }
       }
     })
@@ -1109,54 +3351,75 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Setup event listeners
     setupEventListeners()
+    timerManager.startTicking()
 
     // Subscribe to state changes
     appState.subscribe((oldState, newState) => {
+      // Filtros, ordenação e paginação são aplicados no servidor
       if (
-        oldState.games !== newState.games ||
-        oldState.currentFilters !== newState.currentFilters
+        oldState.currentList !== newState.currentList ||
+        oldState.currentFilters !== newState.currentFilters ||
+        oldState.currentPage !== newState.currentPage ||
+        oldState.sortColumn !== newState.sortColumn ||
+        oldState.sortAsc !== newState.sortAsc
       ) {
-        const { games, currentFilters } = newState
-
-        // Apply filters
-        const filteredGames = games.filter(game => {
-          const matchesSearch =
-            !currentFilters.search ||
-            Object.values(game).some(
-              value =>
-                value &&
-                value
-                  .toString()
-                  .toLowerCase()
-                  .includes(currentFilters.search.toLowerCase())
-            )
+        spreadsheetService.fetchGames().catch(error => {
+          uiFeedback.showMessage(
+            `Erro ao carregar jogos: ${error.message}`,
+            'error'
+          )
+        })
+      }
 
-          const matchesStatus =
-            !currentFilters.status || game.status === currentFilters.status
-          const matchesPlatform =
-            !currentFilters.platform ||
-            game.plataforma === currentFilters.platform
+      if (oldState.currentList !== newState.currentList) {
+        renderers.listMode(newState.currentList)
+      }
 
-          return matchesSearch && matchesStatus && matchesPlatform
-        })
+      if (oldState.games !== newState.games) {
+        renderers.table(newState)
+      }
 
-        appState.setState({ filteredGames })
+      if (oldState.platforms !== newState.platforms) {
+        renderers.platformFilter(newState.platforms)
       }
 
-      if (
-        oldState.filteredGames !== newState.filteredGames ||
-        oldState.currentPage !== newState.currentPage ||
-        oldState.sortColumn !== newState.sortColumn ||
-        oldState.sortAsc !== newState.sortAsc
-      ) {
+      if (oldState.stores !== newState.stores) {
+        renderers.storeFilter(newState.stores)
+      }
+
+      if (oldState.tags !== newState.tags) {
+        renderers.tagFilter(newState.tags)
+      }
+
+      if (oldState.loans !== newState.loans) {
+        renderers.loansPanel(newState.loans)
         renderers.table(newState)
       }
 
+      if (oldState.collections !== newState.collections) {
+        renderers.collectionFilter(newState.collections)
+        renderers.gameCollections(newState.editingGameId)
+      }
+
       if (oldState.isLoading !== newState.isLoading) {
         uiFeedback.showLoading(newState.isLoading)
       }
     })
 
+    // Coleções do filtro e do formulário
+    handlers.loadCollections()
+
+    // Empréstimos em aberto (painel e selos da tabela)
+    handlers.loadLoans()
+
+    // Regras de status do formulário (sem elas, o servidor ainda valida)
+    spreadsheetService
+      .fetchStatusRules()
+      .then(statusRules => appState.setState({ statusRules }))
+      .catch(error =>
+        console.error('Erro ao carregar regras de status:', error)
+      )
+
     // Load initial data
     try {
       await spreadsheetService.fetchGames()
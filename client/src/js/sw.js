@@ -1,13 +1,15 @@
 // Service Worker para PWA - Catálogo de Jogos
-const CACHE_VERSION = 'v1'
+const CACHE_VERSION = 'v2'
 const CACHE_NAME = `jogos-catalog-${CACHE_VERSION}`
 const API_CACHE_NAME = `jogos-api-${CACHE_VERSION}`
 
 const urlsToCache = [
   '/',
   '/index.html',
-  '/app.js',
-  '/styles.css',
+  '/js/app.js',
+  '/js/theme-init.js',
+  '/js/sw-register.js',
+  '/styles/index.css',
   '/manifest.json'
 ]
 
@@ -1,8 +0,0 @@
-// Registrar Service Worker para PWA
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker
-      .register('/sw.js')
-      .catch(e => console.log('SW registration failed:', e))
-  })
-}
@@ -7,7 +7,9 @@ const rateLimit = require('express-rate-limit')
 
 const {
   validateEnvironment,
-  getGoogleCredentials
+  getGoogleCredentials,
+  getStorageConfig,
+  getMetadataConfig
 } = require('./config/environment')
 const constants = require('./config/constants')
 const { logger, checkAuth } = require('./middleware/auth')
@@ -15,11 +17,18 @@ const errorHandler = require('./middleware/errorHandler')
 
 // Services
 const SheetsService = require('./services/sheetsService')
+const SqliteService = require('./services/sqliteService')
+const JsonFileService = require('./services/jsonFileService')
 const IGDBService = require('./services/igdbService')
+const FixtureMetadataProvider = require('./services/fixtureMetadataProvider')
 
 // Routes
 const gamesRoutes = require('./routes/games.routes')
+const collectionsRoutes = require('./routes/collections.routes')
+const listsRoutes = require('./routes/lists.routes')
+const loansRoutes = require('./routes/loans.routes')
 const healthRoutes = require('./routes/health.routes')
+const adminRoutes = require('./routes/admin.routes')
 
 // Validar ambiente
 validateEnvironment()
@@ -27,9 +36,24 @@ validateEnvironment()
 const app = express()
 
 // Middleware de segurança e parsing
-app.use(helmet())
+app.use(
+  helmet({
+    contentSecurityPolicy: {
+      directives: {
+        // Capas dos jogos vêm do CDN da IGDB
+        imgSrc: ["'self'", 'data:', 'https://images.igdb.com']
+      }
+    }
+  })
+)
+// Só as importações em lote (POST /games/import) aceitam corpos maiores; o
+// parser global, que vem depois, não relê um corpo já lido
+app.post(
+  [`${constants.API_PREFIX}/games/import`, '/games/import'],
+  express.json({ limit: constants.IMPORT_MAX_BODY_SIZE })
+)
 app.use(express.json())
-app.use(cors({ origin: constants.CORS_ORIGINS }))
+app.use(cors({ origin: constants.CORS_ORIGINS, exposedHeaders: ['ETag'] }))
 
 // Rate limiting
 const apiLimiter = rateLimit({
@@ -41,55 +65,119 @@ const apiLimiter = rateLimit({
 })
 
 // Instâncias de serviços globais
-let sheetsService = null
-let igdbService = null
+let gameRepository = null
+// Registros auxiliares no mesmo backend dos jogos (sessões de jogo etc.)
+let stores = null
+// Listas separadas do catálogo (GAME_LISTS), no mesmo backend
+let lists = null
+let metadataProvider = null
 let authReady = false
 let authError = null
 
+// Injetar serviços nos requisitos (preenchidos após a inicialização)
+app.use((req, res, next) => {
+  req.auth = { ready: authReady, error: authError }
+  req.gameRepository = gameRepository
+  req.stores = stores
+  req.lists = lists
+  req.metadataProvider = metadataProvider
+  next()
+})
+
 /**
- * Inicializa os serviços
+ * Cria o repositório de jogos conforme STORAGE_BACKEND
+ * @param {Object} storage - Configuração de armazenamento
  */
-const initializeServices = async () => {
-  try {
-    const credentials = getGoogleCredentials()
+const createGameRepository = async storage => {
+  switch (storage.backend) {
+    case 'sqlite':
+      return new SqliteService(storage.sqliteFile)
+    case 'json':
+      return new JsonFileService(storage.jsonFile)
+    default: {
+      const credentials = getGoogleCredentials()
+
+      const auth = new google.auth.GoogleAuth({
+        credentials,
+        scopes: constants.GOOGLE_SHEETS_SCOPES
+      })
 
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: constants.GOOGLE_SHEETS_SCOPES
-    })
+      // Testar a autenticação
+      await auth.getClient()
 
-    // Testar a autenticação
-    await auth.getClient()
+      return new SheetsService(
+        auth,
+        process.env.SPREADSHEET_ID || constants.SPREADSHEET_ID
+      )
+    }
+  }
+}
 
-    // Inicializar Sheets Service com auth e spreadsheetId
-    sheetsService = new SheetsService(
-      auth,
-      process.env.SPREADSHEET_ID || constants.SPREADSHEET_ID
-    )
+/**
+ * Cria o provedor de metadados conforme METADATA_PROVIDER
+ * @param {Object} metadata - Configuração do provedor
+ */
+const createMetadataProvider = metadata => {
+  switch (metadata.provider) {
+    case 'fixture':
+      return new FixtureMetadataProvider(metadata.fixtureFile)
+    default:
+      return new IGDBService(
+        process.env.TWITCH_CLIENT_ID,
+        process.env.TWITCH_CLIENT_SECRET
+      )
+  }
+}
 
-    // Inicializar IGDB Service
-    igdbService = new IGDBService(
-      process.env.TWITCH_CLIENT_ID,
-      process.env.TWITCH_CLIENT_SECRET
+/**
+ * Inicializa os serviços
+ */
+const initializeServices = async () => {
+  const storage = getStorageConfig()
+
+  // Metadados não dependem do armazenamento: a busca funciona mesmo se ele falhar
+  metadataProvider = createMetadataProvider(getMetadataConfig())
+
+  try {
+    gameRepository = await createGameRepository(storage)
+    stores = {
+      sessions: gameRepository.createStore(
+        constants.SESSIONS_STORE,
+        constants.SESSION_FIELDS
+      ),
+      playthroughs: gameRepository.createStore(
+        constants.PLAYTHROUGHS_STORE,
+        constants.PLAYTHROUGH_FIELDS
+      ),
+      history: gameRepository.createStore(
+        constants.HISTORY_STORE,
+        constants.HISTORY_FIELDS
+      ),
+      collections: gameRepository.createStore(
+        constants.COLLECTIONS_STORE,
+        constants.COLLECTION_FIELDS
+      ),
+      loans: gameRepository.createStore(
+        constants.LOANS_STORE,
+        constants.LOAN_FIELDS
+      )
+    }
+    lists = Object.fromEntries(
+      Object.entries(constants.GAME_LISTS).map(([list, name]) => [
+        list,
+        gameRepository.createList(name)
+      ])
     )
 
     authReady = true
-    logger.info('Serviços inicializados com sucesso')
-
-    // Adicionar auth aos requisitos do app
-    app.use((req, res, next) => {
-      req.auth = { ready: true, error: null }
-      req.sheetsService = sheetsService
-      req.igdbService = igdbService
-      next()
+    logger.info('Serviços inicializados com sucesso', {
+      storage: storage.backend
     })
   } catch (err) {
     authError = err
-    logger.error('Falha ao inicializar serviços', { error: err.message })
-
-    app.use((req, res, next) => {
-      req.auth = { ready: false, error: authError }
-      next()
+    logger.error('Falha ao inicializar serviços', {
+      error: err.message,
+      storage: storage.backend
     })
   }
 }
@@ -97,40 +185,38 @@ const initializeServices = async () => {
 // Inicializar serviços no startup
 initializeServices()
 
-/**
- * Rota de busca IGDB
- */
-app.get('/search', apiLimiter, async (req, res, next) => {
-  try {
-    const { name } = req.query
-    const safe = String(name ?? '').trim()
-
-    if (!safe) {
-      return res.status(400).json({
-        message: 'Nome do jogo é obrigatório'
-      })
-    }
-
-    const results = await req.igdbService.searchGames(safe)
-    res.json(results)
-  } catch (error) {
-    next(error)
-  }
-})
+// Rotas da API (canônicas, versionadas)
+app.use(`${constants.API_PREFIX}/games`, gamesRoutes)
+app.use(`${constants.API_PREFIX}/collections`, collectionsRoutes)
+app.use(`${constants.API_PREFIX}/loans`, loansRoutes)
+app.use(
+  `${constants.API_PREFIX}/:list(${Object.keys(constants.GAME_LISTS).join('|')})`,
+  listsRoutes
+)
+app.use(`${constants.API_PREFIX}/admin`, apiLimiter, adminRoutes)
+app.use('/health', healthRoutes)
 
-// Rotas da API
+// Compatibilidade: rotas sem versão usadas por clientes antigos
 app.use('/games', gamesRoutes)
-app.use('/health', healthRoutes)
+app.get('/search', (req, res) => {
+  res.redirect(308, `${constants.API_PREFIX}/games${req.url}`)
+})
 
 // Servir frontend estático
-app.use(express.static(path.join(__dirname, '../../client/src')))
+const clientDir = path.join(__dirname, '../../client/src')
+
+// O Service Worker precisa ser servido na raiz para controlar todo o site
+app.get('/sw.js', (req, res) => {
+  res.sendFile(path.join(clientDir, 'js', 'sw.js'))
+})
+app.use(express.static(clientDir))
 
 // Middleware de tratamento de erros
 app.use(errorHandler)
 
 // Rota padrão para SPA
 app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, '../../client/src', 'index.html'))
+  res.sendFile(path.join(clientDir, 'index.html'))
 })
 
 module.exports = app
@@ -1,14 +1,195 @@
+const path = require('path')
+
+// Campos originais do catálogo
+const BASE_FIELDS = [
+  'plataforma',
+  'nome',
+  'dataLancamento',
+  'genero',
+  'status',
+  'tempo',
+  'inicio',
+  'fim',
+  'nota'
+]
+const BASE_HEADERS = [
+  'Plataforma',
+  'Nome',
+  'Lançamento',
+  'Gênero',
+  'Status',
+  'Tempo',
+  'Início',
+  'Fim',
+  'Nota'
+]
+
+// Campos adicionados depois (metadados da IGDB)
+const EXTRA_FIELDS = [
+  'capa',
+  'resumo',
+  'desenvolvedora',
+  'publicadora',
+  'franquia',
+  'modos',
+  'notaCritica',
+  'igdbId'
+]
+const EXTRA_HEADERS = [
+  'Capa',
+  'Resumo',
+  'Desenvolvedora',
+  'Publicadora',
+  'Franquia',
+  'Modos de Jogo',
+  'Nota da Crítica',
+  'IGDB ID'
+]
+
+// Campos do usuário adicionados depois dos metadados
+// `tags`: etiquetas livres separadas por vírgula ("couch co-op, 100%")
+// `prioridade`: posição na lista de desejos/backlog (1 = primeiro)
+// `estimativa`: duração estimada, no formato de `tempo` ("20h", "90m")
+const USER_FIELDS = ['tags', 'prioridade', 'estimativa']
+const USER_HEADERS = ['Tags', 'Prioridade', 'Duração Estimada']
+
+// Posse e compra: formato (OWNERSHIP_FORMATS), loja, edição, data e preço
+// da compra e serviços de assinatura com o jogo ("Game Pass, PS Plus")
+const OWNERSHIP_FIELDS = [
+  'formato',
+  'loja',
+  'edicao',
+  'dataCompra',
+  'preco',
+  'assinatura'
+]
+const OWNERSHIP_HEADERS = [
+  'Formato',
+  'Loja',
+  'Edição',
+  'Data da Compra',
+  'Preço',
+  'Assinatura'
+]
+
+// Relação entre jogos: `tipo` (GAME_TYPES) e `jogoPai`, o ID do jogo base de
+// uma DLC ou expansão (na mesma lista)
+const RELATION_FIELDS = ['tipo', 'jogoPai']
+const RELATION_HEADERS = ['Tipo', 'Jogo Base']
+
 module.exports = {
   SPREADSHEET_ID: process.env.SPREADSHEET_ID,
   SHEET_NAME: 'Jogos',
-  DATA_RANGE: 'Jogos!A2:I',
+  DATA_RANGE: 'Jogos!A2:J',
   HEADER_ROW: 1,
   PORT: process.env.PORT || 3000,
   NODE_ENV: process.env.NODE_ENV || 'development',
+  // Prefixo das rotas versionadas da API
+  API_PREFIX: '/api/v1',
   RATE_LIMIT_WINDOW: 15 * 60 * 1000,
   RATE_LIMIT_MAX_REQUESTS: 100,
+  // Provedores de metadados (busca de jogos)
+  METADATA_PROVIDERS: ['igdb', 'fixture'],
+  DEFAULT_METADATA_PROVIDER: 'igdb',
+  METADATA_FIXTURE_FILE: path.join(__dirname, '../../fixtures/igdb-games.json'),
   IGDB_API_URL: 'https://api.igdb.com/v4/games',
+  IGDB_IMAGE_URL: 'https://images.igdb.com/igdb/image/upload',
+  // Limites da IGDB: 4 requisições/s e até 8 abertas ao mesmo tempo
+  IGDB_MAX_CONCURRENCY: 8,
+  IGDB_REQUESTS_PER_SECOND: 4,
+  // Novas tentativas após 429 (espera do Retry-After ou backoff exponencial)
+  IGDB_MAX_RETRIES: 3,
+  IGDB_RETRY_BASE_DELAY: 1000,
   TWITCH_AUTH_URL: 'https://id.twitch.tv/oauth2/token',
   GOOGLE_SHEETS_SCOPES: ['https://www.googleapis.com/auth/spreadsheets'],
-  CORS_ORIGINS: process.env.FRONTEND_ORIGIN?.split(',') || []
+  CORS_ORIGINS: process.env.FRONTEND_ORIGIN?.split(',') || [],
+  // Armazenamento
+  STORAGE_BACKENDS: ['sheets', 'sqlite', 'json'],
+  DEFAULT_STORAGE_BACKEND: 'sheets',
+  SQLITE_FILE: path.join(__dirname, '../../data/games.db'),
+  JSON_DATA_FILE: path.join(__dirname, '../../data/games.json'),
+  GAME_STATUSES: ['Não iniciado', 'Jogando', 'Pausado', 'Concluído', 'Dropado'],
+  // Cache em memória (TTL em segundos)
+  CACHE_TTL_GAMES: Number(process.env.CACHE_TTL_GAMES) || 60,
+  CACHE_TTL_IGDB: Number(process.env.CACHE_TTL_IGDB) || 3600,
+  // Paginação de GET /games
+  DEFAULT_PAGE_SIZE: 10,
+  MAX_PAGE_SIZE: 100,
+  // Importação em lote (POST /games/import)
+  IMPORT_MAX_ROWS: 1000,
+  IMPORT_MAX_BODY_SIZE: '2mb',
+  // Formatos de GET /games/export
+  EXPORT_FORMATS: ['csv', 'json', 'xlsx', 'md', 'ics'],
+  // Sessões de jogo: aba/tabela própria; `duracao` em minutos
+  SESSIONS_STORE: 'sessoes',
+  SESSION_FIELDS: ['gameId', 'inicio', 'fim', 'duracao', 'playthroughId'],
+  SESSION_MAX_MINUTES: 24 * 60,
+  // Jogadas (replays) de um jogo; a mais recente é espelhada nos campos
+  // PLAYTHROUGH_GAME_FIELDS do jogo
+  PLAYTHROUGHS_STORE: 'jogadas',
+  PLAYTHROUGH_FIELDS: [
+    'gameId',
+    'numero',
+    'status',
+    'inicio',
+    'fim',
+    'tempo',
+    'dificuldade',
+    'notas',
+    'nota'
+  ],
+  PLAYTHROUGH_GAME_FIELDS: ['status', 'inicio', 'fim', 'tempo', 'nota'],
+  // Histórico de status: uma linha por mudança (`data` em ISO)
+  HISTORY_STORE: 'historico',
+  HISTORY_FIELDS: ['gameId', 'de', 'para', 'data'],
+  // Empréstimos de cópias físicas: `data` do empréstimo, `previsao` de
+  // devolução e `devolucao` (vazia enquanto o jogo não volta)
+  LOANS_STORE: 'emprestimos',
+  LOAN_FIELDS: ['gameId', 'pessoa', 'data', 'previsao', 'devolucao'],
+  // Listas de jogos separadas do catálogo (rota: nome da aba/tabela/chave),
+  // com os mesmos campos dos jogos
+  GAME_LISTS: { wishlist: 'desejos', backlog: 'backlog' },
+  // GET /:list/next: quantidade padrão e máxima de sugestões
+  NEXT_DEFAULT_LIMIT: 3,
+  NEXT_MAX_LIMIT: 10,
+  // Coleções nomeadas de jogos; `jogos` guarda os IDs separados por vírgula
+  COLLECTIONS_STORE: 'colecoes',
+  COLLECTION_FIELDS: ['nome', 'descricao', 'jogos'],
+  OWNERSHIP_FORMATS: ['Físico', 'Digital'],
+  // Tipos de jogo (category/game_type da IGDB; ver metadataProvider)
+  GAME_TYPES: ['Jogo', 'DLC', 'Expansão', 'Pacote'],
+  // Limites das tags de um jogo
+  TAG_MAX_LENGTH: 50,
+  TAGS_MAX_PER_GAME: 20,
+  // Campos de um jogo (originais seguidos dos metadados, dos do usuário, dos
+  // de posse e compra e dos de relação)
+  GAME_FIELDS: [
+    ...BASE_FIELDS,
+    ...EXTRA_FIELDS,
+    ...USER_FIELDS,
+    ...OWNERSHIP_FIELDS,
+    ...RELATION_FIELDS
+  ],
+  GAME_HEADERS: [
+    ...BASE_HEADERS,
+    ...EXTRA_HEADERS,
+    ...USER_HEADERS,
+    ...OWNERSHIP_HEADERS,
+    ...RELATION_HEADERS
+  ],
+  // Calculados a partir dos campos (não são armazenados); `tempoTotal` e
+  // `dlcs` somam o jogo base com suas DLCs e expansões
+  DERIVED_FIELDS: ['custoPorHora', 'tempoTotal', 'dlcs'],
+  // Ordem das colunas da planilha: campos originais (A–I), ID (J) e os campos
+  // adicionados depois, sempre no final para não deslocar planilhas existentes
+  SHEET_COLUMNS: [
+    ...BASE_FIELDS,
+    'id',
+    ...EXTRA_FIELDS,
+    ...USER_FIELDS,
+    ...OWNERSHIP_FIELDS,
+    ...RELATION_FIELDS
+  ],
+  // Cabeçalho da coluna com o ID persistente (UUID) de cada jogo
+  ID_HEADER: 'ID'
 }
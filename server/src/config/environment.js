@@ -1,14 +1,67 @@
 require('dotenv').config()
 
-const requiredEnvVars = [
-  'SPREADSHEET_ID',
-  'GOOGLE_CREDENTIALS_JSON',
-  'TWITCH_CLIENT_ID',
-  'TWITCH_CLIENT_SECRET'
-]
+const constants = require('./constants')
+
+// Variáveis exigidas por cada backend de armazenamento
+const storageEnvVars = {
+  sheets: ['SPREADSHEET_ID', 'GOOGLE_CREDENTIALS_JSON'],
+  sqlite: [],
+  json: []
+}
+
+// Variáveis exigidas por cada provedor de metadados
+const metadataEnvVars = {
+  igdb: ['TWITCH_CLIENT_ID', 'TWITCH_CLIENT_SECRET'],
+  fixture: []
+}
+
+/**
+ * Obtém a configuração do provedor de metadados
+ * METADATA_PROVIDER: igdb (padrão) ou fixture
+ */
+const getMetadataConfig = () => ({
+  provider: (
+    process.env.METADATA_PROVIDER || constants.DEFAULT_METADATA_PROVIDER
+  ).toLowerCase(),
+  fixtureFile:
+    process.env.METADATA_FIXTURE_FILE || constants.METADATA_FIXTURE_FILE
+})
+
+/**
+ * Obtém a configuração de armazenamento a partir das variáveis de ambiente
+ * STORAGE_BACKEND: sheets (padrão), sqlite ou json
+ */
+const getStorageConfig = () => ({
+  backend: (
+    process.env.STORAGE_BACKEND || constants.DEFAULT_STORAGE_BACKEND
+  ).toLowerCase(),
+  sqliteFile: process.env.SQLITE_FILE || constants.SQLITE_FILE,
+  jsonFile: process.env.JSON_DATA_FILE || constants.JSON_DATA_FILE
+})
 
 const validateEnvironment = () => {
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName])
+  const { backend } = getStorageConfig()
+  if (!constants.STORAGE_BACKENDS.includes(backend)) {
+    console.error(
+      `❌ STORAGE_BACKEND inválido: "${backend}". Use um de:`,
+      constants.STORAGE_BACKENDS.join(', ')
+    )
+    process.exit(1)
+  }
+
+  const { provider } = getMetadataConfig()
+  if (!constants.METADATA_PROVIDERS.includes(provider)) {
+    console.error(
+      `❌ METADATA_PROVIDER inválido: "${provider}". Use um de:`,
+      constants.METADATA_PROVIDERS.join(', ')
+    )
+    process.exit(1)
+  }
+
+  const missingVars = [
+    ...storageEnvVars[backend],
+    ...metadataEnvVars[provider]
+  ].filter(varName => !process.env[varName])
   if (missingVars.length > 0) {
     console.error(
       '❌ Variáveis de ambiente obrigatórias ausentes:',
@@ -32,5 +85,7 @@ const getGoogleCredentials = () => {
 
 module.exports = {
   validateEnvironment,
-  getGoogleCredentials
+  getGoogleCredentials,
+  getStorageConfig,
+  getMetadataConfig
 }
@@ -0,0 +1,73 @@
+/**
+ * Layouts de exportação de outros rastreadores de jogos
+ *
+ * Cada preset define:
+ * - `columns`: cabeçalhos aceitos para cada campo do jogo, em ordem de
+ *   preferência (comparados sem diferenciar maiúsculas e acentos)
+ * - `statusFlags`: colunas marcadas (ex.: "X") que indicam o status, para
+ *   exports que usam uma coluna por lista
+ * - `ratingScale`: nota máxima do rastreador (convertida para 0-10)
+ * - `dateOrder`: ordem de datas com barras (`dmy` = 31/12/2024, `mdy` = 12/31/2024)
+ *
+ * Um mapeamento explícito (`mapping`) enviado na importação tem prioridade
+ * sobre as colunas do preset
+ */
+module.exports = {
+  generic: {
+    label: 'CSV genérico',
+    columns: {
+      nome: ['nome', 'name', 'title', 'game', 'jogo', 'titulo'],
+      plataforma: ['plataforma', 'platform', 'platforms', 'system', 'console'],
+      status: ['status', 'state', 'shelf', 'shelves', 'list'],
+      dataLancamento: [
+        'lancamento',
+        'data de lancamento',
+        'release date',
+        'release_date',
+        'released'
+      ],
+      genero: ['genero', 'genre', 'genres'],
+      tempo: ['tempo', 'playtime', 'time played', 'hours played', 'hours'],
+      inicio: ['inicio', 'start date', 'started', 'date started'],
+      fim: ['fim', 'finish date', 'finished', 'completed', 'date completed'],
+      nota: ['nota', 'rating', 'score', 'my rating'],
+      loja: ['loja', 'store', 'storefront'],
+      preco: ['preco', 'price', 'purchase price'],
+      dataCompra: ['data da compra', 'purchase date', 'date purchased']
+    },
+    ratingScale: 10,
+    dateOrder: 'dmy'
+  },
+  hltb: {
+    label: 'HowLongToBeat',
+    columns: {
+      nome: ['title', 'game'],
+      plataforma: ['platform'],
+      tempo: ['progress', 'main story'],
+      inicio: ['start date'],
+      fim: ['finish date', 'completion date'],
+      nota: ['review']
+    },
+    statusFlags: {
+      playing: 'Jogando',
+      backlog: 'Não iniciado',
+      completed: 'Concluído',
+      retired: 'Dropado'
+    },
+    ratingScale: 100,
+    dateOrder: 'mdy'
+  },
+  grouvee: {
+    label: 'Grouvee',
+    columns: {
+      nome: ['name'],
+      plataforma: ['platforms'],
+      status: ['shelves'],
+      dataLancamento: ['release_date'],
+      genero: ['genres'],
+      nota: ['rating']
+    },
+    ratingScale: 5,
+    dateOrder: 'mdy'
+  }
+}
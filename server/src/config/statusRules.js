@@ -0,0 +1,30 @@
+/**
+ * Fluxo de status dos jogos
+ *
+ * - `transitions`: status para os quais cada status pode mudar (manter o
+ *   mesmo status é sempre permitido; ao criar um jogo, qualquer status vale)
+ * - `dateStamps`: datas preenchidas com o dia atual, se vazias, ao entrar
+ *   no status
+ * - `forbiddenDates`: datas que um jogo no status não pode ter
+ *
+ * Usado pelo servidor (POST/PUT /games) e pelo formulário do cliente, via
+ * GET /games/status-rules
+ */
+module.exports = {
+  transitions: {
+    'Não iniciado': ['Jogando', 'Concluído', 'Dropado'],
+    Jogando: ['Pausado', 'Concluído', 'Dropado', 'Não iniciado'],
+    Pausado: ['Jogando', 'Concluído', 'Dropado'],
+    // Rejogar volta para "Jogando"
+    Concluído: ['Jogando'],
+    Dropado: ['Jogando', 'Pausado']
+  },
+  dateStamps: {
+    Jogando: ['inicio'],
+    Concluído: ['fim'],
+    Dropado: ['fim']
+  },
+  forbiddenDates: {
+    'Não iniciado': ['fim']
+  }
+}
@@ -33,7 +33,7 @@ const checkAuth = (req, res, next) => {
   if (!req.auth || !req.auth.ready) {
     return res.status(503).json({
       message:
-        'Serviço temporariamente indisponível. Autenticação Google não inicializada.',
+        'Serviço temporariamente indisponível. Armazenamento não inicializado.',
       error: req.auth?.error?.message
     })
   }
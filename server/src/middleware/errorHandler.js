@@ -9,13 +9,15 @@ const errorHandler = (err, req, res, next) => {
   })
 
   const statusCode = err.statusCode || 500
+  // Erros de cliente (4xx) sempre expõem a mensagem
   const message =
-    process.env.NODE_ENV === 'development'
+    statusCode < 500 || process.env.NODE_ENV === 'development'
       ? err.message
       : 'Ocorreu um erro inesperado no servidor.'
 
   res.status(statusCode).json({
     message,
+    ...err.details,
     ...(process.env.NODE_ENV === 'development' && { error: err.message })
   })
 }
@@ -1,5 +1,9 @@
 const Joi = require('joi')
 const { logger } = require('./auth')
+const constants = require('../config/constants')
+const IMPORT_PRESETS = require('../config/importPresets')
+const { checkGameDates } = require('../utils/gameDates')
+const { checkTags } = require('../utils/tags')
 
 const gameSchema = Joi.object({
   plataforma: Joi.string().trim().required().max(100),
@@ -7,14 +11,63 @@ const gameSchema = Joi.object({
   dataLancamento: Joi.string().isoDate().allow(''),
   genero: Joi.string().allow('').max(200),
   status: Joi.string()
-    .valid('Não iniciado', 'Jogando', 'Pausado', 'Concluído', 'Dropado')
+    .valid(...constants.GAME_STATUSES)
     .default('Não iniciado'),
   tempo: Joi.string()
     .pattern(/^(\d+h)?\s*(\d+m?)?$/i)
     .allow(''),
   inicio: Joi.string().isoDate().allow(''),
   fim: Joi.string().isoDate().allow(''),
-  nota: Joi.number().min(0).max(10).allow(null, '')
+  nota: Joi.number().min(0).max(10).allow(null, ''),
+  // Nas listas, a prioridade só muda por POST /:list/:id/reorder
+  prioridade: Joi.number().integer().min(1).allow(null, ''),
+  estimativa: Joi.string()
+    .pattern(/^(\d+h)?\s*(\d+m?)?$/i)
+    .allow(''),
+  // Posse e compra
+  formato: Joi.string()
+    .valid(...constants.OWNERSHIP_FORMATS)
+    .allow(''),
+  loja: Joi.string().trim().allow('').max(100),
+  edicao: Joi.string().trim().allow('').max(100),
+  dataCompra: Joi.string().isoDate().allow(''),
+  preco: Joi.number().min(0).max(100000).allow(null, ''),
+  assinatura: Joi.string().trim().allow('').max(200),
+  // DLC, expansão ou pacote e o jogo base (ID de um jogo da mesma lista; ver
+  // RelationService)
+  tipo: Joi.string()
+    .valid(...constants.GAME_TYPES)
+    .allow(''),
+  jogoPai: Joi.string().guid({ version: 'uuidv4' }).allow(''),
+  // Metadados da IGDB
+  capa: Joi.string()
+    .uri({ scheme: ['https'] })
+    .max(500)
+    .allow(''),
+  resumo: Joi.string().allow('').max(5000),
+  desenvolvedora: Joi.string().allow('').max(200),
+  publicadora: Joi.string().allow('').max(200),
+  franquia: Joi.string().allow('').max(200),
+  modos: Joi.string().allow('').max(200),
+  notaCritica: Joi.number().min(0).max(100).allow(null, ''),
+  igdbId: Joi.number().integer().positive().allow(null, ''),
+  // Tags separadas por vírgula ou em lista
+  tags: Joi.alternatives().try(
+    Joi.string().allow('').max(2000),
+    Joi.array().items(Joi.string().allow(''))
+  ),
+  // Enviados pelo cliente ao editar; o ID vem da URL e a versão do If-Match
+  id: Joi.any().strip(),
+  version: Joi.any().strip(),
+  // Campos calculados pelo servidor (ex.: custoPorHora)
+  ...Object.fromEntries(
+    constants.DERIVED_FIELDS.map(field => [field, Joi.any().strip()])
+  )
+}).custom((game, helpers) => {
+  // Coerência entre datas e status (fim >= início, config/statusRules)
+  const [message] = checkGameDates(game)
+  const error = message || checkTags(game.tags)
+  return error ? helpers.message(error) : game
 })
 
 const validateGame = (req, res, next) => {
@@ -29,7 +82,371 @@ const validateGame = (req, res, next) => {
   next()
 }
 
+// Filtros e ordenação comuns à listagem e à exportação
+const gameFilterKeys = {
+  status: Joi.string()
+    .valid(...constants.GAME_STATUSES)
+    .allow(''),
+  platform: Joi.string().trim().max(100).allow(''),
+  store: Joi.string().trim().max(100).allow(''),
+  tag: Joi.string().trim().max(constants.TAG_MAX_LENGTH).allow(''),
+  collection: Joi.string().guid({ version: 'uuidv4' }).allow(''),
+  q: Joi.string().trim().max(200).allow(''),
+  sort: Joi.string().valid(
+    ...constants.GAME_FIELDS,
+    ...constants.DERIVED_FIELDS
+  ),
+  order: Joi.string().valid('asc', 'desc').default('asc'),
+  // Agrupa as DLCs e expansões logo abaixo do jogo base
+  group: Joi.boolean().default(false)
+}
+
+const gameQuerySchema = Joi.object({
+  ...gameFilterKeys,
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number()
+    .integer()
+    .min(1)
+    .max(constants.MAX_PAGE_SIZE)
+    .default(constants.DEFAULT_PAGE_SIZE)
+})
+
+// Sugestões de GET /:list/next (`maxHours`: duração estimada máxima)
+const nextQuerySchema = Joi.object({
+  platform: Joi.string().trim().max(100).allow(''),
+  tag: Joi.string().trim().max(constants.TAG_MAX_LENGTH).allow(''),
+  maxHours: Joi.number().positive().max(10000),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(constants.NEXT_MAX_LIMIT)
+    .default(constants.NEXT_DEFAULT_LIMIT)
+})
+
+// Empréstimos em aberto (GET /loans); `overdue`: só os atrasados
+const loanQuerySchema = Joi.object({
+  overdue: Joi.boolean().default(false)
+})
+
+const searchQuerySchema = Joi.object({
+  name: Joi.string().trim().required().max(100).messages({
+    'any.required': 'Nome do jogo é obrigatório',
+    'string.empty': 'Nome do jogo é obrigatório'
+  })
+})
+
+const exportQuerySchema = Joi.object({
+  ...gameFilterKeys,
+  format: Joi.string()
+    .valid(...constants.EXPORT_FORMATS)
+    .default('csv')
+})
+
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  // Exports de outros rastreadores
+  preset: Joi.string().valid(...Object.keys(IMPORT_PRESETS)),
+  mapping: Joi.object().pattern(
+    Joi.string().valid(...constants.GAME_FIELDS),
+    Joi.string().trim().min(1).max(100)
+  ),
+  ratingScale: Joi.number().positive().max(1000),
+  dateOrder: Joi.string().valid('dmy', 'mdy'),
+  defaultPlatform: Joi.string().trim().max(100),
+  matchMetadata: Joi.boolean().default(false)
+})
+
+/**
+ * Cria um middleware que valida (e normaliza) a query string
+ * @param {Joi.Schema} schema - Schema dos parâmetros de consulta
+ */
+const validateQuery = schema => (req, res, next) => {
+  const { error, value } = schema.validate(req.query)
+  if (error) {
+    logger.warn('Validação da consulta falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Parâmetros de consulta inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  req.query = value
+  next()
+}
+
+const validateGameQuery = validateQuery(gameQuerySchema)
+const validateNextQuery = validateQuery(nextQuerySchema)
+const validateLoanQuery = validateQuery(loanQuerySchema)
+const validateSearchQuery = validateQuery(searchQuerySchema)
+const validateExportQuery = validateQuery(exportQuerySchema)
+const validateImportQuery = validateQuery(importQuerySchema)
+
+const playthroughSchema = Joi.object({
+  status: Joi.string().valid(...constants.GAME_STATUSES),
+  inicio: Joi.string().isoDate().allow(''),
+  fim: Joi.string().isoDate().allow(''),
+  tempo: Joi.string()
+    .pattern(/^(\d+h)?\s*(\d+m?)?$/i)
+    .allow(''),
+  dificuldade: Joi.string().trim().allow('').max(100),
+  notas: Joi.string().allow('').max(2000),
+  nota: Joi.number().min(0).max(10).allow(null, ''),
+  // Enviados pelo cliente ao editar; o ID vem da URL
+  id: Joi.any().strip(),
+  gameId: Joi.any().strip(),
+  numero: Joi.any().strip()
+})
+
+const validatePlaythrough = (req, res, next) => {
+  const { error } = playthroughSchema.validate(req.body)
+  if (error) {
+    logger.warn('Validação da jogada falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Dados inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  next()
+}
+
+const sessionSchema = Joi.object({
+  inicio: Joi.string().isoDate().required(),
+  fim: Joi.string().isoDate().allow(''),
+  duracao: Joi.number()
+    .integer()
+    .min(1)
+    .max(constants.SESSION_MAX_MINUTES)
+    .allow(null, '')
+})
+  // A duração pode ser informada ou calculada a partir do fim
+  .or('fim', 'duracao')
+
+const validateSession = (req, res, next) => {
+  const { error } = sessionSchema.validate(req.body)
+  if (error) {
+    logger.warn('Validação da sessão falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Dados inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  next()
+}
+
+// Empréstimo de uma cópia física (sem `data`, o empréstimo é de hoje)
+const loanSchema = Joi.object({
+  pessoa: Joi.string().trim().required().max(100),
+  data: Joi.string().isoDate().allow(''),
+  previsao: Joi.string().isoDate().allow('')
+})
+
+const validateLoan = (req, res, next) => {
+  const { error } = loanSchema.validate(req.body)
+  if (error) {
+    logger.warn('Validação do empréstimo falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Dados inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  next()
+}
+
+// Devolução (sem `devolucao`, o jogo voltou hoje)
+const loanReturnSchema = Joi.object({
+  devolucao: Joi.string().isoDate().allow('')
+})
+
+const validateLoanReturn = (req, res, next) => {
+  const { error } = loanReturnSchema.validate(req.body)
+  if (error) {
+    logger.warn('Validação da devolução falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Dados inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  next()
+}
+
+const collectionSchema = Joi.object({
+  nome: Joi.string().trim().required().max(100),
+  descricao: Joi.string().trim().allow('').max(500),
+  jogos: Joi.array()
+    .items(Joi.string().guid({ version: 'uuidv4' }))
+    .unique(),
+  // Enviados pelo cliente ao editar; o ID vem da URL
+  id: Joi.any().strip(),
+  total: Joi.any().strip()
+})
+
+const validateCollection = (req, res, next) => {
+  const { error } = collectionSchema.validate(req.body)
+  if (error) {
+    logger.warn('Validação da coleção falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Dados inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  next()
+}
+
+// Renomear uma tag em todos os jogos (PUT /games/tags/:tag)
+const tagRenameSchema = Joi.object({
+  nome: Joi.string()
+    .trim()
+    .required()
+    .max(constants.TAG_MAX_LENGTH)
+    .pattern(/^[^,]+$/)
+    .messages({ 'string.pattern.base': 'A tag não pode conter vírgulas' })
+})
+
+const validateTagRename = (req, res, next) => {
+  const { error } = tagRenameSchema.validate(req.body)
+  if (error) {
+    logger.warn('Validação da tag falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Dados inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  next()
+}
+
+const tagSchema = Joi.string().trim().required().max(constants.TAG_MAX_LENGTH)
+
+const validateTag = (req, res, next) => {
+  const { error } = tagSchema.validate(req.params.tag)
+  if (error) {
+    logger.warn('Validação da tag falhou', { errors: error.details })
+    return res.status(400).json({ message: 'Tag inválida' })
+  }
+  next()
+}
+
+// Mover um jogo de uma lista para o catálogo (status opcional)
+const moveSchema = Joi.object({
+  status: Joi.string().valid(...constants.GAME_STATUSES)
+})
+
+const validateMove = (req, res, next) => {
+  const { error } = moveSchema.validate(req.body)
+  if (error) {
+    logger.warn('Validação da movimentação falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Dados inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  next()
+}
+
+// Reordenar um jogo da lista: subir/descer uma posição ou ir para `position`
+const reorderSchema = Joi.object({
+  direction: Joi.string().valid('up', 'down'),
+  position: Joi.number().integer().min(1)
+}).xor('direction', 'position')
+
+const validateReorder = (req, res, next) => {
+  const { error } = reorderSchema.validate(req.body)
+  if (error) {
+    logger.warn('Validação da reordenação falhou', { errors: error.details })
+    return res.status(400).json({
+      message: 'Dados inválidos',
+      errors: error.details.map(d => d.message)
+    })
+  }
+  next()
+}
+
+const gameIdSchema = Joi.string().guid({ version: 'uuidv4' }).required()
+
+const validateGameId = (req, res, next) => {
+  const { error } = gameIdSchema.validate(req.params.id)
+  if (error) {
+    return res.status(400).json({ message: 'ID de jogo inválido' })
+  }
+  next()
+}
+
+const validatePlaythroughId = (req, res, next) => {
+  const { error } = gameIdSchema.validate(req.params.playthroughId)
+  if (error) {
+    return res.status(400).json({ message: 'ID de jogada inválido' })
+  }
+  next()
+}
+
+const validateCollectionId = (req, res, next) => {
+  const { error } = gameIdSchema.validate(req.params.collectionId)
+  if (error) {
+    return res.status(400).json({ message: 'ID de coleção inválido' })
+  }
+  next()
+}
+
+const validateSessionId = (req, res, next) => {
+  const { error } = gameIdSchema.validate(req.params.sessionId)
+  if (error) {
+    return res.status(400).json({ message: 'ID de sessão inválido' })
+  }
+  next()
+}
+
+const validateLoanId = (req, res, next) => {
+  const { error } = gameIdSchema.validate(req.params.loanId)
+  if (error) {
+    return res.status(400).json({ message: 'ID de empréstimo inválido' })
+  }
+  next()
+}
+
+const igdbIdSchema = Joi.number().integer().positive().required()
+
+const validateIgdbId = (req, res, next) => {
+  const { error } = igdbIdSchema.validate(req.params.igdbId)
+  if (error) {
+    return res.status(400).json({ message: 'ID da IGDB inválido' })
+  }
+  next()
+}
+
 module.exports = {
   validateGame,
-  gameSchema
+  validateGameId,
+  validatePlaythrough,
+  validatePlaythroughId,
+  validateSession,
+  validateSessionId,
+  validateCollection,
+  validateCollectionId,
+  validateLoan,
+  validateLoanId,
+  validateLoanReturn,
+  validateTag,
+  validateTagRename,
+  validateMove,
+  validateReorder,
+  validateIgdbId,
+  validateGameQuery,
+  validateNextQuery,
+  validateLoanQuery,
+  validateSearchQuery,
+  validateExportQuery,
+  validateImportQuery,
+  gameSchema,
+  playthroughSchema,
+  sessionSchema,
+  collectionSchema,
+  loanSchema,
+  loanReturnSchema,
+  tagRenameSchema,
+  moveSchema,
+  reorderSchema,
+  gameQuerySchema,
+  nextQuerySchema,
+  loanQuerySchema,
+  searchQuerySchema,
+  exportQuerySchema,
+  importQuerySchema
 }
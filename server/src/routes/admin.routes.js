@@ -0,0 +1,37 @@
+const express = require('express')
+const cacheService = require('../services/cacheService')
+const { getMetadataConfig } = require('../config/environment')
+
+const router = express.Router()
+
+// GET /admin/cache - Estatísticas do cache em memória
+// A rota não exige autenticação: devolve só a quantidade de chaves, nunca as
+// chaves, que trazem o ID da planilha e os termos buscados na IGDB
+router.get('/cache', (req, res) => {
+  const stats = cacheService.getStats()
+  const lookups = stats.hits + stats.misses
+
+  res.json({
+    ...stats,
+    hitRatio: lookups > 0 ? stats.hits / lookups : 0,
+    keyCount: cacheService.getKeys().length
+  })
+})
+
+// GET /admin/metadata - Provedor de metadados ativo e suas métricas
+// (para a IGDB, a fila de requisições)
+router.get('/metadata', (req, res) => {
+  if (!req.metadataProvider) {
+    return res.status(503).json({
+      message:
+        'Serviço temporariamente indisponível. Provedor de metadados não inicializado.'
+    })
+  }
+
+  res.json({
+    provider: getMetadataConfig().provider,
+    ...req.metadataProvider.getStats()
+  })
+})
+
+module.exports = router
@@ -0,0 +1,168 @@
+const express = require('express')
+const rateLimit = require('express-rate-limit')
+const {
+  validateCollection,
+  validateCollectionId,
+  validateGameId
+} = require('../middleware/validation')
+const { checkAuth } = require('../middleware/auth')
+const constants = require('../config/constants')
+const CollectionService = require('../services/collectionService')
+
+const router = express.Router()
+
+const apiLimiter = rateLimit({
+  windowMs: constants.RATE_LIMIT_WINDOW,
+  max: constants.RATE_LIMIT_MAX_REQUESTS,
+  message: 'Muitas requisições, tente novamente em 15 minutos',
+  standardHeaders: true,
+  legacyHeaders: false
+})
+
+/**
+ * Serviço de coleções ligado ao repositório e store da requisição
+ * @param {Request} req
+ */
+const collectionServiceFor = req =>
+  new CollectionService(req.gameRepository, req.stores.collections)
+
+/**
+ * GET /collections
+ * Listar coleções (com os IDs dos jogos e o total)
+ */
+router.get('/', apiLimiter, checkAuth, async (req, res, next) => {
+  try {
+    res.json(await collectionServiceFor(req).list())
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * POST /collections
+ * Criar coleção ({ nome, descricao, jogos }); 409 se o nome já existir
+ */
+router.post(
+  '/',
+  apiLimiter,
+  checkAuth,
+  validateCollection,
+  async (req, res, next) => {
+    try {
+      const collection = await collectionServiceFor(req).create(req.body)
+      res
+        .status(201)
+        .json({ message: 'Coleção criada com sucesso', collection })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /collections/:collectionId
+ * Obter uma coleção
+ */
+router.get(
+  '/:collectionId',
+  apiLimiter,
+  checkAuth,
+  validateCollectionId,
+  async (req, res, next) => {
+    try {
+      res.json(await collectionServiceFor(req).find(req.params.collectionId))
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * PUT /collections/:collectionId
+ * Alterar nome, descrição ou jogos (sem `jogos`, mantém os atuais)
+ */
+router.put(
+  '/:collectionId',
+  apiLimiter,
+  checkAuth,
+  validateCollectionId,
+  validateCollection,
+  async (req, res, next) => {
+    try {
+      const collection = await collectionServiceFor(req).update(
+        req.params.collectionId,
+        req.body
+      )
+      res.json({ message: 'Coleção atualizada com sucesso', collection })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * DELETE /collections/:collectionId
+ * Remover uma coleção (os jogos não são alterados)
+ */
+router.delete(
+  '/:collectionId',
+  apiLimiter,
+  checkAuth,
+  validateCollectionId,
+  async (req, res, next) => {
+    try {
+      await collectionServiceFor(req).delete(req.params.collectionId)
+      res.json({ message: 'Coleção removida com sucesso' })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * PUT /collections/:collectionId/games/:id
+ * Adicionar um jogo à coleção
+ */
+router.put(
+  '/:collectionId/games/:id',
+  apiLimiter,
+  checkAuth,
+  validateCollectionId,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      const collection = await collectionServiceFor(req).addGame(
+        req.params.collectionId,
+        req.params.id
+      )
+      res.json({ message: 'Jogo adicionado à coleção', collection })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * DELETE /collections/:collectionId/games/:id
+ * Retirar um jogo da coleção
+ */
+router.delete(
+  '/:collectionId/games/:id',
+  apiLimiter,
+  checkAuth,
+  validateCollectionId,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      const collection = await collectionServiceFor(req).removeGame(
+        req.params.collectionId,
+        req.params.id
+      )
+      res.json({ message: 'Jogo retirado da coleção', collection })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+module.exports = router
@@ -1,10 +1,38 @@
 const express = require('express')
 const rateLimit = require('express-rate-limit')
-const { validateGame } = require('../middleware/validation')
+const {
+  validateGame,
+  validateGameId,
+  validatePlaythrough,
+  validatePlaythroughId,
+  validateSession,
+  validateSessionId,
+  validateLoan,
+  validateTag,
+  validateTagRename,
+  validateIgdbId,
+  validateGameQuery,
+  validateSearchQuery,
+  validateExportQuery,
+  validateImportQuery
+} = require('../middleware/validation')
 const { checkAuth, logger } = require('../middleware/auth')
 const constants = require('../config/constants')
+const IMPORT_PRESETS = require('../config/importPresets')
+const ImportService = require('../services/importService')
+const ExportService = require('../services/exportService')
+const SessionService = require('../services/sessionService')
+const StatusWorkflow = require('../services/statusWorkflow')
+const HistoryService = require('../services/historyService')
+const PlaythroughService = require('../services/playthroughService')
+const TagService = require('../services/tagService')
+const CollectionService = require('../services/collectionService')
+const LoanService = require('../services/loanService')
+const RelationService = require('../services/relationService')
+const { parseIfMatch, setETag, buildPageLinks } = require('../utils/http')
 
 const router = express.Router()
+const statusWorkflow = new StatusWorkflow()
 
 const apiLimiter = rateLimit({
   windowMs: constants.RATE_LIMIT_WINDOW,
@@ -14,22 +42,107 @@ const apiLimiter = rateLimit({
   legacyHeaders: false
 })
 
+/**
+ * Garante que o provedor de metadados foi inicializado
+ * (não depende do armazenamento)
+ */
+const requireMetadataProvider = (req, res, next) => {
+  if (!req.metadataProvider) {
+    return res.status(503).json({
+      message:
+        'Serviço temporariamente indisponível. Provedor de metadados não inicializado.'
+    })
+  }
+  next()
+}
+
+/**
+ * Serviço de jogadas ligado ao repositório e stores da requisição
+ * @param {Request} req
+ */
+const playthroughServiceFor = req =>
+  new PlaythroughService(
+    req.gameRepository,
+    req.stores.playthroughs,
+    req.stores.sessions
+  )
+
+/**
+ * Serviço de sessões ligado ao repositório e stores da requisição
+ * @param {Request} req
+ */
+const sessionServiceFor = req =>
+  new SessionService(
+    req.gameRepository,
+    req.stores.sessions,
+    playthroughServiceFor(req)
+  )
+
+/**
+ * Serviço de histórico de status ligado ao repositório e store da requisição
+ * @param {Request} req
+ */
+const historyServiceFor = req =>
+  new HistoryService(req.gameRepository, req.stores.history)
+
+/**
+ * Serviço de coleções ligado ao repositório e store da requisição
+ * @param {Request} req
+ */
+const collectionServiceFor = req =>
+  new CollectionService(req.gameRepository, req.stores.collections)
+
+/**
+ * Serviço de empréstimos ligado ao repositório e store da requisição
+ * @param {Request} req
+ */
+const loanServiceFor = req =>
+  new LoanService(req.gameRepository, req.stores.loans)
+
+/**
+ * Relação entre jogos (DLCs e jogo base) do catálogo da requisição
+ * @param {Request} req
+ */
+const relationServiceFor = req => new RelationService(req.gameRepository)
+
+/**
+ * Converte o filtro `collection` nos IDs dos jogos da coleção (`ids`)
+ * @param {Request} req
+ * @param {Object} filters - Filtros já validados
+ */
+const resolveFilters = async (req, { collection, ...filters }) =>
+  collection
+    ? { ...filters, ids: await collectionServiceFor(req).gameIds(collection) }
+    : filters
+
 /**
  * GET /games
- * Listar todos os jogos
+ * Listar jogos com filtros (status, platform, store, tag, collection, q),
+ * ordenação (sort, order) e paginação (page, pageSize); com `group`, as DLCs
+ * vêm logo abaixo do jogo base
  */
-router.get('/', apiLimiter, checkAuth, async (req, res, next) => {
-  try {
-    const games = await req.sheetsService.getAll()
-    res.json(games)
-  } catch (error) {
-    next(error)
+router.get(
+  '/',
+  apiLimiter,
+  checkAuth,
+  validateGameQuery,
+  async (req, res, next) => {
+    try {
+      const result = await req.gameRepository.query(
+        await resolveFilters(req, req.query)
+      )
+      res.json({ ...result, links: buildPageLinks(req, result) })
+    } catch (error) {
+      next(error)
+    }
   }
-})
+)
 
 /**
  * POST /games
  * Adicionar novo jogo
+ * Datas do status (ex.: início em "Jogando") vazias recebem o dia atual
+ * `jogoPai` precisa ser um jogo base do catálogo (400 se não for)
  */
 router.post(
   '/',
@@ -38,8 +151,13 @@ router.post(
   validateGame,
   async (req, res, next) => {
     try {
-      await req.sheetsService.add(req.body)
-      res.status(201).json({ message: 'Jogo adicionado com sucesso' })
+      await relationServiceFor(req).checkParent(null, req.body)
+      const game = await req.gameRepository.add(
+        statusWorkflow.apply(null, req.body)
+      )
+      await historyServiceFor(req).record(game.id, '', game.status)
+      setETag(res, game)
+      res.status(201).json({ message: 'Jogo adicionado com sucesso', game })
     } catch (error) {
       next(error)
     }
@@ -49,21 +167,27 @@ router.post(
 /**
  * PUT /games/:id
  * Atualizar um jogo existente
+ * Com If-Match, responde 409 (com a cópia atual) se o jogo mudou
+ * Mudanças de status seguem config/statusRules (400 se não permitidas)
  */
 router.put(
   '/:id',
   apiLimiter,
   checkAuth,
+  validateGameId,
   validateGame,
   async (req, res, next) => {
     try {
-      const gameId = parseInt(req.params.id, 10)
-      if (isNaN(gameId) || gameId < 2) {
-        return res.status(400).json({ message: 'ID de jogo inválido' })
-      }
-
-      await req.sheetsService.update(gameId, req.body)
-      res.json({ message: 'Jogo atualizado com sucesso' })
+      const current = await req.gameRepository.findById(req.params.id)
+      await relationServiceFor(req).checkParent(req.params.id, req.body)
+      const gameData = statusWorkflow.apply(current, req.body)
+      const game = await req.gameRepository.update(req.params.id, gameData, {
+        expectedVersion: parseIfMatch(req.get('If-Match'))
+      })
+      await playthroughServiceFor(req).syncFromGame(game)
+      await historyServiceFor(req).record(game.id, current.status, game.status)
+      setETag(res, game)
+      res.json({ message: 'Jogo atualizado com sucesso', game })
     } catch (error) {
       next(error)
     }
@@ -72,37 +196,461 @@ router.put(
 
 /**
  * DELETE /games/:id
- * Deletar um jogo
+ * Deletar um jogo; suas DLCs passam a ser jogos independentes
+ * Com If-Match, responde 409 (com a cópia atual) se o jogo mudou
  */
-router.delete('/:id', apiLimiter, checkAuth, async (req, res, next) => {
-  try {
-    const gameId = parseInt(req.params.id, 10)
-    if (isNaN(gameId) || gameId < 2) {
-      return res.status(400).json({ message: 'ID de jogo inválido' })
+router.delete(
+  '/:id',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      await req.gameRepository.delete(req.params.id, {
+        expectedVersion: parseIfMatch(req.get('If-Match'))
+      })
+      await sessionServiceFor(req).deleteForGame(req.params.id)
+      await playthroughServiceFor(req).deleteForGame(req.params.id)
+      await historyServiceFor(req).deleteForGame(req.params.id)
+      await collectionServiceFor(req).removeGameEverywhere(req.params.id)
+      await loanServiceFor(req).deleteForGame(req.params.id)
+      await relationServiceFor(req).detachChildren(req.params.id)
+      res.json({ message: 'Jogo deletado com sucesso' })
+    } catch (error) {
+      next(error)
     }
+  }
+)
 
-    await req.sheetsService.delete(gameId)
-    res.json({ message: 'Jogo deletado com sucesso' })
+/**
+ * GET /games/status-rules
+ * Transições de status e datas automáticas (usadas pelo formulário)
+ */
+router.get('/status-rules', apiLimiter, (req, res) => {
+  res.json({ statuses: constants.GAME_STATUSES, ...statusWorkflow.toJSON() })
+})
+
+/**
+ * GET /games/tags
+ * Tags em uso, com a quantidade de jogos de cada uma
+ */
+router.get('/tags', apiLimiter, checkAuth, async (req, res, next) => {
+  try {
+    res.json(await new TagService(req.gameRepository).list())
   } catch (error) {
     next(error)
   }
 })
 
+/**
+ * PUT /games/tags/:tag
+ * Renomear uma tag em todos os jogos ({ nome }); junta com a nova se já existir
+ */
+router.put(
+  '/tags/:tag',
+  apiLimiter,
+  checkAuth,
+  validateTag,
+  validateTagRename,
+  async (req, res, next) => {
+    try {
+      const tag = await new TagService(req.gameRepository).rename(
+        req.params.tag,
+        req.body.nome
+      )
+      res.json({ message: 'Tag renomeada com sucesso', tag })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * DELETE /games/tags/:tag
+ * Remover uma tag de todos os jogos
+ */
+router.delete(
+  '/tags/:tag',
+  apiLimiter,
+  checkAuth,
+  validateTag,
+  async (req, res, next) => {
+    try {
+      const total = await new TagService(req.gameRepository).remove(
+        req.params.tag
+      )
+      res.json({ message: 'Tag removida com sucesso', total })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /games/search
+ * Buscar jogos por nome (?name=) no provedor de metadados
+ */
+router.get(
+  '/search',
+  apiLimiter,
+  requireMetadataProvider,
+  validateSearchQuery,
+  async (req, res, next) => {
+    try {
+      const results = await req.metadataProvider.searchGames(req.query.name)
+      res.json(results)
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /games/igdb/:igdbId
+ * Obter um jogo da IGDB pelo ID (com `metadata` no formato do catálogo)
+ * Com ?refresh=true ignora o cache
+ */
+router.get(
+  '/igdb/:igdbId',
+  apiLimiter,
+  requireMetadataProvider,
+  validateIgdbId,
+  async (req, res, next) => {
+    try {
+      const game = await req.metadataProvider.getGameById(
+        Number(req.params.igdbId),
+        { refresh: req.query.refresh === 'true' }
+      )
+
+      if (!game) {
+        return res.status(404).json({ message: 'Jogo não encontrado na IGDB' })
+      }
+
+      res.json(game)
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
 /**
  * GET /games/export
- * Exportar jogos como CSV
+ * Exportar jogos (?format=csv|json|xlsx|md|ics, padrão csv)
+ * Aceita os mesmos filtros e ordenação de GET /games
  */
-router.get('/export', apiLimiter, checkAuth, async (req, res, next) => {
-  try {
-    const csv = await req.sheetsService.exportAsCSV()
-    const filename = `meus-jogos-${new Date().toISOString().split('T')[0]}.csv`
+router.get(
+  '/export',
+  apiLimiter,
+  checkAuth,
+  validateExportQuery,
+  async (req, res, next) => {
+    try {
+      const { format, ...filters } = req.query
+      const exportService = new ExportService(req.gameRepository)
+      const { content, contentType, extension } = await exportService.export(
+        format,
+        await resolveFilters(req, filters)
+      )
+      const date = new Date().toISOString().split('T')[0]
+      const filename = `meus-jogos-${date}.${extension}`
 
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
-    res.send('\ufeff' + csv)
-  } catch (error) {
-    next(error)
+      res.setHeader('Content-Type', contentType)
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+      res.send(content)
+    } catch (error) {
+      next(error)
+    }
   }
+)
+
+/**
+ * GET /games/import/presets
+ * Layouts de outros rastreadores aceitos pela importação
+ */
+router.get('/import/presets', apiLimiter, (req, res) => {
+  res.json(
+    Object.entries(IMPORT_PRESETS).map(([id, preset]) => ({ id, ...preset }))
+  )
 })
 
+/**
+ * POST /games/import
+ * Importar jogos de um CSV (mesmo layout do export) ou JSON
+ * Com ?preset= ou ?mapping[campo]=Coluna, aceita exports de outros
+ * rastreadores; ?matchMetadata=true completa os jogos com dados da IGDB
+ * Responde com erros e avisos por linha; com ?dryRun=true apenas valida
+ */
+router.post(
+  '/import',
+  apiLimiter,
+  checkAuth,
+  express.text({
+    type: ['text/csv', 'text/plain'],
+    limit: constants.IMPORT_MAX_BODY_SIZE
+  }),
+  validateImportQuery,
+  (req, res, next) =>
+    req.query.matchMetadata ? requireMetadataProvider(req, res, next) : next(),
+  async (req, res, next) => {
+    try {
+      const importService = new ImportService(
+        req.gameRepository,
+        req.metadataProvider,
+        historyServiceFor(req)
+      )
+      const result = await importService.import(req.body, req.query)
+      res.status(result.dryRun ? 200 : 201).json(result)
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /games/:id/history
+ * Linha do tempo das mudanças de status, com os dias em cada status
+ */
+router.get(
+  '/:id/history',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      res.json(await historyServiceFor(req).list(req.params.id))
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /games/:id/playthroughs
+ * Listar as jogadas (a última é a atual, espelhada no jogo)
+ */
+router.get(
+  '/:id/playthroughs',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      res.json(await playthroughServiceFor(req).list(req.params.id))
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * POST /games/:id/playthroughs
+ * Começar uma nova jogada (padrão: "Jogando" com início hoje)
+ * Responde com a jogada e o jogo atualizado
+ */
+router.post(
+  '/:id/playthroughs',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validatePlaythrough,
+  async (req, res, next) => {
+    try {
+      const before = await req.gameRepository.findById(req.params.id)
+      const { playthrough, game } = await playthroughServiceFor(req).start(
+        req.params.id,
+        req.body
+      )
+      await historyServiceFor(req).record(game.id, before.status, game.status)
+      setETag(res, game)
+      res
+        .status(201)
+        .json({ message: 'Jogada iniciada com sucesso', playthrough, game })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * PUT /games/:id/playthroughs/:playthroughId
+ * Atualizar uma jogada (a atual também atualiza o jogo)
+ */
+router.put(
+  '/:id/playthroughs/:playthroughId',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validatePlaythroughId,
+  validatePlaythrough,
+  async (req, res, next) => {
+    try {
+      const before = await req.gameRepository.findById(req.params.id)
+      const { playthrough, game } = await playthroughServiceFor(req).update(
+        req.params.id,
+        req.params.playthroughId,
+        req.body
+      )
+      await historyServiceFor(req).record(game.id, before.status, game.status)
+      setETag(res, game)
+      res.json({ message: 'Jogada atualizada com sucesso', playthrough, game })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * DELETE /games/:id/playthroughs/:playthroughId
+ * Remover uma jogada e suas sessões (o jogo mantém ao menos uma)
+ */
+router.delete(
+  '/:id/playthroughs/:playthroughId',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validatePlaythroughId,
+  async (req, res, next) => {
+    try {
+      const before = await req.gameRepository.findById(req.params.id)
+      const game = await playthroughServiceFor(req).delete(
+        req.params.id,
+        req.params.playthroughId
+      )
+      await historyServiceFor(req).record(game.id, before.status, game.status)
+      setETag(res, game)
+      res.json({ message: 'Jogada removida com sucesso', game })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /games/:id/sessions
+ * Listar as sessões de jogo, com o tempo total
+ */
+router.get(
+  '/:id/sessions',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      res.json(await sessionServiceFor(req).list(req.params.id))
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * POST /games/:id/sessions
+ * Registrar uma sessão (inicio e fim ou duracao em minutos)
+ * Atualiza o tempo do jogo; responde com a sessão e o jogo atualizado
+ */
+router.post(
+  '/:id/sessions',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validateSession,
+  async (req, res, next) => {
+    try {
+      const { session, game } = await sessionServiceFor(req).add(
+        req.params.id,
+        req.body
+      )
+      setETag(res, game)
+      res
+        .status(201)
+        .json({ message: 'Sessão registrada com sucesso', session, game })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * DELETE /games/:id/sessions/:sessionId
+ * Remover uma sessão (o tempo do jogo é recalculado)
+ */
+router.delete(
+  '/:id/sessions/:sessionId',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validateSessionId,
+  async (req, res, next) => {
+    try {
+      const game = await sessionServiceFor(req).delete(
+        req.params.id,
+        req.params.sessionId
+      )
+      setETag(res, game)
+      res.json({ message: 'Sessão removida com sucesso', game })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /games/:id/loans
+ * Listar os empréstimos do jogo (`current`: o empréstimo em aberto)
+ */
+router.get(
+  '/:id/loans',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      res.json(await loanServiceFor(req).listForGame(req.params.id))
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * POST /games/:id/loans
+ * Emprestar a cópia física ({ pessoa, data, previsao }); 409 se o jogo já
+ * estiver emprestado, 400 se for digital
+ */
+router.post(
+  '/:id/loans',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validateLoan,
+  async (req, res, next) => {
+    try {
+      const loan = await loanServiceFor(req).lend(req.params.id, req.body)
+      res.status(201).json({ message: 'Empréstimo registrado', loan })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /games/:id
+ * Obter um jogo pelo ID
+ */
+router.get(
+  '/:id',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      const game = await req.gameRepository.findById(req.params.id)
+      setETag(res, game)
+      res.json(game)
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
 module.exports = router
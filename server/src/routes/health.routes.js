@@ -1,4 +1,5 @@
 const express = require('express')
+const { getStorageConfig, getMetadataConfig } = require('../config/environment')
 
 const router = express.Router()
 
@@ -11,8 +12,10 @@ router.get('/', (req, res) => {
     uptime: process.uptime(),
     version: process.env.npm_package_version || '1.0.0',
     services: {
-      googleAuth: auth.ready ? 'ready' : 'not_ready',
-      igdb: process.env.TWITCH_CLIENT_ID ? 'configured' : 'not_configured'
+      storage: auth.ready ? 'ready' : 'not_ready',
+      storageBackend: getStorageConfig().backend,
+      igdb: process.env.TWITCH_CLIENT_ID ? 'configured' : 'not_configured',
+      metadataProvider: getMetadataConfig().provider
     }
   }
 
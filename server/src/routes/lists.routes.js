@@ -0,0 +1,338 @@
+const express = require('express')
+const rateLimit = require('express-rate-limit')
+const {
+  validateGame,
+  validateGameId,
+  validateGameQuery,
+  validateExportQuery,
+  validateNextQuery,
+  validateMove,
+  validateReorder
+} = require('../middleware/validation')
+const { checkAuth, logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+const ExportService = require('../services/exportService')
+const HistoryService = require('../services/historyService')
+const PriorityService = require('../services/priorityService')
+const RelationService = require('../services/relationService')
+const StatusWorkflow = require('../services/statusWorkflow')
+const { parseIfMatch, setETag, buildPageLinks } = require('../utils/http')
+
+// Montado em /wishlist e /backlog (ver GAME_LISTS); `req.params.list` diz qual
+const router = express.Router({ mergeParams: true })
+const statusWorkflow = new StatusWorkflow()
+
+const apiLimiter = rateLimit({
+  windowMs: constants.RATE_LIMIT_WINDOW,
+  max: constants.RATE_LIMIT_MAX_REQUESTS,
+  message: 'Muitas requisições, tente novamente em 15 minutos',
+  standardHeaders: true,
+  legacyHeaders: false
+})
+
+/**
+ * Repositório da lista da rota (lista de desejos ou backlog)
+ * @param {Request} req
+ * @returns {GameRepository}
+ */
+const listOf = req => req.lists[req.params.list]
+
+/**
+ * Ordem de prioridade da lista da rota
+ * @param {Request} req
+ */
+const priorityServiceFor = req => new PriorityService(listOf(req))
+
+/**
+ * Relação entre jogos (DLCs e jogo base) da lista da rota
+ * @param {Request} req
+ */
+const relationServiceFor = req => new RelationService(listOf(req))
+
+/**
+ * Histórico de status dos jogos da lista da rota (o store é o mesmo do
+ * catálogo; os IDs não se repetem entre as listas)
+ * @param {Request} req
+ */
+const historyServiceFor = req =>
+  new HistoryService(listOf(req), req.stores.history)
+
+/**
+ * GET /:list
+ * Listar os jogos da lista com os filtros, ordenação e paginação de
+ * GET /games (coleções são só do catálogo)
+ */
+router.get(
+  '/',
+  apiLimiter,
+  checkAuth,
+  validateGameQuery,
+  async (req, res, next) => {
+    try {
+      const { collection, ...filters } = req.query
+      const result = await listOf(req).query(filters)
+      res.json({ ...result, links: buildPageLinks(req, result) })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * POST /:list
+ * Adicionar um jogo à lista (no fim da ordem de prioridade)
+ * Datas do status seguem as regras de POST /games
+ * `jogoPai` precisa ser um jogo base da mesma lista (400 se não for)
+ */
+router.post(
+  '/',
+  apiLimiter,
+  checkAuth,
+  validateGame,
+  async (req, res, next) => {
+    try {
+      await relationServiceFor(req).checkParent(null, req.body)
+      const game = await priorityServiceFor(req).add(
+        statusWorkflow.apply(null, req.body)
+      )
+      await historyServiceFor(req).record(game.id, '', game.status)
+      setETag(res, game)
+      res.status(201).json({ message: 'Jogo adicionado à lista', game })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /:list/export
+ * Exportar a lista nos formatos de GET /games/export
+ */
+router.get(
+  '/export',
+  apiLimiter,
+  checkAuth,
+  validateExportQuery,
+  async (req, res, next) => {
+    try {
+      const { format, collection, ...filters } = req.query
+      const exportService = new ExportService(listOf(req))
+      const { content, contentType, extension } = await exportService.export(
+        format,
+        filters
+      )
+      const date = new Date().toISOString().split('T')[0]
+      const filename = `meus-jogos-${req.params.list}-${date}.${extension}`
+
+      res.setHeader('Content-Type', contentType)
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+      res.send(content)
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /:list/next
+ * O que jogar agora: os primeiros jogos da lista que atendem aos filtros
+ * (`platform`, `tag` e `maxHours`, a duração estimada máxima em horas)
+ */
+router.get(
+  '/next',
+  apiLimiter,
+  checkAuth,
+  validateNextQuery,
+  async (req, res, next) => {
+    try {
+      const items = await priorityServiceFor(req).next(req.query)
+      res.json({ items })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * PUT /:list/:id
+ * Atualizar um jogo da lista (a prioridade é mantida; ver /reorder)
+ * Com If-Match, responde 409 (com a cópia atual) se o jogo mudou
+ * Mudanças de status seguem config/statusRules, como em PUT /games
+ */
+router.put(
+  '/:id',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validateGame,
+  async (req, res, next) => {
+    try {
+      const list = listOf(req)
+      // A prioridade lida é regravada: a escrita entra na fila da ordem
+      const { current, game } = await priorityServiceFor(req).serialize(
+        async () => {
+          const current = await list.findById(req.params.id)
+          await relationServiceFor(req).checkParent(req.params.id, req.body)
+          const gameData = statusWorkflow.apply(current, req.body)
+          const game = await list.update(
+            req.params.id,
+            { ...gameData, prioridade: current.prioridade },
+            { expectedVersion: parseIfMatch(req.get('If-Match')) }
+          )
+          return { current, game }
+        }
+      )
+      await historyServiceFor(req).record(game.id, current.status, game.status)
+      setETag(res, game)
+      res.json({ message: 'Jogo atualizado com sucesso', game })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * DELETE /:list/:id
+ * Remover um jogo da lista; suas DLCs passam a ser jogos independentes
+ * Com If-Match, responde 409 (com a cópia atual) se o jogo mudou
+ */
+router.delete(
+  '/:id',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      const priorityService = priorityServiceFor(req)
+      await priorityService.serialize(async () => {
+        await listOf(req).delete(req.params.id, {
+          expectedVersion: parseIfMatch(req.get('If-Match'))
+        })
+        await relationServiceFor(req).detachChildren(req.params.id)
+      })
+      await priorityService.compact()
+      await historyServiceFor(req).deleteForGame(req.params.id)
+      res.json({ message: 'Jogo removido da lista' })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * POST /:list/:id/move
+ * Mover o jogo para o catálogo com todos os campos (metadados da IGDB
+ * inclusive); `status` opcional no corpo. O catálogo aplica as datas
+ * automáticas do status, e o jogo sai da lista
+ * O jogo base de uma DLC é procurado no catálogo pelo ID da IGDB; as DLCs
+ * do jogo que ficam na lista são desvinculadas
+ * O histórico de status acompanha o jogo; se não for possível tirá-lo da
+ * lista, o jogo adicionado ao catálogo é removido
+ * Com If-Match, responde 409 (com a cópia atual) se o jogo mudou
+ */
+router.post(
+  '/:id/move',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validateMove,
+  async (req, res, next) => {
+    try {
+      const list = listOf(req)
+      const current = await list.findById(req.params.id)
+      list.assertVersion(current, parseIfMatch(req.get('If-Match')))
+
+      const { id, version, prioridade, ...gameData } = current
+      const parent =
+        gameData.jogoPai &&
+        (await list.getAll()).find(game => game.id === gameData.jogoPai)
+      const catalogParent = await new RelationService(
+        req.gameRepository
+      ).findParentByIgdbId(parent?.igdbId)
+
+      const game = await req.gameRepository.add(
+        statusWorkflow.apply(null, {
+          ...gameData,
+          status: req.body.status || gameData.status,
+          jogoPai: catalogParent?.id || ''
+        })
+      )
+      const priorityService = priorityServiceFor(req)
+      await priorityService.serialize(async () => {
+        try {
+          await list.delete(id)
+        } catch (error) {
+          logger.error('Erro ao tirar o jogo da lista; desfazendo a mudança', {
+            list: req.params.list,
+            id,
+            error: error.message
+          })
+          await req.gameRepository.delete(game.id)
+          throw error
+        }
+        await relationServiceFor(req).detachChildren(id)
+      })
+      await priorityService.compact()
+
+      const history = new HistoryService(req.gameRepository, req.stores.history)
+      await history.moveToGame(id, game.id)
+      await history.record(game.id, current.status, game.status)
+
+      logger.info('Jogo movido para o catálogo', {
+        list: req.params.list,
+        from: id,
+        id: game.id
+      })
+      setETag(res, game)
+      res.status(201).json({ message: 'Jogo movido para o catálogo', game })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * POST /:list/:id/reorder
+ * Mudar a prioridade do jogo: `{ direction: 'up' | 'down' }` ou
+ * `{ position }` (1 = primeiro); responde com a lista na nova ordem
+ */
+router.post(
+  '/:id/reorder',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  validateReorder,
+  async (req, res, next) => {
+    try {
+      const items = await priorityServiceFor(req).reorder(
+        req.params.id,
+        req.body
+      )
+      res.json({ message: 'Prioridade atualizada', items })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * GET /:list/:id
+ * Obter um jogo da lista
+ */
+router.get(
+  '/:id',
+  apiLimiter,
+  checkAuth,
+  validateGameId,
+  async (req, res, next) => {
+    try {
+      const game = await listOf(req).findById(req.params.id)
+      setETag(res, game)
+      res.json(game)
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+module.exports = router
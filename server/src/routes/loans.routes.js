@@ -0,0 +1,91 @@
+const express = require('express')
+const rateLimit = require('express-rate-limit')
+const {
+  validateLoanId,
+  validateLoanQuery,
+  validateLoanReturn
+} = require('../middleware/validation')
+const { checkAuth } = require('../middleware/auth')
+const constants = require('../config/constants')
+const LoanService = require('../services/loanService')
+
+const router = express.Router()
+
+const apiLimiter = rateLimit({
+  windowMs: constants.RATE_LIMIT_WINDOW,
+  max: constants.RATE_LIMIT_MAX_REQUESTS,
+  message: 'Muitas requisições, tente novamente em 15 minutos',
+  standardHeaders: true,
+  legacyHeaders: false
+})
+
+/**
+ * Serviço de empréstimos ligado ao repositório e store da requisição
+ * @param {Request} req
+ */
+const loanServiceFor = req =>
+  new LoanService(req.gameRepository, req.stores.loans)
+
+/**
+ * GET /loans
+ * Listar os empréstimos em aberto (com nome e plataforma do jogo);
+ * `overdue=true` traz só os atrasados
+ */
+router.get(
+  '/',
+  apiLimiter,
+  checkAuth,
+  validateLoanQuery,
+  async (req, res, next) => {
+    try {
+      res.json(await loanServiceFor(req).list(req.query))
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * POST /loans/:loanId/return
+ * Marcar o jogo como devolvido ({ devolucao }, padrão: hoje); 409 se o
+ * empréstimo já foi devolvido
+ */
+router.post(
+  '/:loanId/return',
+  apiLimiter,
+  checkAuth,
+  validateLoanId,
+  validateLoanReturn,
+  async (req, res, next) => {
+    try {
+      const loan = await loanServiceFor(req).markReturned(
+        req.params.loanId,
+        req.body
+      )
+      res.json({ message: 'Devolução registrada', loan })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+/**
+ * DELETE /loans/:loanId
+ * Remover um empréstimo (ex.: registrado por engano)
+ */
+router.delete(
+  '/:loanId',
+  apiLimiter,
+  checkAuth,
+  validateLoanId,
+  async (req, res, next) => {
+    try {
+      await loanServiceFor(req).delete(req.params.loanId)
+      res.json({ message: 'Empréstimo removido' })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+module.exports = router
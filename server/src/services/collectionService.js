@@ -0,0 +1,240 @@
+const { logger } = require('../middleware/auth')
+const HttpError = require('../utils/httpError')
+const { normalizeText } = require('../utils/text')
+
+/**
+ * Coleções nomeadas de jogos ("Para jogar com amigos", "Favoritos")
+ * Cada coleção guarda os IDs dos seus jogos; um jogo pode estar em várias
+ */
+class CollectionService {
+  /**
+   * @param {GameRepository} gameRepository - Repositório dos jogos
+   * @param {RecordStore} store - Store das coleções (COLLECTIONS_STORE)
+   */
+  constructor(gameRepository, store) {
+    this.gameRepository = gameRepository
+    this.store = store
+  }
+
+  /**
+   * Converte o registro armazenado (`jogos` separado por vírgula)
+   * @param {Object} record
+   * @returns {Object} Coleção com `jogos` em lista e `total`
+   */
+  normalize(record) {
+    const jogos = String(record.jogos ?? '')
+      .split(',')
+      .filter(Boolean)
+    return {
+      id: record.id,
+      nome: record.nome,
+      descricao: record.descricao || '',
+      jogos,
+      total: jogos.length
+    }
+  }
+
+  /**
+   * Lista as coleções em ordem alfabética
+   * @returns {Promise<{collections: Array}>}
+   */
+  async list() {
+    const collections = (await this.store.getAll())
+      .map(record => this.normalize(record))
+      .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'))
+    return { collections }
+  }
+
+  /**
+   * Obtém uma coleção
+   * @param {string} collectionId - ID da coleção (404 se não existir)
+   */
+  async find(collectionId) {
+    const record = (await this.store.getAll()).find(
+      item => item.id === collectionId
+    )
+    if (!record) {
+      throw new HttpError(404, 'Coleção não encontrada')
+    }
+    return this.normalize(record)
+  }
+
+  /**
+   * IDs dos jogos de uma coleção (filtro `collection` de GET /games)
+   * @param {string} collectionId - ID da coleção (404 se não existir)
+   * @returns {Promise<Array<string>>}
+   */
+  async gameIds(collectionId) {
+    return (await this.find(collectionId)).jogos
+  }
+
+  /**
+   * Cria uma coleção
+   * @param {Object} data - nome, descricao e jogos (IDs)
+   */
+  async create(data) {
+    try {
+      await this.assertUniqueName(data.nome)
+      const jogos = await this.checkGames(data.jogos || [])
+      const record = await this.store.add({
+        nome: data.nome.trim(),
+        descricao: data.descricao || '',
+        jogos: jogos.join(',')
+      })
+
+      logger.info('Coleção criada', { id: record.id, nome: record.nome })
+      return this.normalize(record)
+    } catch (error) {
+      logger.error('Erro ao criar coleção', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Altera nome, descrição ou jogos de uma coleção
+   * Sem `jogos`, os jogos atuais são mantidos
+   * @param {string} collectionId - ID da coleção
+   * @param {Object} data - nome, descricao e jogos (IDs)
+   */
+  async update(collectionId, data) {
+    try {
+      const current = await this.find(collectionId)
+      await this.assertUniqueName(data.nome, collectionId)
+      const jogos = data.jogos
+        ? await this.checkGames(data.jogos)
+        : current.jogos
+
+      return await this.save(collectionId, {
+        nome: data.nome.trim(),
+        descricao: data.descricao ?? current.descricao,
+        jogos
+      })
+    } catch (error) {
+      logger.error('Erro ao atualizar coleção', {
+        collectionId,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Remove uma coleção (os jogos não são alterados)
+   * @param {string} collectionId - ID da coleção (404 se não existir)
+   */
+  async delete(collectionId) {
+    if (!(await this.store.delete(collectionId))) {
+      throw new HttpError(404, 'Coleção não encontrada')
+    }
+    logger.info('Coleção removida', { collectionId })
+  }
+
+  /**
+   * Adiciona um jogo à coleção (sem efeito se ele já estiver nela)
+   * @param {string} collectionId - ID da coleção
+   * @param {string} gameId - ID do jogo (404 se não existir)
+   */
+  async addGame(collectionId, gameId) {
+    const collection = await this.find(collectionId)
+    await this.gameRepository.findById(gameId)
+    if (collection.jogos.includes(gameId)) return collection
+
+    return this.save(collectionId, {
+      ...collection,
+      jogos: [...collection.jogos, gameId]
+    })
+  }
+
+  /**
+   * Retira um jogo da coleção
+   * @param {string} collectionId - ID da coleção
+   * @param {string} gameId - ID do jogo (404 se não estiver na coleção)
+   */
+  async removeGame(collectionId, gameId) {
+    const collection = await this.find(collectionId)
+    if (!collection.jogos.includes(gameId)) {
+      throw new HttpError(404, 'Jogo não está na coleção')
+    }
+
+    return this.save(collectionId, {
+      ...collection,
+      jogos: collection.jogos.filter(id => id !== gameId)
+    })
+  }
+
+  /**
+   * Retira um jogo excluído de todas as coleções
+   * @param {string} gameId - ID do jogo
+   * @returns {Promise<number>} Quantidade de coleções alteradas
+   */
+  async removeGameEverywhere(gameId) {
+    const { collections } = await this.list()
+    const affected = collections.filter(collection =>
+      collection.jogos.includes(gameId)
+    )
+
+    for (const collection of affected) {
+      await this.save(collection.id, {
+        ...collection,
+        jogos: collection.jogos.filter(id => id !== gameId)
+      })
+    }
+    return affected.length
+  }
+
+  /**
+   * Grava a coleção no store
+   * @param {string} collectionId - ID da coleção
+   * @param {Object} collection - nome, descricao e jogos (lista)
+   */
+  async save(collectionId, { nome, descricao, jogos }) {
+    const record = await this.store.update(collectionId, {
+      nome,
+      descricao,
+      jogos: jogos.join(',')
+    })
+    if (!record) {
+      throw new HttpError(404, 'Coleção não encontrada')
+    }
+    return this.normalize(record)
+  }
+
+  /**
+   * Garante que não há outra coleção com o mesmo nome
+   * @param {string} nome - Nome da coleção
+   * @param {string} exceptId - Coleção sendo alterada
+   * @throws {HttpError} 409
+   */
+  async assertUniqueName(nome, exceptId = null) {
+    const { collections } = await this.list()
+    const taken = collections.some(
+      collection =>
+        collection.id !== exceptId &&
+        normalizeText(collection.nome.trim()) === normalizeText(nome.trim())
+    )
+    if (taken) {
+      throw new HttpError(409, 'Já existe uma coleção com esse nome')
+    }
+  }
+
+  /**
+   * Confere se os jogos informados existem
+   * @param {Array<string>} gameIds - IDs dos jogos
+   * @returns {Promise<Array<string>>} Os mesmos IDs
+   * @throws {HttpError} 400 com os IDs desconhecidos em `missing`
+   */
+  async checkGames(gameIds) {
+    if (gameIds.length === 0) return gameIds
+
+    const known = new Set(
+      (await this.gameRepository.getAll()).map(game => game.id)
+    )
+    const missing = gameIds.filter(id => !known.has(id))
+    if (missing.length > 0) {
+      throw new HttpError(400, 'Jogos não encontrados', { missing })
+    }
+    return gameIds
+  }
+}
+
+module.exports = CollectionService
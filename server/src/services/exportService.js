@@ -0,0 +1,291 @@
+const ExcelJS = require('exceljs')
+const { logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+
+const DATE_FIELDS = ['dataLancamento', 'inicio', 'fim', 'dataCompra']
+const NUMBER_FIELDS = ['nota', 'notaCritica', 'igdbId', 'preco']
+
+// Colunas da tabela em Markdown (resumida, para compartilhar em chats)
+const MARKDOWN_FIELDS = [
+  'nome',
+  'plataforma',
+  'status',
+  'tempo',
+  'nota',
+  'tags'
+]
+
+// Datas que viram eventos no calendário (campo, rótulo)
+const CALENDAR_EVENTS = [
+  ['inicio', 'Começou'],
+  ['fim', 'Terminou']
+]
+
+/**
+ * Tipo de conteúdo e extensão de cada formato
+ */
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' }
+}
+
+/**
+ * Extrai a data (AAAA-MM-DD) do início de um valor
+ * @param {string} value - Data em formato ISO
+ * @returns {{year: number, month: number, day: number}|null}
+ */
+const parseDate = value => {
+  const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})/)
+  if (!match) return null
+  const [, year, month, day] = match.map(Number)
+  return { year, month, day }
+}
+
+/**
+ * Rótulo da coluna de um campo (o mesmo do CSV)
+ * @param {string} field - Campo do jogo
+ */
+const headerOf = field =>
+  field === 'id'
+    ? constants.ID_HEADER
+    : constants.GAME_HEADERS[constants.GAME_FIELDS.indexOf(field)]
+
+/**
+ * Escapa texto para propriedades do iCalendar (RFC 5545)
+ * @param {*} value
+ */
+const escapeICS = value =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+
+/**
+ * Quebra linhas do iCalendar com mais de 75 octetos
+ * As continuações começam com um espaço
+ * @param {string} line
+ */
+const foldICS = line => {
+  const parts = []
+  let current = ''
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current)
+      current = ''
+    }
+    current += char
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+/**
+ * Exportação do catálogo em vários formatos (csv, json, xlsx, md, ics)
+ * Aplica os mesmos filtros e ordenação de GET /games
+ */
+class ExportService {
+  /**
+   * @param {GameRepository} gameRepository - Repositório de origem
+   */
+  constructor(gameRepository) {
+    this.gameRepository = gameRepository
+  }
+
+  /**
+   * Exporta os jogos no formato pedido
+   * @param {string} format - Um de EXPORT_FORMATS
+   * @param {Object} filters - status, platform, tag, ids, q, sort, order
+   * @returns {Promise<{content: string|Buffer, contentType: string, extension: string}>}
+   */
+  async export(format, filters = {}) {
+    try {
+      let content
+      if (format === 'csv') {
+        // BOM para o Excel reconhecer UTF-8
+        content = '\ufeff' + (await this.gameRepository.exportAsCSV(filters))
+      } else {
+        const games = await this.gameRepository.list(filters)
+        content = await this.render(format, games)
+      }
+
+      logger.info('Jogos exportados', { format })
+      return { content, ...FORMATS[format] }
+    } catch (error) {
+      logger.error('Erro ao exportar jogos', { format, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Gera o conteúdo dos formatos que partem da lista de jogos
+   * @param {string} format - json, xlsx, md ou ics
+   * @param {Array} games - Jogos já filtrados
+   */
+  async render(format, games) {
+    switch (format) {
+      case 'json':
+        return this.toJSON(games)
+      case 'xlsx':
+        return this.toXLSX(games)
+      case 'md':
+        return this.toMarkdown(games)
+      case 'ics':
+        return this.toICS(games)
+      default:
+        throw new Error(`Formato de exportação desconhecido: ${format}`)
+    }
+  }
+
+  /**
+   * JSON com os jogos completos (ID e versão); aceito por POST /games/import
+   * @param {Array} games
+   * @returns {string}
+   */
+  toJSON(games) {
+    return JSON.stringify(
+      { exportedAt: new Date().toISOString(), total: games.length, games },
+      null,
+      2
+    )
+  }
+
+  /**
+   * Planilha do Excel com datas e números em células tipadas
+   * @param {Array} games
+   * @returns {Promise<Buffer>}
+   */
+  async toXLSX(games) {
+    const workbook = new ExcelJS.Workbook()
+    workbook.creator = 'Catálogo de Jogos'
+    const sheet = workbook.addWorksheet(constants.SHEET_NAME, {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    })
+
+    const fields = [...constants.GAME_FIELDS, 'id']
+    sheet.columns = fields.map(field => ({
+      header: headerOf(field),
+      key: field,
+      width: field === 'resumo' ? 60 : field === 'id' ? 38 : 18,
+      ...(DATE_FIELDS.includes(field) && { style: { numFmt: 'dd/mm/yyyy' } })
+    }))
+
+    games.forEach(game => {
+      const row = {}
+      fields.forEach(field => {
+        const value = game[field]
+        const date = DATE_FIELDS.includes(field) && parseDate(value)
+        if (date) {
+          row[field] = new Date(Date.UTC(date.year, date.month - 1, date.day))
+        } else if (
+          NUMBER_FIELDS.includes(field) &&
+          value !== '' &&
+          !isNaN(Number(value))
+        ) {
+          row[field] = Number(value)
+        } else {
+          row[field] = value ?? ''
+        }
+      })
+      sheet.addRow(row)
+    })
+
+    sheet.getRow(1).font = { bold: true }
+    sheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: fields.length }
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer())
+  }
+
+  /**
+   * Tabela em Markdown com as colunas principais
+   * DLCs cujo jogo base também foi exportado ganham "↳" antes do nome
+   * @param {Array} games
+   * @returns {string}
+   */
+  toMarkdown(games) {
+    const ids = new Set(games.map(game => game.id))
+    const value = (game, field) =>
+      field === 'nome' && ids.has(game.jogoPai) ? `↳ ${game.nome}` : game[field]
+    const cell = value =>
+      String(value ?? '')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, ' ')
+        .trim()
+    const line = cells => `| ${cells.join(' | ')} |`
+
+    return [
+      line(MARKDOWN_FIELDS.map(headerOf)),
+      line(MARKDOWN_FIELDS.map(() => '---')),
+      ...games.map(game =>
+        line(MARKDOWN_FIELDS.map(field => cell(value(game, field))))
+      )
+    ].join('\n')
+  }
+
+  /**
+   * Calendário com eventos de dia inteiro para as datas de início e fim
+   * @param {Array} games
+   * @returns {string}
+   */
+  toICS(games) {
+    const pad = n => String(n).padStart(2, '0')
+    const formatDate = ({ year, month, day }) =>
+      `${year}${pad(month)}${pad(day)}`
+    const nextDay = ({ year, month, day }) => {
+      const date = new Date(Date.UTC(year, month - 1, day + 1))
+      return formatDate({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate()
+      })
+    }
+    const stamp = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '')
+
+    const events = []
+    games.forEach(game => {
+      CALENDAR_EVENTS.forEach(([field, label]) => {
+        const date = parseDate(game[field])
+        if (!date) return
+
+        events.push(
+          'BEGIN:VEVENT',
+          `UID:${game.id}-${field}@catalogo-de-jogos`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${formatDate(date)}`,
+          `DTEND;VALUE=DATE:${nextDay(date)}`,
+          `SUMMARY:${escapeICS(`${label}: ${game.nome}`)}`,
+          `DESCRIPTION:${escapeICS(
+            `Plataforma: ${game.plataforma}\nStatus: ${game.status}`
+          )}`,
+          'END:VEVENT'
+        )
+      })
+    })
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Catalogo de Jogos//PT-BR',
+      'CALSCALE:GREGORIAN',
+      'X-WR-CALNAME:Catálogo de Jogos',
+      ...events,
+      'END:VCALENDAR'
+    ]
+      .map(foldICS)
+      .join('\r\n')
+      .concat('\r\n')
+  }
+}
+
+module.exports = ExportService
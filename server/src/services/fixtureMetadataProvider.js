@@ -0,0 +1,56 @@
+const fs = require('fs')
+const { logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+const { normalizeText } = require('../utils/text')
+const MetadataProvider = require('./metadataProvider')
+
+/**
+ * Provedor de metadados offline, a partir de um JSON local no formato da IGDB
+ * Útil para CI e desenvolvimento sem credenciais da Twitch
+ */
+class FixtureMetadataProvider extends MetadataProvider {
+  /**
+   * Construtor do FixtureMetadataProvider
+   * @param {string} filename - Caminho do JSON (array de jogos da IGDB)
+   */
+  constructor(filename = constants.METADATA_FIXTURE_FILE) {
+    super()
+
+    this.filename = filename
+    this.games = JSON.parse(fs.readFileSync(filename, 'utf8'))
+
+    logger.info('FixtureMetadataProvider inicializado', {
+      filename,
+      games: this.games.length
+    })
+  }
+
+  /**
+   * Busca jogos cujo nome contém o termo (sem diferenciar acentos)
+   * @param {string} query - Nome do jogo a buscar
+   * @returns {Promise<Array>} Até 10 resultados (com `metadata`)
+   */
+  async searchGames(query) {
+    if (!query || typeof query !== 'string') {
+      throw new Error('Query deve ser uma string não vazia')
+    }
+
+    const search = normalizeText(query.trim())
+    return this.games
+      .filter(game => normalizeText(game.name).includes(search))
+      .slice(0, 10)
+      .map(game => this.withMetadata(game))
+  }
+
+  /**
+   * Obtém um jogo do arquivo pelo ID
+   * @param {number} igdbId - ID do jogo
+   * @returns {Promise<Object|null>}
+   */
+  async getGameById(igdbId) {
+    const game = this.games.find(g => g.id === Number(igdbId))
+    return game ? this.withMetadata(game) : null
+  }
+}
+
+module.exports = FixtureMetadataProvider
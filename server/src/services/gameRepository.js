@@ -0,0 +1,431 @@
+const crypto = require('crypto')
+const { v4: uuidv4 } = require('uuid')
+const constants = require('../config/constants')
+const HttpError = require('../utils/httpError')
+const { toCSV } = require('../utils/csv')
+const {
+  parsePlaytimeToMinutes,
+  formatPlaytime,
+  costPerHour
+} = require('../utils/playtime')
+const { normalizeText } = require('../utils/text')
+const { parseTags, formatTags, sameTag } = require('../utils/tags')
+
+const DATE_FIELDS = ['dataLancamento', 'inicio', 'fim', 'dataCompra']
+const PLAYTIME_FIELDS = ['tempo', 'estimativa', 'tempoTotal']
+const NUMBER_FIELDS = ['nota', 'preco', 'custoPorHora', 'dlcs']
+
+/**
+ * Valor usado para ordenar um jogo pelo campo informado
+ * Datas por timestamp, tempo e estimativa em minutos, nota e valores
+ * numéricos, prioridade numérica (jogos sem prioridade por último) e o resto
+ * como texto
+ */
+const sortValue = (game, field) => {
+  const value = game[field]
+  if (DATE_FIELDS.includes(field)) {
+    return value ? new Date(value).getTime() || 0 : 0
+  }
+  if (PLAYTIME_FIELDS.includes(field)) return parsePlaytimeToMinutes(value)
+  if (NUMBER_FIELDS.includes(field)) return value === '' ? -1 : Number(value)
+  if (field === 'prioridade') return value === '' ? Infinity : Number(value)
+  return normalizeText(value)
+}
+
+/**
+ * Filtra e ordena jogos
+ * @param {Array} games - Jogos
+ * @param {Object} options - status, platform, store (loja, sem diferenciar
+ * maiúsculas e acentos), tag, ids (jogos de uma coleção), q, sort, order
+ * @returns {Array} Nova lista com os jogos que atendem aos filtros
+ */
+const filterGames = (
+  games,
+  { status, platform, store, tag, ids, q, sort, order = 'asc' }
+) => {
+  const search = normalizeText(q)
+  const storeKey = normalizeText(store).trim()
+
+  const filtered = games.filter(
+    game =>
+      (!status || game.status === status) &&
+      (!platform || game.plataforma === platform) &&
+      (!storeKey || normalizeText(game.loja).trim() === storeKey) &&
+      (!tag || parseTags(game.tags).some(t => sameTag(t, tag))) &&
+      (!ids || ids.includes(game.id)) &&
+      (!search ||
+        constants.GAME_FIELDS.some(field =>
+          normalizeText(game[field]).includes(search)
+        ))
+  )
+
+  if (sort) {
+    const direction = order === 'desc' ? -1 : 1
+    filtered.sort((a, b) => {
+      const valA = sortValue(a, sort)
+      const valB = sortValue(b, sort)
+      if (valA < valB) return -direction
+      if (valA > valB) return direction
+      return 0
+    })
+  }
+
+  return filtered
+}
+
+/**
+ * Acrescenta aos jogos os totais das DLCs e expansões (DERIVED_FIELDS)
+ * `tempoTotal` é o tempo do jogo somado ao dos jogos que o têm como
+ * `jogoPai`, e `dlcs` a quantidade deles
+ * @param {Array} games - Todos os jogos da lista
+ * @returns {Array}
+ */
+const withRelations = games => {
+  const children = new Map()
+  games.forEach(game => {
+    if (game.jogoPai && game.jogoPai !== game.id) {
+      children.set(game.jogoPai, [...(children.get(game.jogoPai) || []), game])
+    }
+  })
+
+  return games.map(game => {
+    const dlcs = children.get(game.id) || []
+    const minutes = [game, ...dlcs].reduce(
+      (total, item) => total + parsePlaytimeToMinutes(item.tempo),
+      0
+    )
+    return { ...game, tempoTotal: formatPlaytime(minutes), dlcs: dlcs.length }
+  })
+}
+
+/**
+ * Agrupa os jogos já filtrados e ordenados: cada jogo base seguido das suas
+ * DLCs e expansões (na ordem recebida)
+ * DLCs cujo jogo base ficou de fora dos filtros aparecem como grupo próprio
+ * @param {Array} games - Jogos filtrados e ordenados
+ * @returns {Array<Array>} Grupos (o primeiro jogo de cada um é o base)
+ */
+const groupGames = games => {
+  const byId = new Map(games.map(game => [game.id, game]))
+  const isChild = game =>
+    Boolean(game?.jogoPai) && game.jogoPai !== game.id && byId.has(game.jogoPai)
+  // Só um nível: DLC de uma DLC (ex.: editado na planilha) fica solta
+  const nested = game => isChild(game) && !isChild(byId.get(game.jogoPai))
+
+  const children = new Map()
+  games.filter(nested).forEach(game => {
+    children.set(game.jogoPai, [...(children.get(game.jogoPai) || []), game])
+  })
+  return games
+    .filter(game => !nested(game))
+    .map(game => [game, ...(children.get(game.id) || [])])
+}
+
+/**
+ * Jogos que podem ser jogo base (sem `jogoPai`), em ordem alfabética
+ * @param {Array} games - Jogos
+ * @returns {Array<{id, nome, plataforma, igdbId}>}
+ */
+const collectParents = games =>
+  games
+    .filter(game => !game.jogoPai)
+    .map(({ id, nome, plataforma, igdbId }) => ({
+      id,
+      nome,
+      plataforma,
+      igdbId
+    }))
+    .sort((a, b) => String(a.nome).localeCompare(String(b.nome), 'pt-BR'))
+
+/**
+ * Tags usadas no catálogo, em ordem alfabética (primeira grafia encontrada)
+ * @param {Array} games - Jogos
+ * @returns {Array<string>}
+ */
+const collectTags = games =>
+  parseTags(games.flatMap(game => parseTags(game.tags))).sort((a, b) =>
+    a.localeCompare(b, 'pt-BR')
+  )
+
+/**
+ * Lojas usadas no catálogo, em ordem alfabética (primeira grafia encontrada)
+ * @param {Array} games - Jogos
+ * @returns {Array<string>}
+ */
+const collectStores = games => {
+  const stores = new Map()
+  games.forEach(game => {
+    const store = String(game.loja ?? '').trim()
+    if (store && !stores.has(normalizeText(store))) {
+      stores.set(normalizeText(store), store)
+    }
+  })
+  return [...stores.values()].sort((a, b) => a.localeCompare(b, 'pt-BR'))
+}
+
+/**
+ * Contrato de armazenamento do catálogo de jogos
+ * Implementações: SheetsService, SqliteService e JsonFileService
+ */
+class GameRepository {
+  /**
+   * Obtém todos os jogos
+   * @returns {Promise<Array>} Jogos com `id`, `version` e os campos de GAME_FIELDS
+   */
+  async getAll() {
+    throw new Error(`${this.constructor.name}.getAll() não implementado`)
+  }
+
+  /**
+   * Consulta jogos com filtros, ordenação e paginação
+   * Com `group`, as DLCs vêm logo abaixo do jogo base e a paginação (e o
+   * `total`) conta os grupos, para um jogo não ficar separado das suas DLCs
+   * @param {Object} options - status, platform, store, tag, ids, q, sort,
+   * order, group, page, pageSize
+   * @returns {Promise<Object>} items, total, page, pageSize, totalPages e facets
+   * (plataformas, lojas, tags e jogos base de todo o catálogo)
+   */
+  async query(options = {}) {
+    const { page = 1, pageSize = constants.DEFAULT_PAGE_SIZE } = options
+    const games = withRelations(await this.getAll())
+    const filtered = filterGames(games, options)
+    const rows = options.group
+      ? groupGames(filtered)
+      : filtered.map(game => [game])
+
+    const total = rows.length
+    const start = (page - 1) * pageSize
+
+    return {
+      items: rows.slice(start, start + pageSize).flat(),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      facets: {
+        platforms: [
+          ...new Set(games.map(game => game.plataforma).filter(Boolean))
+        ].sort(),
+        stores: collectStores(games),
+        tags: collectTags(games),
+        parents: collectParents(games)
+      }
+    }
+  }
+
+  /**
+   * Lista os jogos que atendem aos filtros, sem paginação
+   * @param {Object} options - status, platform, store, tag, ids, q, sort,
+   * order e group (DLCs logo abaixo do jogo base)
+   * @returns {Promise<Array>}
+   */
+  async list(options = {}) {
+    const filtered = filterGames(withRelations(await this.getAll()), options)
+    return options.group ? groupGames(filtered).flat() : filtered
+  }
+
+  /**
+   * Obtém um jogo pelo ID
+   * @param {string} gameId - ID do jogo
+   * @returns {Promise<Object>} Jogo (404 se não existir)
+   */
+  async findById(gameId) {
+    const game = withRelations(await this.getAll()).find(g => g.id === gameId)
+    if (!game) {
+      throw new HttpError(404, 'Jogo não encontrado')
+    }
+    return game
+  }
+
+  /**
+   * Adiciona um novo jogo
+   * @param {Object} gameData - Dados do jogo
+   * @returns {Promise<Object>} Jogo criado (com ID)
+   */
+  async add(gameData) {
+    throw new Error(`${this.constructor.name}.add() não implementado`)
+  }
+
+  /**
+   * Adiciona vários jogos de uma vez (importação)
+   * A implementação padrão chama `add()` para cada jogo; backends com
+   * escrita em lote a sobrescrevem
+   * @param {Array<Object>} gamesData - Dados dos jogos
+   * @returns {Promise<Array>} Jogos criados (com ID), na mesma ordem
+   */
+  async addMany(gamesData) {
+    const created = []
+    for (const gameData of gamesData) {
+      created.push(await this.add(gameData))
+    }
+    return created
+  }
+
+  /**
+   * Atualiza um jogo existente
+   * @param {string} gameId - ID do jogo
+   * @param {Object} gameData - Dados atualizados
+   * @param {Object} options - `expectedVersion`: versão conhecida pelo cliente (If-Match)
+   * @returns {Promise<Object>} Jogo atualizado (com nova versão)
+   */
+  async update(gameId, gameData, options = {}) {
+    throw new Error(`${this.constructor.name}.update() não implementado`)
+  }
+
+  /**
+   * Atualiza vários jogos de uma vez (reordenação de uma lista)
+   * A implementação padrão chama `update()` para cada jogo; backends com
+   * escrita em lote a sobrescrevem para gravar tudo de uma vez
+   * @param {Array<Object>} games - Jogos com `id` e os dados atualizados
+   * @returns {Promise<Array>} Jogos atualizados (com nova versão)
+   */
+  async updateMany(games) {
+    const updated = []
+    for (const { id, ...gameData } of games) {
+      updated.push(await this.update(id, gameData))
+    }
+    return updated
+  }
+
+  /**
+   * Deleta um jogo
+   * @param {string} gameId - ID do jogo
+   * @param {Object} options - `expectedVersion`: versão conhecida pelo cliente (If-Match)
+   */
+  async delete(gameId, options = {}) {
+    throw new Error(`${this.constructor.name}.delete() não implementado`)
+  }
+
+  /**
+   * Cria o armazenamento de registros auxiliares (sessões de jogo etc.) no
+   * mesmo backend dos jogos: aba, tabela ou chave própria
+   * @param {string} name - Nome da aba/tabela/chave
+   * @param {Array<string>} columns - Campos dos registros
+   * @returns {RecordStore}
+   */
+  createStore(name, columns) {
+    throw new Error(`${this.constructor.name}.createStore() não implementado`)
+  }
+
+  /**
+   * Cria outra lista de jogos (lista de desejos, backlog) no mesmo backend:
+   * aba, tabela ou chave própria, com os mesmos campos do catálogo
+   * @param {string} name - Nome da aba/tabela/chave
+   * @returns {GameRepository}
+   */
+  createList(name) {
+    throw new Error(`${this.constructor.name}.createList() não implementado`)
+  }
+
+  /**
+   * Exporta os jogos como CSV (com cabeçalho)
+   * @param {Object} options - Filtros e ordenação de `list()` (padrão: todos)
+   */
+  async exportAsCSV(options = {}) {
+    const games = await this.list(options)
+    return toCSV([
+      [...constants.GAME_HEADERS, constants.ID_HEADER],
+      ...games.map(game => [
+        ...constants.GAME_FIELDS.map(field => game[field]),
+        game.id
+      ])
+    ])
+  }
+
+  /**
+   * Calcula a versão (ETag) de um jogo a partir do seu conteúdo
+   * Alterações feitas diretamente no armazenamento também mudam a versão
+   * @param {Object} game - Jogo com ID
+   * @returns {string}
+   */
+  computeVersion(game) {
+    const content = [
+      game.id,
+      ...constants.GAME_FIELDS.map(field => String(game[field] ?? ''))
+    ]
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify(content))
+      .digest('hex')
+      .slice(0, 16)
+  }
+
+  /**
+   * Retorna o jogo com sua versão e os campos calculados (DERIVED_FIELDS)
+   * @param {Object} game - Jogo com ID
+   */
+  withVersion(game) {
+    return {
+      ...game,
+      custoPorHora: costPerHour(game.preco, game.tempo),
+      version: this.computeVersion(game)
+    }
+  }
+
+  /**
+   * Garante que o jogo não mudou desde a versão conhecida pelo cliente
+   * Sem versão esperada (ou com "*") a verificação é ignorada
+   * @param {Object} current - Jogo atual (com versão)
+   * @param {string} expectedVersion - Versão enviada em If-Match
+   * @throws {HttpError} 409 com a cópia atual do servidor
+   */
+  assertVersion(current, expectedVersion) {
+    if (
+      expectedVersion &&
+      expectedVersion !== '*' &&
+      expectedVersion !== current.version
+    ) {
+      throw new HttpError(409, 'O jogo foi alterado desde a última leitura', {
+        current
+      })
+    }
+  }
+
+  /**
+   * Gera um ID persistente para um novo jogo
+   * @returns {string} UUID v4
+   */
+  generateId() {
+    return uuidv4()
+  }
+
+  /**
+   * Normaliza os dados recebidos para os campos armazenados
+   * Aplica os mesmos defaults usados na planilha
+   * @param {Object} gameData - Dados do jogo
+   */
+  toRecord(gameData) {
+    return {
+      plataforma: gameData.plataforma,
+      nome: gameData.nome,
+      dataLancamento: gameData.dataLancamento || '',
+      genero: gameData.genero || '',
+      status: gameData.status || 'Não iniciado',
+      tempo: gameData.tempo || '',
+      inicio: gameData.inicio || '',
+      fim: gameData.fim || '',
+      nota: gameData.nota ?? '',
+      capa: gameData.capa || '',
+      resumo: gameData.resumo || '',
+      desenvolvedora: gameData.desenvolvedora || '',
+      publicadora: gameData.publicadora || '',
+      franquia: gameData.franquia || '',
+      modos: gameData.modos || '',
+      notaCritica: gameData.notaCritica ?? '',
+      igdbId: gameData.igdbId ?? '',
+      tags: formatTags(gameData.tags),
+      prioridade: gameData.prioridade ?? '',
+      estimativa: gameData.estimativa || '',
+      formato: gameData.formato || '',
+      loja: gameData.loja || '',
+      edicao: gameData.edicao || '',
+      dataCompra: gameData.dataCompra || '',
+      preco: gameData.preco ?? '',
+      assinatura: gameData.assinatura || '',
+      tipo: gameData.tipo || '',
+      jogoPai: gameData.jogoPai || ''
+    }
+  }
+}
+
+module.exports = GameRepository
@@ -0,0 +1,113 @@
+const { logger } = require('../middleware/auth')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Histórico de status dos jogos
+ * Cada mudança de status vira um registro (de, para, data); a linha do tempo
+ * calcula quanto tempo o jogo ficou em cada status
+ */
+class HistoryService {
+  /**
+   * @param {GameRepository} gameRepository - Repositório dos jogos
+   * @param {RecordStore} store - Store do histórico (HISTORY_STORE)
+   */
+  constructor(gameRepository, store) {
+    this.gameRepository = gameRepository
+    this.store = store
+  }
+
+  /**
+   * Registra uma mudança de status
+   * Falhas são apenas registradas no log: o jogo já foi gravado
+   * @param {string} gameId - ID do jogo
+   * @param {string} from - Status anterior ('' ao criar o jogo)
+   * @param {string} to - Novo status
+   * @returns {Promise<Object|null>} Registro criado
+   */
+  async record(gameId, from, to) {
+    if (from === to) return null
+
+    try {
+      return await this.store.add({
+        gameId,
+        de: from || '',
+        para: to,
+        data: new Date().toISOString()
+      })
+    } catch (error) {
+      logger.error('Erro ao registrar histórico de status', {
+        gameId,
+        error: error.message
+      })
+      return null
+    }
+  }
+
+  /**
+   * Linha do tempo de um jogo, da mudança mais antiga para a mais recente
+   * Cada registro traz `ate` (próxima mudança ou null se atual) e `dias` no
+   * status; `totals` soma os dias por status
+   * @param {string} gameId - ID do jogo (404 se não existir)
+   * @returns {Promise<{history: Array, totals: Object}>}
+   */
+  async list(gameId) {
+    await this.gameRepository.findById(gameId)
+
+    const entries = (await this.store.getAll())
+      .filter(entry => entry.gameId === gameId)
+      .sort((a, b) => a.data.localeCompare(b.data))
+
+    const now = Date.now()
+    const totals = {}
+    const history = entries.map((entry, index) => {
+      const ate = entries[index + 1]?.data || null
+      const end = ate ? Date.parse(ate) : now
+      const dias =
+        Math.round(((end - Date.parse(entry.data)) / DAY_MS) * 10) / 10
+
+      totals[entry.para] =
+        Math.round(((totals[entry.para] || 0) + dias) * 10) / 10
+      return { ...entry, ate, dias }
+    })
+
+    return { history, totals }
+  }
+
+  /**
+   * Passa o histórico de um jogo para outro ID (jogo movido de uma lista
+   * para o catálogo)
+   * @param {string} fromId - ID antigo
+   * @param {string} toId - ID novo
+   * @returns {Promise<number>} Quantidade de registros movidos
+   */
+  async moveToGame(fromId, toId) {
+    try {
+      const entries = (await this.store.getAll()).filter(
+        entry => entry.gameId === fromId
+      )
+      for (const { id, ...entry } of entries) {
+        await this.store.update(id, { ...entry, gameId: toId })
+      }
+      return entries.length
+    } catch (error) {
+      logger.error('Erro ao mover histórico de status', {
+        fromId,
+        toId,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Remove o histórico de um jogo excluído
+   * @param {string} gameId - ID do jogo
+   * @returns {Promise<number>} Quantidade removida
+   */
+  async deleteForGame(gameId) {
+    return this.store.deleteWhere(entry => entry.gameId === gameId)
+  }
+}
+
+module.exports = HistoryService
@@ -1,29 +1,96 @@
 const axios = require('axios')
 const { logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+const cacheService = require('./cacheService')
+const RequestQueue = require('../utils/requestQueue')
+const MetadataProvider = require('./metadataProvider')
+
+// Campos solicitados à IGDB (busca e detalhe)
+const QUERY_FIELDS = [
+  'name',
+  'first_release_date',
+  'platforms.name',
+  'genres.name',
+  'cover.image_id',
+  'summary',
+  'storyline',
+  'aggregated_rating',
+  'involved_companies.company.name',
+  'involved_companies.developer',
+  'involved_companies.publisher',
+  'franchises.name',
+  'game_modes.name',
+  // Tipo (DLC, expansão...) e jogo base; `category` fica para respostas
+  // antigas, sem `game_type`
+  'category',
+  'game_type.type',
+  'parent_game.name'
+]
+
+/**
+ * Tempo de espera antes de repetir uma requisição recusada com 429
+ * Usa o header Retry-After (segundos ou data) quando presente
+ * @param {Object} headers - Headers da resposta
+ * @param {number} attempt - Tentativa atual (0 = primeira repetição)
+ * @returns {number} Milissegundos
+ */
+const retryDelay = (headers = {}, attempt) => {
+  const retryAfter = headers['retry-after']
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    const ms = Number.isNaN(seconds)
+      ? new Date(retryAfter).getTime() - Date.now()
+      : seconds * 1000
+    if (ms > 0) return ms
+  }
+  return constants.IGDB_RETRY_BASE_DELAY * 2 ** attempt
+}
 
 /**
  * Serviço para integração com IGDB API
  * Gerencia autenticação com Twitch e buscas de jogos
  */
-class IGDBService {
+class IGDBService extends MetadataProvider {
   constructor(clientId, clientSecret) {
+    super()
+
     this.clientId = clientId
     this.clientSecret = clientSecret
     this.token = null
     this.tokenExpiry = null
-    this.authUrl = 'https://id.twitch.tv/oauth2/token'
-    this.apiUrl = 'https://api.igdb.com/v4/games'
+    // Requisição de token em andamento, compartilhada entre chamadas simultâneas
+    this.tokenPromise = null
+    // Todas as chamadas à API passam pela fila para respeitar os limites
+    this.queue = new RequestQueue({
+      concurrency: constants.IGDB_MAX_CONCURRENCY,
+      ratePerSecond: constants.IGDB_REQUESTS_PER_SECOND
+    })
+    this.authUrl = constants.TWITCH_AUTH_URL
+    this.apiUrl = constants.IGDB_API_URL
   }
 
   /**
    * Obtém token de autenticação da Twitch/IGDB
-   * Reutiliza token em cache se ainda for válido
+   * Reutiliza token em cache se ainda for válido; se já houver uma requisição
+   * de token em andamento, aguarda a mesma em vez de abrir outra
    */
   async getToken() {
     if (this.token && this.tokenExpiry > Date.now()) {
       return this.token
     }
 
+    if (!this.tokenPromise) {
+      this.tokenPromise = this.fetchToken().finally(() => {
+        this.tokenPromise = null
+      })
+    }
+    return this.tokenPromise
+  }
+
+  /**
+   * Solicita um novo token à Twitch
+   */
+  async fetchToken() {
     try {
       const response = await axios.post(this.authUrl, null, {
         params: {
@@ -52,6 +119,7 @@ class IGDBService {
 
   /**
    * Busca jogos na IGDB por nome
+   * Resultados ficam em cache por CACHE_TTL_IGDB segundos
    * @param {string} query - Nome do jogo a buscar
    * @returns {Promise<Array>} Array com resultados da busca
    */
@@ -60,28 +128,126 @@ class IGDBService {
       throw new Error('Query deve ser uma string não vazia')
     }
 
+    const cacheKey = `igdb:search:${query.trim().toLowerCase()}`
+    return cacheService.getOrFetch(
+      cacheKey,
+      () => this.fetchSearch(query),
+      constants.CACHE_TTL_IGDB
+    )
+  }
+
+  /**
+   * Obtém um jogo da IGDB pelo ID
+   * O resultado fica em cache por CACHE_TTL_IGDB segundos
+   * @param {number} igdbId - ID do jogo na IGDB
+   * @param {Object} options - `refresh`: ignora o cache e busca de novo
+   * @returns {Promise<Object|null>} Jogo (com `metadata`) ou null
+   */
+  async getGameById(igdbId, options = {}) {
+    const cacheKey = `igdb:game:${igdbId}`
+    if (options.refresh) {
+      cacheService.delete(cacheKey)
+    }
+
+    return cacheService.getOrFetch(
+      cacheKey,
+      () => this.fetchById(igdbId),
+      constants.CACHE_TTL_IGDB
+    )
+  }
+
+  /**
+   * Envia uma consulta (Apicalypse) para a API de jogos da IGDB
+   * @param {string} body - Consulta
+   * @returns {Promise<Array>} Jogos retornados, com `metadata`
+   */
+  async request(body) {
+    const token = await this.getToken()
+    let response
+    try {
+      response = await this.post(body, token)
+    } catch (error) {
+      if (![401, 403].includes(error.response?.status)) {
+        throw error
+      }
+
+      // Token revogado antes de expirar: renova uma vez e tenta de novo.
+      // Só descarta se ninguém renovou ainda, para não repetir a renovação
+      logger.warn('Token IGDB rejeitado, renovando', {
+        status: error.response.status
+      })
+      if (this.token === token) {
+        this.clearToken()
+      }
+      response = await this.post(body, await this.getToken())
+    }
+
+    return (response.data || []).map(game => this.withMetadata(game))
+  }
+
+  /**
+   * Envia a consulta pela fila, repetindo após 429 (Too Many Requests)
+   * Durante a espera a fila inteira fica pausada
+   * @param {string} body - Consulta
+   * @param {string} token - Token de acesso
+   * @param {number} attempt - Repetições já feitas
+   */
+  async post(body, token, attempt = 0) {
+    try {
+      return await this.queue.schedule(() =>
+        axios.post(this.apiUrl, body, {
+          headers: {
+            'Client-ID': this.clientId,
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'text/plain'
+          },
+          timeout: 10000
+        })
+      )
+    } catch (error) {
+      if (
+        error.response?.status !== 429 ||
+        attempt >= constants.IGDB_MAX_RETRIES
+      ) {
+        throw error
+      }
+
+      const delay = retryDelay(error.response.headers, attempt)
+      logger.warn('IGDB limitou as requisições (429), aguardando', {
+        delay,
+        attempt: attempt + 1
+      })
+      this.queue.pause(delay)
+      return this.post(body, token, attempt + 1)
+    }
+  }
+
+  /**
+   * Métricas da fila de requisições à IGDB
+   */
+  getStats() {
+    return { queue: this.queue.getStats() }
+  }
+
+  /**
+   * Executa a busca na API da IGDB (sem cache)
+   * @param {string} query - Nome do jogo a buscar
+   */
+  async fetchSearch(query) {
     try {
-      const token = await this.getToken()
       const escaped = query.replace(/"/g, '\\"')
-      const igdbQuery = `search \"${escaped}\"; fields name, first_release_date, platforms.name, genres.name; limit 10;`
+      const igdbQuery = `search \"${escaped}\"; fields ${QUERY_FIELDS.join(', ')}; limit 10;`
 
       logger.info('Buscando jogos na IGDB', { query })
 
-      const response = await axios.post(this.apiUrl, igdbQuery, {
-        headers: {
-          'Client-ID': this.clientId,
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'text/plain'
-        },
-        timeout: 10000
-      })
+      const results = await this.request(igdbQuery)
 
       logger.info('Busca IGDB realizada com sucesso', {
         query,
-        results: response.data.length
+        results: results.length
       })
 
-      return response.data || []
+      return results
     } catch (error) {
       logger.error('Erro ao buscar jogos na IGDB', {
         error: error.message,
@@ -91,6 +257,27 @@ class IGDBService {
     }
   }
 
+  /**
+   * Obtém um jogo na API da IGDB pelo ID (sem cache)
+   * @param {number} igdbId - ID do jogo na IGDB
+   */
+  async fetchById(igdbId) {
+    try {
+      const [game] = await this.request(
+        `fields ${QUERY_FIELDS.join(', ')}; where id = ${Number(igdbId)};`
+      )
+
+      logger.info('Jogo obtido da IGDB', { igdbId, found: Boolean(game) })
+      return game || null
+    } catch (error) {
+      logger.error('Erro ao obter jogo da IGDB', {
+        error: error.message,
+        igdbId
+      })
+      throw error
+    }
+  }
+
   /**
    * Limpa token em cache (útil para logout ou teste)
    */
@@ -0,0 +1,536 @@
+const { logger } = require('../middleware/auth')
+const { gameSchema } = require('../middleware/validation')
+const constants = require('../config/constants')
+const IMPORT_PRESETS = require('../config/importPresets')
+const HttpError = require('../utils/httpError')
+const RelationService = require('./relationService')
+const StatusWorkflow = require('./statusWorkflow')
+const { parseCSV } = require('../utils/csv')
+const { normalizeText } = require('../utils/text')
+const {
+  splitList,
+  normalizeStatus,
+  normalizeDate,
+  normalizeRating,
+  normalizePlaytime,
+  normalizePrice
+} = require('../utils/importNormalizers')
+
+/**
+ * Mapa de cabeçalhos aceitos no CSV para os campos do jogo
+ * Aceita os rótulos do export (ex.: "Lançamento") e os nomes dos campos
+ * (ex.: "dataLancamento"), sem diferenciar maiúsculas e acentos
+ */
+const HEADER_FIELDS = new Map([
+  ...constants.GAME_FIELDS.map((field, index) => [
+    normalizeText(constants.GAME_HEADERS[index]),
+    field
+  ]),
+  ...constants.GAME_FIELDS.map(field => [normalizeText(field), field]),
+  [normalizeText(constants.ID_HEADER), 'id']
+])
+
+// Campos de data: o `isoDate()` do Joi converte o valor para o formato ISO
+// completo, então o texto original (ex.: "2020-01-01") é mantido
+const DATE_FIELDS = ['dataLancamento', 'inicio', 'fim', 'dataCompra']
+
+// Valores que contam como "desmarcado" nas colunas de `statusFlags`
+const FLAG_OFF_VALUES = ['', '0', 'false', 'no', 'nao', 'n']
+
+const statusWorkflow = new StatusWorkflow()
+
+/**
+ * Importação em lote de jogos
+ * Aceita o CSV/JSON do próprio catálogo ou exports de outros rastreadores
+ * (presets e mapeamento de colunas), valida cada linha com o gameSchema e
+ * as regras de status (como POST /games) e grava as válidas de uma só vez
+ */
+class ImportService {
+  /**
+   * @param {GameRepository} gameRepository - Repositório de destino
+   * @param {MetadataProvider} metadataProvider - Usado em `matchMetadata`
+   * @param {HistoryService} historyService - Registra o status inicial dos
+   *   jogos gravados
+   */
+  constructor(gameRepository, metadataProvider = null, historyService = null) {
+    this.gameRepository = gameRepository
+    this.metadataProvider = metadataProvider
+    this.historyService = historyService
+  }
+
+  /**
+   * Importa jogos
+   * Linhas inválidas são reportadas e linhas cujo ID já existe no catálogo
+   * são ignoradas; as demais são gravadas (exceto em `dryRun`)
+   * @param {string|Array|Object} body - Texto CSV, array de jogos ou `{games}`
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Apenas valida, sem gravar
+   * @param {string} options.preset - Layout de outro rastreador (importPresets)
+   * @param {Object} options.mapping - Campo do jogo → cabeçalho no arquivo
+   * @param {number} options.ratingScale - Nota máxima usada no arquivo
+   * @param {string} options.dateOrder - `dmy` ou `mdy`
+   * @param {string} options.defaultPlatform - Plataforma das linhas sem uma
+   * @param {boolean} options.matchMetadata - Busca cada título no provedor
+   *   de metadados e completa os campos vazios
+   * @returns {Promise<Object>} Resumo com erros e avisos por linha
+   */
+  async import(body, options = {}) {
+    const { dryRun = false, matchMetadata = false } = options
+
+    try {
+      const layout = this.resolveLayout(options)
+      let rows
+      if (layout) {
+        rows = this.fromTracker(body, layout, options)
+      } else {
+        rows =
+          typeof body === 'string' ? this.fromCSV(body) : this.fromJSON(body)
+      }
+
+      if (rows.length === 0) {
+        throw new HttpError(400, 'Nenhum jogo encontrado no arquivo')
+      }
+      if (rows.length > constants.IMPORT_MAX_ROWS) {
+        throw new HttpError(
+          400,
+          `O arquivo excede o limite de ${constants.IMPORT_MAX_ROWS} jogos`
+        )
+      }
+
+      const existingIds = new Set(
+        (await this.gameRepository.getAll()).map(game => game.id)
+      )
+      const skipped = []
+      const pending = rows.filter(({ row, data }) => {
+        if (data.id && existingIds.has(String(data.id))) {
+          skipped.push({ row, message: 'Jogo já existe no catálogo' })
+          return false
+        }
+        if (data.id) existingIds.add(String(data.id))
+        return true
+      })
+
+      const matches = matchMetadata ? await this.matchMetadata(pending) : []
+
+      const valid = []
+      const validRows = []
+      const errors = []
+      pending.forEach(entry => {
+        const { row, data } = entry
+        const { error, value } = gameSchema.validate(data, {
+          abortEarly: false
+        })
+        if (error) {
+          errors.push({ row, errors: error.details.map(d => d.message) })
+          return
+        }
+        DATE_FIELDS.forEach(field => {
+          if (data[field]) value[field] = data[field]
+        })
+        try {
+          valid.push(statusWorkflow.apply(null, value))
+          validRows.push(entry)
+        } catch (workflowError) {
+          if (!(workflowError instanceof HttpError)) throw workflowError
+          errors.push({
+            row,
+            errors: workflowError.details?.errors || [workflowError.message]
+          })
+        }
+      })
+
+      // O jogo base é ligado depois de gravar, com os IDs novos
+      let games =
+        dryRun || valid.length === 0
+          ? valid.map(game => this.gameRepository.toRecord(game))
+          : await this.gameRepository.addMany(
+              valid.map(game => ({ ...game, jogoPai: '' }))
+            )
+      if (!dryRun && games.length > 0) {
+        games = await this.linkParents(validRows, games)
+        for (const game of games) {
+          await this.historyService?.record(game.id, '', game.status)
+        }
+      }
+
+      const warnings = rows.flatMap(({ row, warnings }) =>
+        warnings.map(message => ({ row, message }))
+      )
+
+      logger.info('Importação de jogos processada', {
+        dryRun,
+        preset: layout?.preset,
+        total: rows.length,
+        valid: valid.length,
+        skipped: skipped.length,
+        errors: errors.length,
+        matches: matches.length
+      })
+
+      return {
+        dryRun,
+        total: rows.length,
+        valid: valid.length,
+        imported: dryRun ? 0 : games.length,
+        skipped,
+        errors,
+        warnings,
+        matches,
+        games
+      }
+    } catch (error) {
+      logger.error('Erro ao importar jogos', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Liga as DLCs importadas ao jogo base
+   * O `jogoPai` do arquivo usa os IDs do arquivo: aponta para o jogo
+   * importado com aquele ID ou, se não estiver no arquivo, para o jogo do
+   * catálogo com o mesmo ID. Sem `jogoPai`, usa o jogo base da IGDB
+   * encontrado por `matchMetadata` (pelo igdbId)
+   * @param {Array<{data: Object, warnings: Array, parentIgdbId}>} rows -
+   *   Linhas válidas, na ordem dos jogos gravados
+   * @param {Array} games - Jogos gravados (com os IDs novos)
+   * @returns {Promise<Array>} Jogos com `jogoPai` atualizado
+   */
+  async linkParents(rows, games) {
+    const newIds = new Map()
+    rows.forEach(({ data }, index) => {
+      if (data.id) newIds.set(String(data.id), games[index].id)
+    })
+    const catalog = await this.gameRepository.getAll()
+    const existingIds = new Set(catalog.map(game => game.id))
+    const relationService = new RelationService(this.gameRepository)
+
+    const changed = []
+    for (const [index, { data, warnings, parentIgdbId }] of rows.entries()) {
+      let jogoPai = ''
+      if (data.jogoPai) {
+        jogoPai =
+          newIds.get(data.jogoPai) ||
+          (existingIds.has(data.jogoPai) ? data.jogoPai : '')
+        if (!jogoPai)
+          warnings.push('Jogo base não encontrado; relação ignorada')
+      } else if (parentIgdbId) {
+        const parent = await relationService.findParentByIgdbId(
+          parentIgdbId,
+          catalog
+        )
+        jogoPai = parent?.id || ''
+      }
+
+      if (jogoPai && jogoPai !== games[index].id) {
+        const { version, ...game } = games[index]
+        changed.push({ ...game, jogoPai })
+      }
+    }
+    if (changed.length === 0) return games
+
+    const updated = new Map(
+      (await this.gameRepository.updateMany(changed)).map(game => [
+        game.id,
+        game
+      ])
+    )
+    return games.map(game => updated.get(game.id) || game)
+  }
+
+  /**
+   * Monta o layout de um rastreador a partir do preset e do mapeamento
+   * Sem preset nem mapeamento, o arquivo segue o layout do próprio catálogo
+   * @param {Object} options - preset, mapping, ratingScale, dateOrder
+   * @returns {Object|null} Layout com cabeçalhos já normalizados
+   */
+  resolveLayout({ preset, mapping, ratingScale, dateOrder }) {
+    if (!preset && !mapping) return null
+
+    const id = preset || 'generic'
+    const base = IMPORT_PRESETS[id]
+    const columns = {}
+    Object.entries(base.columns).forEach(([field, headers]) => {
+      columns[field] = headers.map(normalizeText)
+    })
+    Object.entries(mapping || {}).forEach(([field, header]) => {
+      columns[field] = [normalizeText(header.trim())]
+    })
+
+    const statusFlags = {}
+    Object.entries(base.statusFlags || {}).forEach(([header, status]) => {
+      statusFlags[normalizeText(header)] = status
+    })
+
+    return {
+      preset: id,
+      columns,
+      statusFlags,
+      ratingScale: ratingScale || base.ratingScale,
+      dateOrder: dateOrder || base.dateOrder
+    }
+  }
+
+  /**
+   * Converte um CSV (com cabeçalho) em linhas de dados
+   * Células vazias são omitidas para que os defaults do schema se apliquem
+   * @param {string} text - Conteúdo CSV
+   * @returns {Array<{row: number, data: Object, warnings: Array}>} `row` é a
+   *   linha no arquivo
+   */
+  fromCSV(text) {
+    const [header = [], ...records] = parseCSV(text)
+    const fields = header.map(label =>
+      HEADER_FIELDS.get(normalizeText(label.trim()))
+    )
+
+    if (!fields.includes('nome')) {
+      throw new HttpError(400, 'Cabeçalho do CSV não reconhecido', {
+        expected: [...constants.GAME_HEADERS, constants.ID_HEADER]
+      })
+    }
+
+    return records.map((values, index) => {
+      const data = {}
+      fields.forEach((field, column) => {
+        let value = (values[column] ?? '').trim()
+        // Planilhas em pt-BR salvam o preço como "59,90"
+        if (field === 'preco') value = normalizePrice(value) ?? value
+        if (field && value !== '') data[field] = value
+      })
+      return { row: index + 2, data, warnings: [] }
+    })
+  }
+
+  /**
+   * Converte o corpo JSON em linhas de dados
+   * @param {Array|Object} body - Array de jogos ou `{games: [...]}`
+   * @returns {Array<{row: number, data: Object, warnings: Array}>} `row` é a
+   *   posição (1-based)
+   */
+  fromJSON(body) {
+    return this.jsonGames(body).map((game, index) => {
+      const data = {}
+      if (game && typeof game === 'object') {
+        Object.entries(game).forEach(([field, value]) => {
+          if (value !== '' && value !== null && value !== undefined) {
+            data[field] = value
+          }
+        })
+      }
+      return { row: index + 1, data, warnings: [] }
+    })
+  }
+
+  /**
+   * Extrai a lista de jogos do corpo JSON
+   * @param {Array|Object} body - Array de jogos ou `{games: [...]}`
+   * @returns {Array}
+   */
+  jsonGames(body) {
+    const games = Array.isArray(body) ? body : body?.games
+    if (!Array.isArray(games)) {
+      throw new HttpError(
+        400,
+        'Envie um CSV ou um JSON com um array de jogos (ou { "games": [...] })'
+      )
+    }
+    return games
+  }
+
+  /**
+   * Converte o export de outro rastreador em linhas de dados
+   * Status, datas, notas, tempos e preços são normalizados; valores que não
+   * puderam ser convertidos são descartados com um aviso
+   * @param {string|Array|Object} body - CSV ou JSON do rastreador
+   * @param {Object} layout - Resultado de `resolveLayout()`
+   * @param {Object} options - `defaultPlatform`
+   * @returns {Array<{row: number, data: Object, warnings: Array}>}
+   */
+  fromTracker(body, layout, { defaultPlatform } = {}) {
+    const records = this.toRecords(body)
+    const headers = new Set(
+      records.flatMap(({ record }) => Object.keys(record))
+    )
+
+    if (!layout.columns.nome.some(header => headers.has(header))) {
+      throw new HttpError(400, 'Coluna com o nome do jogo não encontrada', {
+        columns: [...headers]
+      })
+    }
+
+    return records.map(({ row, record }) => {
+      const data = {}
+      const warnings = []
+
+      Object.entries(layout.columns).forEach(([field, aliases]) => {
+        const header = aliases.find(alias => record[alias])
+        if (!header) return
+
+        const raw = record[header]
+        const value = this.normalizeField(field, raw, layout)
+        if (value === null) {
+          warnings.push(`Valor "${raw}" da coluna "${header}" ignorado`)
+        } else if (value !== '') {
+          data[field] = value
+        }
+      })
+
+      if (!data.status) {
+        const flag = Object.keys(layout.statusFlags).find(
+          header =>
+            record[header] !== undefined &&
+            !FLAG_OFF_VALUES.includes(normalizeText(record[header]))
+        )
+        if (flag) data.status = layout.statusFlags[flag]
+      }
+      if (!data.plataforma && defaultPlatform) {
+        data.plataforma = defaultPlatform
+      }
+
+      return { row, data, warnings }
+    })
+  }
+
+  /**
+   * Converte o valor de um rastreador para o formato do campo
+   * @param {string} field - Campo do jogo
+   * @param {string} raw - Valor no arquivo
+   * @param {Object} layout - `ratingScale` e `dateOrder`
+   * @returns {*} Valor convertido; '' se vazio; null se não reconhecido
+   */
+  normalizeField(field, raw, layout) {
+    switch (field) {
+      case 'plataforma':
+      case 'loja':
+        return splitList(raw)[0] || ''
+      case 'genero':
+        return splitList(raw).join(', ')
+      case 'status':
+        return normalizeStatus(raw)
+      case 'dataLancamento':
+      case 'inicio':
+      case 'fim':
+      case 'dataCompra':
+        return normalizeDate(raw, layout.dateOrder)
+      case 'nota':
+        return normalizeRating(raw, layout.ratingScale)
+      case 'tempo':
+        return normalizePlaytime(raw)
+      case 'preco':
+        return normalizePrice(raw)
+      default:
+        return raw
+    }
+  }
+
+  /**
+   * Converte o corpo em registros `{ cabeçalho normalizado: valor }`
+   * @param {string|Array|Object} body - CSV ou JSON
+   * @returns {Array<{row: number, record: Object}>}
+   */
+  toRecords(body) {
+    if (typeof body === 'string') {
+      const [header = [], ...lines] = parseCSV(body)
+      const keys = header.map(label => normalizeText(label.trim()))
+      return lines.map((values, index) => {
+        const record = {}
+        keys.forEach((key, column) => {
+          record[key] = (values[column] ?? '').trim()
+        })
+        return { row: index + 2, record }
+      })
+    }
+
+    return this.jsonGames(body).map((game, index) => {
+      const record = {}
+      if (game && typeof game === 'object') {
+        Object.entries(game).forEach(([key, value]) => {
+          record[normalizeText(key.trim())] =
+            value !== null && typeof value === 'object'
+              ? JSON.stringify(value)
+              : String(value ?? '').trim()
+        })
+      }
+      return { row: index + 1, record }
+    })
+  }
+
+  /**
+   * Busca cada título no provedor de metadados e completa os campos vazios
+   * Prefere o resultado com o mesmo nome; senão, usa o primeiro
+   * As buscas passam pela fila do provedor (limites da IGDB)
+   * @param {Array<{row: number, data: Object, warnings: Array}>} rows
+   * @returns {Promise<Array>} Correspondências encontradas, por linha
+   */
+  async matchMetadata(rows) {
+    const matches = []
+
+    await Promise.all(
+      rows.map(async entry => {
+        const { row, data, warnings } = entry
+        if (!data.nome) return
+
+        try {
+          const name = normalizeText(String(data.nome).trim())
+          const results = await this.metadataProvider.searchGames(
+            String(data.nome)
+          )
+          const game =
+            results.find(result => normalizeText(result.name) === name) ||
+            results[0]
+
+          if (!game) {
+            warnings.push('Nenhum jogo correspondente na IGDB')
+            return
+          }
+
+          const metadata = this.applyMatch(data, game)
+          if (metadata.igdbPai) entry.parentIgdbId = metadata.igdbPai
+          matches.push({
+            row,
+            nome: data.nome,
+            igdbId: game.id,
+            igdbName: game.name,
+            exact: normalizeText(game.name) === name
+          })
+        } catch (error) {
+          warnings.push(`Falha ao buscar na IGDB: ${error.message}`)
+        }
+      })
+    )
+
+    return matches.sort((a, b) => a.row - b.row)
+  }
+
+  /**
+   * Preenche os campos vazios com os dados do jogo encontrado
+   * @param {Object} data - Dados da linha (alterados)
+   * @param {Object} game - Resultado do provedor (com `metadata`)
+   * @returns {Object} Metadados do jogo (`igdbPai` é ligado em `linkParents`)
+   */
+  applyMatch(data, game) {
+    const metadata = game.metadata || this.metadataProvider.toMetadata(game)
+    Object.entries(metadata).forEach(([field, value]) => {
+      if (
+        constants.GAME_FIELDS.includes(field) &&
+        data[field] === undefined &&
+        value !== '' &&
+        value !== null
+      ) {
+        data[field] = value
+      }
+    })
+
+    if (!data.dataLancamento && game.first_release_date) {
+      data.dataLancamento = new Date(game.first_release_date * 1000)
+        .toISOString()
+        .split('T')[0]
+    }
+    if (!data.genero && game.genres?.length) {
+      data.genero = game.genres.map(genre => genre.name).join(', ')
+    }
+    return metadata
+  }
+}
+
+module.exports = ImportService
@@ -0,0 +1,295 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+const HttpError = require('../utils/httpError')
+const GameRepository = require('./gameRepository')
+const JsonRecordStore = require('./jsonRecordStore')
+
+/**
+ * Armazenamento de jogos em um arquivo JSON local
+ * Útil para desenvolvimento e testes sem credenciais Google
+ */
+class JsonFileService extends GameRepository {
+  /**
+   * Construtor do JsonFileService
+   * @param {string} filename - Caminho do arquivo JSON (criado se não existir)
+   * @param {Object} options - `key`: chave dos jogos no arquivo; `owner`:
+   * serviço dono da fila de escritas (listas criadas por `createList()`)
+   */
+  constructor(
+    filename = constants.JSON_DATA_FILE,
+    { key = 'games', owner } = {}
+  ) {
+    super()
+
+    this.filename = filename
+    this.key = key
+    this.owner = owner || null
+    // Fila de escritas: garante que leituras/escritas não se intercalem
+    this.pending = Promise.resolve()
+    this.idsPromise = null
+
+    logger.info('JsonFileService inicializado', { filename, key })
+  }
+
+  /**
+   * Jogos desta lista no conteúdo do arquivo (a chave é criada se faltar)
+   * @param {Object} data - Conteúdo do arquivo
+   * @returns {Array}
+   */
+  gamesIn(data) {
+    data[this.key] = data[this.key] || []
+    return data[this.key]
+  }
+
+  /**
+   * Lê o conteúdo do arquivo (sem alterá-lo)
+   * @returns {Promise<{games: Array}>}
+   */
+  async read() {
+    let data
+    try {
+      data = JSON.parse(await fs.readFile(this.filename, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { games: [] }
+      }
+      throw error
+    }
+    return data
+  }
+
+  /**
+   * Gera UUIDs para jogos sem ID persistente (arquivos antigos)
+   * Roda uma vez por instância, pela fila de escritas, antes da primeira
+   * leitura; assim uma leitura nunca grava o arquivo
+   * @returns {Promise<number>} Quantidade de IDs gerados
+   */
+  ensureIds() {
+    if (!this.idsPromise) {
+      this.idsPromise = this.mutate(data => {
+        const missing = this.gamesIn(data).filter(
+          game => typeof game.id !== 'string'
+        )
+        missing.forEach(game => (game.id = this.generateId()))
+        delete data.nextId
+        if (missing.length > 0) {
+          logger.info('IDs gerados para jogos existentes', {
+            count: missing.length
+          })
+        }
+        return missing.length
+      }).catch(error => {
+        this.idsPromise = null
+        throw error
+      })
+    }
+    return this.idsPromise
+  }
+
+  /**
+   * Grava o conteúdo no arquivo (escrita atômica via arquivo temporário)
+   * @param {{games: Array}} data
+   */
+  async write(data) {
+    await fs.mkdir(path.dirname(this.filename), { recursive: true })
+    const tmpFile = `${this.filename}.tmp`
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2))
+    await fs.rename(tmpFile, this.filename)
+  }
+
+  /**
+   * Executa uma alteração de forma serializada
+   * @param {Function} mutator - Recebe os dados e os altera no lugar
+   */
+  mutate(mutator) {
+    // Listas usam a fila do serviço dono do arquivo
+    if (this.owner) return this.owner.mutate(mutator)
+
+    const run = this.pending.then(async () => {
+      const data = await this.read()
+      const result = mutator(data)
+      await this.write(data)
+      return result
+    })
+    this.pending = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Obtém todos os jogos
+   */
+  async getAll() {
+    try {
+      await this.ensureIds()
+      await (this.owner || this).pending
+      const games = this.gamesIn(await this.read())
+
+      logger.info('Jogos carregados', { count: games.length })
+      return games.map(game => this.withVersion(game))
+    } catch (error) {
+      logger.error('Erro ao carregar jogos', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Adiciona um novo jogo
+   * @param {Object} gameData - Dados do jogo
+   * @returns {Promise<Object>} Jogo criado (com ID)
+   */
+  async add(gameData) {
+    try {
+      const game = { id: this.generateId(), ...this.toRecord(gameData) }
+      await this.mutate(data => {
+        this.gamesIn(data).push(game)
+      })
+
+      logger.info('Jogo adicionado com sucesso', {
+        id: game.id,
+        nome: gameData.nome
+      })
+      return this.withVersion(game)
+    } catch (error) {
+      logger.error('Erro ao adicionar jogo', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Adiciona vários jogos em uma única escrita do arquivo
+   * @param {Array<Object>} gamesData - Dados dos jogos
+   * @returns {Promise<Array>} Jogos criados (com ID)
+   */
+  async addMany(gamesData) {
+    try {
+      const games = gamesData.map(gameData => ({
+        id: this.generateId(),
+        ...this.toRecord(gameData)
+      }))
+      await this.mutate(data => {
+        this.gamesIn(data).push(...games)
+      })
+
+      logger.info('Jogos adicionados em lote', { count: games.length })
+      return games.map(game => this.withVersion(game))
+    } catch (error) {
+      logger.error('Erro ao adicionar jogos em lote', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Localiza o índice de um jogo, validando a versão esperada
+   * @param {Array} games - Jogos da lista (`gamesIn()`)
+   * @param {string} gameId - ID do jogo
+   * @param {string} expectedVersion - Versão conhecida pelo cliente
+   */
+  findIndex(games, gameId, expectedVersion) {
+    const index = games.findIndex(g => g.id === gameId)
+    if (index === -1) {
+      throw new HttpError(404, 'Jogo não encontrado')
+    }
+    this.assertVersion(this.withVersion(games[index]), expectedVersion)
+    return index
+  }
+
+  /**
+   * Atualiza um jogo existente
+   * @param {string} gameId - ID do jogo
+   * @param {Object} gameData - Dados atualizados
+   * @param {Object} options - `expectedVersion`: versão conhecida pelo cliente
+   * @returns {Promise<Object>} Jogo atualizado (com nova versão)
+   */
+  async update(gameId, gameData, options = {}) {
+    try {
+      const game = await this.mutate(data => {
+        const games = this.gamesIn(data)
+        const index = this.findIndex(games, gameId, options.expectedVersion)
+        games[index] = { id: gameId, ...this.toRecord(gameData) }
+        return games[index]
+      })
+
+      logger.info('Jogo atualizado com sucesso', {
+        id: gameId,
+        nome: gameData.nome
+      })
+      return this.withVersion(game)
+    } catch (error) {
+      logger.error('Erro ao atualizar jogo', {
+        error: error.message,
+        id: gameId
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Atualiza vários jogos em uma única escrita do arquivo
+   * Se algum jogo não existir, nada é gravado (404)
+   * @param {Array<Object>} gamesData - Jogos com `id` e os dados atualizados
+   * @returns {Promise<Array>} Jogos atualizados (com nova versão)
+   */
+  async updateMany(gamesData) {
+    try {
+      const games = await this.mutate(data => {
+        const stored = this.gamesIn(data)
+        return gamesData.map(({ id, ...gameData }) => {
+          const index = this.findIndex(stored, id)
+          stored[index] = { id, ...this.toRecord(gameData) }
+          return stored[index]
+        })
+      })
+
+      logger.info('Jogos atualizados em lote', { count: games.length })
+      return games.map(game => this.withVersion(game))
+    } catch (error) {
+      logger.error('Erro ao atualizar jogos em lote', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Deleta um jogo
+   * @param {string} gameId - ID do jogo
+   * @param {Object} options - `expectedVersion`: versão conhecida pelo cliente
+   */
+  async delete(gameId, options = {}) {
+    try {
+      await this.mutate(data => {
+        const games = this.gamesIn(data)
+        const index = this.findIndex(games, gameId, options.expectedVersion)
+        games.splice(index, 1)
+      })
+
+      logger.info('Jogo deletado com sucesso', { id: gameId })
+    } catch (error) {
+      logger.error('Erro ao deletar jogo', {
+        error: error.message,
+        id: gameId
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Cria um store de registros auxiliares (JsonRecordStore)
+   * @param {string} name - Nome da chave no arquivo
+   * @param {Array<string>} columns - Campos dos registros
+   */
+  createStore(name, columns) {
+    return new JsonRecordStore(this, name, columns)
+  }
+
+  /**
+   * Cria outra lista de jogos (JsonFileService) em uma chave do mesmo
+   * arquivo, com a mesma fila de escritas
+   * @param {string} name - Nome da chave no arquivo
+   */
+  createList(name) {
+    return new JsonFileService(this.filename, { key: name, owner: this })
+  }
+}
+
+module.exports = JsonFileService
@@ -0,0 +1,58 @@
+const RecordStore = require('./recordStore')
+
+/**
+ * Registros auxiliares guardados em uma chave do arquivo JSON dos jogos
+ * As escritas passam pela mesma fila do JsonFileService
+ */
+class JsonRecordStore extends RecordStore {
+  /**
+   * @param {JsonFileService} service - Dono do arquivo
+   * @param {string} name - Chave no arquivo (ex.: "sessoes")
+   * @param {Array<string>} columns - Campos dos registros
+   */
+  constructor(service, name, columns) {
+    super(name, columns)
+    this.service = service
+  }
+
+  async getAll() {
+    await this.service.pending
+    const data = await this.service.read()
+    return data[this.name] || []
+  }
+
+  async add(data) {
+    const record = { id: this.generateId(), ...this.toRecord(data) }
+    await this.service.mutate(content => {
+      content[this.name] = [...(content[this.name] || []), record]
+    })
+    return record
+  }
+
+  async update(id, data) {
+    return this.service.mutate(content => {
+      const record = (content[this.name] || []).find(r => r.id === id)
+      if (!record) return null
+      Object.assign(record, this.pickColumns(data))
+      return { ...record }
+    })
+  }
+
+  async delete(id) {
+    return this.service.mutate(content => {
+      const records = content[this.name] || []
+      content[this.name] = records.filter(record => record.id !== id)
+      return content[this.name].length < records.length
+    })
+  }
+
+  async deleteWhere(predicate) {
+    return this.service.mutate(content => {
+      const records = content[this.name] || []
+      content[this.name] = records.filter(record => !predicate(record))
+      return records.length - content[this.name].length
+    })
+  }
+}
+
+module.exports = JsonRecordStore
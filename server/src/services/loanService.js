@@ -0,0 +1,202 @@
+const { logger } = require('../middleware/auth')
+const HttpError = require('../utils/httpError')
+const { today } = require('../utils/gameDates')
+
+/**
+ * Empréstimos de cópias físicas dos jogos do catálogo
+ * Cada jogo tem no máximo um empréstimo em aberto (sem `devolucao`); os
+ * devolvidos ficam como histórico
+ */
+class LoanService {
+  /**
+   * @param {GameRepository} gameRepository - Repositório dos jogos
+   * @param {RecordStore} store - Store dos empréstimos (LOANS_STORE)
+   */
+  constructor(gameRepository, store) {
+    this.gameRepository = gameRepository
+    this.store = store
+  }
+
+  /**
+   * Converte o registro armazenado, marcando se está atrasado (em aberto
+   * e com a previsão de devolução já passada)
+   * @param {Object} record
+   * @param {string} date - Data de referência (AAAA-MM-DD)
+   * @returns {Object} Empréstimo com `atrasado`
+   */
+  normalize(record, date = today()) {
+    const previsao = String(record.previsao || '').slice(0, 10)
+    const devolucao = String(record.devolucao || '').slice(0, 10)
+    return {
+      id: record.id,
+      gameId: record.gameId,
+      pessoa: record.pessoa,
+      data: String(record.data || '').slice(0, 10),
+      previsao,
+      devolucao,
+      atrasado: !devolucao && Boolean(previsao) && previsao < date
+    }
+  }
+
+  /**
+   * Empréstimos em aberto, com nome e plataforma do jogo, ordenados pela
+   * previsão de devolução (sem previsão por último)
+   * @param {Object} options - `overdue`: só os atrasados
+   * @returns {Promise<{loans: Array}>}
+   */
+  async list({ overdue = false } = {}) {
+    const [records, games] = await Promise.all([
+      this.store.getAll(),
+      this.gameRepository.getAll()
+    ])
+    const gamesById = new Map(games.map(game => [game.id, game]))
+
+    const loans = records
+      .map(record => this.normalize(record))
+      .filter(loan => !loan.devolucao && (!overdue || loan.atrasado))
+      .map(loan => {
+        const game = gamesById.get(loan.gameId)
+        return {
+          ...loan,
+          nome: game?.nome || '',
+          plataforma: game?.plataforma || ''
+        }
+      })
+      .sort((a, b) =>
+        (a.previsao || '9999').localeCompare(b.previsao || '9999')
+      )
+
+    return { loans }
+  }
+
+  /**
+   * Empréstimos de um jogo, do mais recente para o mais antigo
+   * @param {string} gameId - ID do jogo (404 se não existir)
+   * @returns {Promise<{loans: Array, current: Object|null}>} `current` é o
+   *   empréstimo em aberto
+   */
+  async listForGame(gameId) {
+    await this.gameRepository.findById(gameId)
+
+    const loans = (await this.store.getAll())
+      .filter(record => record.gameId === gameId)
+      .map(record => this.normalize(record))
+      .sort((a, b) => b.data.localeCompare(a.data))
+
+    return { loans, current: loans.find(loan => !loan.devolucao) || null }
+  }
+
+  /**
+   * Empresta a cópia física de um jogo
+   * Jogos digitais não podem ser emprestados (400), e um jogo já emprestado
+   * precisa ser devolvido antes (409)
+   * @param {string} gameId - ID do jogo (404 se não existir)
+   * @param {Object} data - pessoa, data (padrão: hoje) e previsao
+   * @returns {Promise<Object>} Empréstimo criado
+   */
+  async lend(gameId, { pessoa, data, previsao }) {
+    try {
+      const game = await this.gameRepository.findById(gameId)
+      if (game.formato === 'Digital') {
+        throw new HttpError(400, 'Só cópias físicas podem ser emprestadas')
+      }
+
+      const { current } = await this.listForGame(gameId)
+      if (current) {
+        const message = `O jogo já está emprestado a ${current.pessoa}`
+        throw new HttpError(409, message, { current })
+      }
+
+      const date = data ? data.slice(0, 10) : today()
+      if (previsao && previsao.slice(0, 10) < date) {
+        throw new HttpError(
+          400,
+          'A previsão de devolução não pode ser anterior ao empréstimo'
+        )
+      }
+
+      const record = await this.store.add({
+        gameId,
+        pessoa: pessoa.trim(),
+        data: date,
+        previsao: previsao ? previsao.slice(0, 10) : '',
+        devolucao: ''
+      })
+
+      logger.info('Jogo emprestado', { gameId, loanId: record.id })
+      return this.normalize(record)
+    } catch (error) {
+      logger.error('Erro ao emprestar jogo', { gameId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Marca um empréstimo como devolvido
+   * @param {string} loanId - ID do empréstimo (404 se não existir)
+   * @param {Object} data - devolucao (padrão: hoje)
+   * @returns {Promise<Object>} Empréstimo atualizado
+   */
+  async markReturned(loanId, { devolucao } = {}) {
+    try {
+      const loan = await this.find(loanId)
+      if (loan.devolucao) {
+        throw new HttpError(409, 'O empréstimo já foi devolvido', {
+          current: loan
+        })
+      }
+
+      const date = devolucao ? devolucao.slice(0, 10) : today()
+      if (date < loan.data) {
+        throw new HttpError(
+          400,
+          'A devolução não pode ser anterior ao empréstimo'
+        )
+      }
+
+      const record = await this.store.update(loanId, { devolucao: date })
+      logger.info('Empréstimo devolvido', { loanId, gameId: loan.gameId })
+      return this.normalize(record)
+    } catch (error) {
+      logger.error('Erro ao registrar devolução', {
+        loanId,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Obtém um empréstimo
+   * @param {string} loanId - ID do empréstimo (404 se não existir)
+   */
+  async find(loanId) {
+    const record = (await this.store.getAll()).find(item => item.id === loanId)
+    if (!record) {
+      throw new HttpError(404, 'Empréstimo não encontrado')
+    }
+    return this.normalize(record)
+  }
+
+  /**
+   * Remove um empréstimo (ex.: registrado por engano)
+   * @param {string} loanId - ID do empréstimo (404 se não existir)
+   */
+  async delete(loanId) {
+    if (!(await this.store.delete(loanId))) {
+      throw new HttpError(404, 'Empréstimo não encontrado')
+    }
+    logger.info('Empréstimo removido', { loanId })
+  }
+
+  /**
+   * Remove os empréstimos de um jogo excluído
+   * @param {string} gameId - ID do jogo
+   * @returns {Promise<number>} Quantidade removida
+   */
+  async deleteForGame(gameId) {
+    return this.store.deleteWhere(record => record.gameId === gameId)
+  }
+}
+
+module.exports = LoanService
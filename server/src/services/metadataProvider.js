@@ -0,0 +1,123 @@
+const constants = require('../config/constants')
+
+/**
+ * Junta os nomes de uma lista de objetos da IGDB
+ * @param {Array<{name: string}>} items
+ */
+const joinNames = items => (items || []).map(item => item.name).join(', ')
+
+// `category` da IGDB (numérico, obsoleto) → tipo do catálogo (GAME_TYPES)
+const CATEGORY_TYPES = {
+  0: 'Jogo',
+  1: 'DLC',
+  2: 'Expansão',
+  3: 'Pacote',
+  4: 'Expansão',
+  5: 'DLC',
+  6: 'DLC',
+  7: 'DLC'
+}
+
+// `game_type.type` da IGDB (substitui `category`) → tipo do catálogo
+const GAME_TYPE_TYPES = {
+  'main game': 'Jogo',
+  dlc: 'DLC',
+  expansion: 'Expansão',
+  'standalone expansion': 'Expansão',
+  bundle: 'Pacote',
+  pack: 'Pacote',
+  mod: 'DLC',
+  episode: 'DLC',
+  season: 'DLC',
+  update: 'DLC'
+}
+
+/**
+ * Tipo do jogo no catálogo a partir do `game_type` (ou `category`) da IGDB
+ * Remakes, remasters, ports e afins contam como jogo
+ * @param {Object} game - Jogo no formato da IGDB
+ * @returns {string} Um de GAME_TYPES, ou vazio sem a informação
+ */
+const gameTypeOf = game => {
+  const type = game.game_type?.type
+  if (type) return GAME_TYPE_TYPES[type.toLowerCase()] || 'Jogo'
+  if (game.category === undefined) return ''
+  return CATEGORY_TYPES[game.category] || 'Jogo'
+}
+
+/**
+ * Contrato dos provedores de metadados de jogos (busca e detalhe)
+ * Implementações: IGDBService e FixtureMetadataProvider
+ *
+ * Os jogos retornados seguem o formato da IGDB (name, first_release_date,
+ * platforms, genres, cover...) acrescido de `metadata` no formato do catálogo
+ */
+class MetadataProvider {
+  /**
+   * Busca jogos por nome
+   * @param {string} query - Nome do jogo a buscar
+   * @returns {Promise<Array>} Resultados (com `metadata`)
+   */
+  async searchGames(query) {
+    throw new Error(`${this.constructor.name}.searchGames() não implementado`)
+  }
+
+  /**
+   * Obtém um jogo pelo ID (da IGDB)
+   * @param {number} igdbId - ID do jogo
+   * @param {Object} options - `refresh`: ignora caches
+   * @returns {Promise<Object|null>} Jogo (com `metadata`) ou null
+   */
+  async getGameById(igdbId, options = {}) {
+    throw new Error(`${this.constructor.name}.getGameById() não implementado`)
+  }
+
+  /**
+   * Métricas do provedor (ex.: fila de requisições)
+   */
+  getStats() {
+    return {}
+  }
+
+  /**
+   * Retorna o jogo acrescido de `metadata`
+   * @param {Object} game - Jogo no formato da IGDB
+   */
+  withMetadata(game) {
+    return { ...game, metadata: this.toMetadata(game) }
+  }
+
+  /**
+   * Converte um jogo no formato da IGDB nos campos de metadados do catálogo
+   * @param {Object} game - Jogo no formato da IGDB
+   * @returns {Object} igdbId, capa, resumo, desenvolvedora, publicadora,
+   *   franquia, modos, notaCritica e tipo; DLCs e expansões trazem também o
+   *   jogo base na IGDB (`igdbPai` e `nomePai`), que não é um campo do jogo
+   */
+  toMetadata(game) {
+    const companies = game.involved_companies || []
+    const companyNames = role =>
+      joinNames(companies.filter(c => c[role]).map(c => c.company))
+
+    return {
+      igdbId: game.id,
+      capa: game.cover?.image_id
+        ? `${constants.IGDB_IMAGE_URL}/t_cover_big/${game.cover.image_id}.jpg`
+        : '',
+      resumo: game.summary || game.storyline || '',
+      desenvolvedora: companyNames('developer'),
+      publicadora: companyNames('publisher'),
+      franquia: joinNames(game.franchises),
+      modos: joinNames(game.game_modes),
+      notaCritica:
+        game.aggregated_rating !== undefined
+          ? Math.round(game.aggregated_rating)
+          : '',
+      tipo: gameTypeOf(game),
+      igdbPai: game.parent_game?.id ?? '',
+      nomePai: game.parent_game?.name || ''
+    }
+  }
+}
+
+module.exports = MetadataProvider
@@ -0,0 +1,270 @@
+const { logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+const HttpError = require('../utils/httpError')
+const StatusWorkflow = require('./statusWorkflow')
+
+/**
+ * Jogadas (replays) de um jogo
+ * Cada jogada tem status, datas, tempo, dificuldade, notas e nota próprios;
+ * a mais recente é espelhada nos campos do jogo (PLAYTHROUGH_GAME_FIELDS),
+ * de modo que tabela, filtros e exportação mostram a jogada atual
+ *
+ * Jogos sem jogadas (criados antes delas ou importados) ganham a primeira a
+ * partir dos próprios campos no primeiro acesso
+ */
+class PlaythroughService {
+  /**
+   * @param {GameRepository} gameRepository - Repositório dos jogos
+   * @param {RecordStore} store - Store das jogadas (PLAYTHROUGHS_STORE)
+   * @param {RecordStore} sessionStore - Sessões removidas junto com a jogada
+   */
+  constructor(gameRepository, store, sessionStore = null) {
+    this.gameRepository = gameRepository
+    this.store = store
+    this.sessionStore = sessionStore
+    this.statusWorkflow = new StatusWorkflow()
+  }
+
+  /**
+   * Campos do jogo espelhados na jogada atual
+   * @param {Object} source - Jogo ou jogada
+   */
+  mirroredFields(source) {
+    return Object.fromEntries(
+      constants.PLAYTHROUGH_GAME_FIELDS.map(field => [
+        field,
+        source[field] ?? ''
+      ])
+    )
+  }
+
+  /**
+   * Jogadas de um jogo, da primeira para a mais recente
+   * Cria a primeira a partir do jogo se ainda não houver nenhuma
+   * @param {Object} game - Jogo (com ID)
+   * @returns {Promise<Array>}
+   */
+  async ensure(game) {
+    const playthroughs = (await this.store.getAll())
+      .filter(playthrough => playthrough.gameId === game.id)
+      .map(playthrough => this.normalize(playthrough))
+      .sort((a, b) => a.numero - b.numero)
+
+    if (playthroughs.length > 0) return playthroughs
+
+    const first = await this.store.add({
+      gameId: game.id,
+      numero: 1,
+      ...this.mirroredFields(game)
+    })
+    logger.info('Primeira jogada criada a partir do jogo', { gameId: game.id })
+    return [this.normalize(first)]
+  }
+
+  /**
+   * Converte os campos numéricos (guardados como texto na planilha e no
+   * SQLite)
+   * @param {Object} playthrough
+   */
+  normalize(playthrough) {
+    return {
+      ...playthrough,
+      numero: Number(playthrough.numero) || 0,
+      nota:
+        playthrough.nota === '' || playthrough.nota === null
+          ? ''
+          : Number(playthrough.nota)
+    }
+  }
+
+  /**
+   * Lista as jogadas de um jogo
+   * @param {string} gameId - ID do jogo (404 se não existir)
+   * @returns {Promise<{playthroughs: Array, total: number, current: string}>}
+   */
+  async list(gameId) {
+    const game = await this.gameRepository.findById(gameId)
+    const playthroughs = await this.ensure(game)
+    return {
+      playthroughs,
+      total: playthroughs.length,
+      current: playthroughs[playthroughs.length - 1].id
+    }
+  }
+
+  /**
+   * Jogada atual (a mais recente) de um jogo
+   * @param {Object} game - Jogo (com ID)
+   * @returns {Promise<{current: Object, first: Object}>}
+   */
+  async current(game) {
+    const playthroughs = await this.ensure(game)
+    return {
+      current: playthroughs[playthroughs.length - 1],
+      first: playthroughs[0]
+    }
+  }
+
+  /**
+   * Começa uma nova jogada, que passa a ser a atual
+   * Sem status, começa em "Jogando" (com início hoje)
+   * @param {string} gameId - ID do jogo
+   * @param {Object} data - Campos da jogada
+   * @returns {Promise<{playthrough: Object, game: Object}>}
+   */
+  async start(gameId, data) {
+    try {
+      const game = await this.gameRepository.findById(gameId)
+      const playthroughs = await this.ensure(game)
+      const numero = playthroughs[playthroughs.length - 1].numero + 1
+
+      const fields = this.statusWorkflow.apply(null, {
+        ...data,
+        status: data.status || 'Jogando'
+      })
+      const playthrough = await this.store.add({ ...fields, gameId, numero })
+
+      logger.info('Nova jogada', { gameId, numero })
+      return {
+        playthrough: this.normalize(playthrough),
+        game: await this.mirror(game, playthrough)
+      }
+    } catch (error) {
+      logger.error('Erro ao criar jogada', { gameId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Altera uma jogada; se for a atual, o jogo é atualizado junto
+   * Mudanças de status seguem as mesmas regras do jogo
+   * @param {string} gameId - ID do jogo
+   * @param {string} playthroughId - ID da jogada (404 se não for do jogo)
+   * @param {Object} data - Campos alterados
+   * @returns {Promise<{playthrough: Object, game: Object}>}
+   */
+  async update(gameId, playthroughId, data) {
+    try {
+      const game = await this.gameRepository.findById(gameId)
+      const playthroughs = await this.ensure(game)
+      const existing = this.find(playthroughs, playthroughId)
+
+      const fields = this.statusWorkflow.apply(existing, {
+        ...existing,
+        ...data,
+        status: data.status || existing.status
+      })
+      const playthrough = this.normalize(
+        await this.store.update(playthroughId, fields)
+      )
+
+      const isCurrent =
+        playthroughs[playthroughs.length - 1].id === playthroughId
+      return {
+        playthrough,
+        game: isCurrent ? await this.mirror(game, playthrough) : game
+      }
+    } catch (error) {
+      logger.error('Erro ao atualizar jogada', {
+        gameId,
+        playthroughId,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Remove uma jogada e suas sessões (o jogo precisa manter ao menos uma)
+   * Se era a atual, a anterior passa a ser espelhada no jogo
+   * @param {string} gameId - ID do jogo
+   * @param {string} playthroughId - ID da jogada
+   * @returns {Promise<Object>} Jogo atualizado
+   */
+  async delete(gameId, playthroughId) {
+    try {
+      const game = await this.gameRepository.findById(gameId)
+      const playthroughs = await this.ensure(game)
+      this.find(playthroughs, playthroughId)
+
+      if (playthroughs.length === 1) {
+        throw new HttpError(400, 'O jogo precisa ter ao menos uma jogada')
+      }
+
+      await this.store.delete(playthroughId)
+      if (this.sessionStore) {
+        // Sessões anteriores às jogadas pertencem à primeira
+        const firstId = playthroughs[0].id
+        await this.sessionStore.deleteWhere(
+          session =>
+            session.gameId === gameId &&
+            (session.playthroughId || firstId) === playthroughId
+        )
+      }
+      logger.info('Jogada removida', { gameId, playthroughId })
+
+      const remaining = playthroughs.filter(p => p.id !== playthroughId)
+      return this.mirror(game, remaining[remaining.length - 1])
+    } catch (error) {
+      logger.error('Erro ao remover jogada', {
+        gameId,
+        playthroughId,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Copia para a jogada atual os campos alterados diretamente no jogo
+   * (PUT /games/:id, sessões)
+   * @param {Object} game - Jogo já gravado
+   */
+  async syncFromGame(game) {
+    const { current } = await this.current(game)
+    const fields = this.mirroredFields(game)
+    const changed = Object.entries(fields).some(
+      ([field, value]) => String(current[field] ?? '') !== String(value)
+    )
+    if (changed) await this.store.update(current.id, fields)
+  }
+
+  /**
+   * Remove as jogadas de um jogo excluído
+   * @param {string} gameId - ID do jogo
+   * @returns {Promise<number>} Quantidade removida
+   */
+  async deleteForGame(gameId) {
+    return this.store.deleteWhere(playthrough => playthrough.gameId === gameId)
+  }
+
+  /**
+   * Localiza uma jogada do jogo
+   * @throws {HttpError} 404 se não existir
+   */
+  find(playthroughs, playthroughId) {
+    const playthrough = playthroughs.find(p => p.id === playthroughId)
+    if (!playthrough) {
+      throw new HttpError(404, 'Jogada não encontrada')
+    }
+    return playthrough
+  }
+
+  /**
+   * Espelha a jogada atual nos campos do jogo (grava só se algo mudou)
+   * @param {Object} game - Jogo atual
+   * @param {Object} playthrough - Jogada atual
+   * @returns {Promise<Object>} Jogo
+   */
+  async mirror(game, playthrough) {
+    const fields = this.mirroredFields(playthrough)
+    const changed = Object.entries(fields).some(
+      ([field, value]) => String(game[field] ?? '') !== String(value)
+    )
+    if (!changed) return game
+
+    return this.gameRepository.update(game.id, { ...game, ...fields })
+  }
+}
+
+module.exports = PlaythroughService
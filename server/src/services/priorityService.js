@@ -0,0 +1,160 @@
+const { logger } = require('../middleware/auth')
+const HttpError = require('../utils/httpError')
+const { parsePlaytimeToMinutes } = require('../utils/playtime')
+
+// Fila de escritas por lista (o serviço é criado a cada requisição): leitura,
+// cálculo e gravação da ordem não se intercalam com outras escritas da lista
+const queues = new WeakMap()
+
+/**
+ * Ordem de prioridade dos jogos de uma lista (backlog, lista de desejos)
+ * A posição fica no campo `prioridade` (1 = primeiro); jogos sem prioridade
+ * (ex.: linhas digitadas na planilha) ficam no fim, na ordem da lista
+ * Escritas que leem ou regravam `prioridade` passam por `serialize()`
+ */
+class PriorityService {
+  /**
+   * @param {GameRepository} list - Lista de jogos (`req.lists`)
+   */
+  constructor(list) {
+    this.list = list
+  }
+
+  /**
+   * Jogos da lista em ordem de prioridade
+   * @param {Object} filters - Filtros de `list()` (status, platform, tag, q)
+   * @returns {Promise<Array>}
+   */
+  async ranked(filters = {}) {
+    return this.list.list({ ...filters, sort: 'prioridade', order: 'asc' })
+  }
+
+  /**
+   * Executa uma escrita da lista depois das que já estão na fila
+   * A tarefa não pode chamar os métodos que usam a fila (add, reorder,
+   * compact), que esperariam por ela
+   * @param {Function} task - Função assíncrona com a escrita
+   * @returns {Promise<*>} Resultado da tarefa
+   */
+  serialize(task) {
+    const run = (queues.get(this.list) || Promise.resolve()).then(task)
+    queues.set(
+      this.list,
+      run.catch(() => {})
+    )
+    return run
+  }
+
+  /**
+   * Prioridade de um jogo novo: depois de todos os outros
+   * @returns {Promise<number>}
+   */
+  async nextRank() {
+    const ranks = (await this.list.getAll())
+      .map(game => Number(game.prioridade))
+      .filter(rank => rank > 0)
+    return Math.max(0, ...ranks) + 1
+  }
+
+  /**
+   * Adiciona um jogo no fim da ordem de prioridade
+   * @param {Object} gameData - Dados do jogo
+   * @returns {Promise<Object>} Jogo criado
+   */
+  async add(gameData) {
+    return this.serialize(async () =>
+      this.list.add({ ...gameData, prioridade: await this.nextRank() })
+    )
+  }
+
+  /**
+   * Move um jogo uma posição para cima/baixo ou para a posição informada
+   * Posições fora da lista vão para o início ou o fim
+   * @param {string} gameId - ID do jogo (404 se não estiver na lista)
+   * @param {Object} move - `direction` ('up' ou 'down') ou `position` (1..n)
+   * @returns {Promise<Array>} Jogos da lista na nova ordem
+   */
+  async reorder(gameId, { direction, position }) {
+    return this.serialize(() => this.applyReorder(gameId, { direction, position }))
+  }
+
+  /**
+   * Reordena fora da fila (ver `reorder`)
+   * @param {string} gameId - ID do jogo
+   * @param {Object} move - `direction` ou `position`
+   * @returns {Promise<Array>}
+   */
+  async applyReorder(gameId, { direction, position }) {
+    try {
+      const games = await this.ranked()
+      const from = games.findIndex(game => game.id === gameId)
+      if (from === -1) {
+        throw new HttpError(404, 'Jogo não encontrado')
+      }
+
+      const target = direction
+        ? from + (direction === 'up' ? -1 : 1)
+        : position - 1
+      const to = Math.min(Math.max(target, 0), games.length - 1)
+      const order = [...games]
+      order.splice(to, 0, ...order.splice(from, 1))
+
+      logger.info('Prioridade alterada', { gameId, from: from + 1, to: to + 1 })
+      return await this.save(order)
+    } catch (error) {
+      logger.error('Erro ao reordenar jogo', { gameId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Renumera as prioridades (1..n) sem mudar a ordem, fechando as lacunas
+   * deixadas por jogos removidos ou movidos para o catálogo
+   * @returns {Promise<Array>} Jogos da lista em ordem
+   */
+  async compact() {
+    return this.serialize(async () => this.save(await this.ranked()))
+  }
+
+  /**
+   * Grava a ordem informada; só os jogos cuja posição mudou são reescritos,
+   * todos em uma única escrita (`updateMany`)
+   * @param {Array} order - Jogos na ordem desejada
+   * @returns {Promise<Array>} Jogos com as prioridades atualizadas
+   */
+  async save(order) {
+    const changed = order
+      .map((game, index) => ({ ...game, prioridade: index + 1 }))
+      .filter(
+        (game, index) =>
+          String(order[index].prioridade) !== String(game.prioridade)
+      )
+    if (changed.length === 0) return order
+
+    const updated = new Map(
+      (
+        await this.list.updateMany(changed.map(({ version, ...game }) => game))
+      ).map(game => [game.id, game])
+    )
+    return order.map(game => updated.get(game.id) || game)
+  }
+
+  /**
+   * Próximos jogos a jogar: os primeiros da lista que atendem aos filtros
+   * Com `maxHours`, só entram jogos com duração estimada dentro do limite
+   * @param {Object} options - platform, tag, maxHours e limit
+   * @returns {Promise<Array>}
+   */
+  async next({ platform, tag, maxHours, limit }) {
+    const games = await this.ranked({ platform, tag })
+    return games
+      .filter(game => {
+        if (!maxHours) return true
+        const minutes = parsePlaytimeToMinutes(game.estimativa)
+        return minutes > 0 && minutes <= maxHours * 60
+      })
+      .slice(0, limit)
+  }
+}
+
+module.exports = PriorityService
@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require('uuid')
+
+/**
+ * Contrato de armazenamento de registros auxiliares (sessões de jogo etc.)
+ * Cada backend guarda os registros em uma aba, tabela ou chave própria
+ * Implementações: SheetsRecordStore, SqliteRecordStore e JsonRecordStore,
+ * criadas por `GameRepository.createStore()`
+ *
+ * Os valores são guardados como texto (exceto no JSON); quem usa o store
+ * converte os tipos
+ */
+class RecordStore {
+  /**
+   * @param {string} name - Nome da aba/tabela/chave
+   * @param {Array<string>} columns - Campos dos registros (além do `id`)
+   */
+  constructor(name, columns) {
+    this.name = name
+    this.columns = ['id', ...columns]
+  }
+
+  /**
+   * Obtém todos os registros
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    throw new Error(`${this.constructor.name}.getAll() não implementado`)
+  }
+
+  /**
+   * Adiciona um registro
+   * @param {Object} data - Valores dos campos
+   * @returns {Promise<Object>} Registro criado (com ID)
+   */
+  async add(data) {
+    throw new Error(`${this.constructor.name}.add() não implementado`)
+  }
+
+  /**
+   * Altera campos de um registro
+   * @param {string} id - ID do registro
+   * @param {Object} data - Campos alterados (os demais são mantidos)
+   * @returns {Promise<Object|null>} Registro atualizado (null se não existia)
+   */
+  async update(id, data) {
+    throw new Error(`${this.constructor.name}.update() não implementado`)
+  }
+
+  /**
+   * Remove um registro
+   * @param {string} id - ID do registro
+   * @returns {Promise<boolean>} false se o registro não existia
+   */
+  async delete(id) {
+    throw new Error(`${this.constructor.name}.delete() não implementado`)
+  }
+
+  /**
+   * Remove os registros que atendem ao filtro (ex.: ao excluir um jogo)
+   * A implementação padrão chama `delete()` para cada registro
+   * @param {Function} predicate - Recebe o registro e retorna boolean
+   * @returns {Promise<number>} Quantidade removida
+   */
+  async deleteWhere(predicate) {
+    const records = (await this.getAll()).filter(predicate)
+    for (const record of records) {
+      await this.delete(record.id)
+    }
+    return records.length
+  }
+
+  /**
+   * Gera o ID de um novo registro
+   * @returns {string} UUID v4
+   */
+  generateId() {
+    return uuidv4()
+  }
+
+  /**
+   * Mantém apenas os campos do store que vieram em `data`
+   * @param {Object} data - Valores recebidos
+   */
+  pickColumns(data) {
+    return Object.fromEntries(
+      this.columns
+        .filter(column => column !== 'id' && data[column] !== undefined)
+        .map(column => [column, data[column] ?? ''])
+    )
+  }
+
+  /**
+   * Mantém apenas os campos do store (vazios viram '')
+   * @param {Object} data - Valores recebidos
+   */
+  toRecord(data) {
+    return Object.fromEntries(
+      this.columns
+        .filter(column => column !== 'id')
+        .map(column => [column, data[column] ?? ''])
+    )
+  }
+}
+
+module.exports = RecordStore
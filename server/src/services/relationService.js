@@ -0,0 +1,94 @@
+const { logger } = require('../middleware/auth')
+const HttpError = require('../utils/httpError')
+
+/**
+ * Relação entre jogos de uma mesma lista: DLCs, expansões e pacotes
+ * apontam para o jogo base pelo campo `jogoPai`
+ * A relação tem um nível só: o jogo base não pode ser DLC de outro jogo
+ */
+class RelationService {
+  /**
+   * @param {GameRepository} gameRepository - Catálogo ou lista dos jogos
+   */
+  constructor(gameRepository) {
+    this.gameRepository = gameRepository
+  }
+
+  /**
+   * Valida o jogo base informado em `jogoPai` (400 se inválido)
+   * @param {string|null} gameId - ID do jogo (null ao adicionar)
+   * @param {Object} gameData - Dados do jogo, com `jogoPai`
+   */
+  async checkParent(gameId, { jogoPai }) {
+    if (!jogoPai) return
+
+    if (jogoPai === gameId) {
+      throw new HttpError(400, 'Um jogo não pode ser o próprio jogo base')
+    }
+
+    const games = await this.gameRepository.getAll()
+    const parent = games.find(game => game.id === jogoPai)
+    if (!parent) {
+      throw new HttpError(400, 'Jogo base não encontrado', { jogoPai })
+    }
+    if (parent.jogoPai) {
+      throw new HttpError(
+        400,
+        `"${parent.nome}" já é DLC de outro jogo e não pode ser jogo base`
+      )
+    }
+    if (gameId && games.some(game => game.jogoPai === gameId)) {
+      throw new HttpError(
+        400,
+        'Um jogo com DLCs ou expansões não pode ser DLC de outro jogo'
+      )
+    }
+  }
+
+  /**
+   * Jogo que pode ser base de uma DLC pelo ID da IGDB
+   * @param {number|string} igdbId - ID do jogo base na IGDB
+   * @param {Array} games - Jogos da lista (padrão: todos do repositório)
+   * @returns {Promise<Object|null>}
+   */
+  async findParentByIgdbId(igdbId, games = null) {
+    if (!igdbId) return null
+    return (
+      (games || (await this.gameRepository.getAll())).find(
+        game => !game.jogoPai && String(game.igdbId) === String(igdbId)
+      ) || null
+    )
+  }
+
+  /**
+   * Solta as DLCs de um jogo removido (ou movido para o catálogo), que
+   * passam a ser jogos independentes
+   * @param {string} gameId - ID do jogo base
+   * @returns {Promise<number>} Quantidade de DLCs alteradas
+   */
+  async detachChildren(gameId) {
+    try {
+      const children = (await this.gameRepository.getAll()).filter(
+        game => game.jogoPai === gameId
+      )
+      if (children.length === 0) return 0
+
+      await this.gameRepository.updateMany(
+        children.map(({ version, ...game }) => ({ ...game, jogoPai: '' }))
+      )
+      logger.info('DLCs desvinculadas do jogo base', {
+        gameId,
+        count: children.length
+      })
+      return children.length
+    } catch (error) {
+      logger.error('Erro ao desvincular DLCs', {
+        gameId,
+        error: error.message
+      })
+      throw error
+    }
+  }
+}
+
+module.exports = RelationService
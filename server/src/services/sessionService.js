@@ -0,0 +1,213 @@
+const { logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+const HttpError = require('../utils/httpError')
+const { formatPlaytime, parsePlaytimeToMinutes } = require('../utils/playtime')
+
+// Status em que a data de fim pode vir da última sessão
+const FINISHED_STATUSES = ['Concluído', 'Dropado']
+
+/**
+ * Registro de sessões de jogo
+ * Cada sessão pertence a uma jogada (a atual, ao ser registrada). O `tempo`
+ * do jogo passa a ser a soma das sessões da jogada atual; `inicio` e `fim`,
+ * se vazios, vêm da primeira e da última sessão
+ * O tempo que o jogo já tinha antes da primeira sessão vira uma sessão
+ * inicial (sem fim), para não ser substituído pelas sessões novas
+ */
+class SessionService {
+  /**
+   * @param {GameRepository} gameRepository - Repositório dos jogos
+   * @param {RecordStore} store - Store das sessões (SESSIONS_STORE)
+   * @param {PlaythroughService} playthroughService - Jogadas do jogo
+   */
+  constructor(gameRepository, store, playthroughService) {
+    this.gameRepository = gameRepository
+    this.store = store
+    this.playthroughService = playthroughService
+  }
+
+  /**
+   * Sessões da jogada atual, da mais antiga para a mais recente
+   * Sessões sem jogada (anteriores a elas) pertencem à primeira
+   * @param {Object} game - Jogo
+   * @returns {Promise<{sessions: Array, playthroughId: string}>}
+   */
+  async sessionsOf(game) {
+    const { current, first } = await this.playthroughService.current(game)
+    const sessions = (await this.store.getAll())
+      .filter(
+        session =>
+          session.gameId === game.id &&
+          (session.playthroughId || first.id) === current.id
+      )
+      .map(session => ({ ...session, duracao: Number(session.duracao) || 0 }))
+      .sort((a, b) => a.inicio.localeCompare(b.inicio))
+
+    return { sessions, playthroughId: current.id }
+  }
+
+  /**
+   * Lista as sessões da jogada atual com o tempo total
+   * @param {string} gameId - ID do jogo (404 se não existir)
+   * @returns {Promise<{sessions: Array, playthroughId: string, total: number, minutes: number, tempo: string}>}
+   */
+  async list(gameId) {
+    const game = await this.gameRepository.findById(gameId)
+    const { sessions, playthroughId } = await this.sessionsOf(game)
+    const minutes = sessions.reduce((sum, session) => sum + session.duracao, 0)
+
+    return {
+      sessions,
+      playthroughId,
+      total: sessions.length,
+      minutes,
+      tempo: formatPlaytime(minutes)
+    }
+  }
+
+  /**
+   * Registra uma sessão; sem `duracao`, ela é calculada a partir do fim
+   * @param {string} gameId - ID do jogo
+   * @param {Object} data - inicio, fim e/ou duracao (minutos)
+   * @returns {Promise<{session: Object, game: Object}>} Sessão e jogo atualizado
+   */
+  async add(gameId, data) {
+    try {
+      const game = await this.gameRepository.findById(gameId)
+      const { current } = await this.playthroughService.current(game)
+
+      const duracao = data.duracao
+        ? Number(data.duracao)
+        : Math.round((Date.parse(data.fim) - Date.parse(data.inicio)) / 60000)
+
+      if (!(duracao > 0)) {
+        throw new HttpError(400, 'O fim da sessão deve ser posterior ao início')
+      }
+      if (duracao > constants.SESSION_MAX_MINUTES) {
+        throw new HttpError(400, 'Uma sessão não pode passar de 24 horas')
+      }
+
+      await this.addBaseline(game, current.id, data.inicio)
+      const session = await this.store.add({
+        gameId,
+        inicio: data.inicio,
+        fim: data.fim || '',
+        duracao,
+        playthroughId: current.id
+      })
+      const updated = await this.syncGame(gameId)
+
+      logger.info('Sessão registrada', { gameId, duracao })
+      return { session, game: updated }
+    } catch (error) {
+      logger.error('Erro ao registrar sessão', {
+        gameId,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Guarda o tempo já registrado no jogo como a sessão inicial da jogada,
+   * antes da primeira sessão; sem tempo, ou se já houver sessões, nada muda
+   * @param {Object} game - Jogo
+   * @param {string} playthroughId - Jogada atual
+   * @param {string} inicio - Início da nova sessão (sem `inicio` no jogo)
+   * @returns {Promise<Object|null>} Sessão inicial criada
+   */
+  async addBaseline(game, playthroughId, inicio) {
+    const minutes = parsePlaytimeToMinutes(game.tempo)
+    if (!minutes) return null
+
+    const { sessions } = await this.sessionsOf(game)
+    if (sessions.length > 0) return null
+
+    const session = await this.store.add({
+      gameId: game.id,
+      inicio: game.inicio || inicio,
+      fim: '',
+      duracao: minutes,
+      playthroughId
+    })
+    logger.info('Tempo anterior guardado como sessão inicial', {
+      gameId: game.id,
+      duracao: minutes
+    })
+    return session
+  }
+
+  /**
+   * Remove uma sessão do jogo
+   * @param {string} gameId - ID do jogo
+   * @param {string} sessionId - ID da sessão (404 se não for do jogo)
+   * @returns {Promise<Object>} Jogo atualizado
+   */
+  async delete(gameId, sessionId) {
+    try {
+      const removed = await this.store.deleteWhere(
+        session => session.id === sessionId && session.gameId === gameId
+      )
+      if (removed === 0) {
+        throw new HttpError(404, 'Sessão não encontrada')
+      }
+
+      const game = await this.syncGame(gameId)
+
+      logger.info('Sessão removida', { gameId, sessionId })
+      return game
+    } catch (error) {
+      logger.error('Erro ao remover sessão', {
+        gameId,
+        sessionId,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Remove as sessões de um jogo excluído
+   * @param {string} gameId - ID do jogo
+   * @returns {Promise<number>} Quantidade removida
+   */
+  async deleteForGame(gameId) {
+    return this.store.deleteWhere(session => session.gameId === gameId)
+  }
+
+  /**
+   * Recalcula o tempo do jogo (e da jogada atual) e completa início/fim a
+   * partir das sessões
+   * @param {string} gameId - ID do jogo
+   * @returns {Promise<Object>} Jogo (atualizado só se algo mudou)
+   */
+  async syncGame(gameId) {
+    const game = await this.gameRepository.findById(gameId)
+    const { sessions } = await this.sessionsOf(game)
+    const minutes = sessions.reduce((sum, session) => sum + session.duracao, 0)
+
+    const changes = { tempo: formatPlaytime(minutes) }
+    if (sessions.length > 0) {
+      const first = sessions[0]
+      const last = sessions[sessions.length - 1]
+      if (!game.inicio) changes.inicio = first.inicio.slice(0, 10)
+      if (!game.fim && FINISHED_STATUSES.includes(game.status)) {
+        changes.fim = (last.fim || last.inicio).slice(0, 10)
+      }
+    }
+
+    const changed = Object.entries(changes).some(
+      ([field, value]) => game[field] !== value
+    )
+    if (!changed) return game
+
+    const updated = await this.gameRepository.update(gameId, {
+      ...game,
+      ...changes
+    })
+    await this.playthroughService.syncFromGame(updated)
+    return updated
+  }
+}
+
+module.exports = SessionService
@@ -0,0 +1,194 @@
+const { logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+const cacheService = require('./cacheService')
+const RecordStore = require('./recordStore')
+const { columnLetter } = require('../utils/sheets')
+
+/**
+ * Registros auxiliares guardados em uma aba própria da planilha
+ * A aba é criada (com cabeçalho) no primeiro acesso; a leitura fica em cache
+ * como a dos jogos
+ */
+class SheetsRecordStore extends RecordStore {
+  /**
+   * @param {SheetsService} service - Dono da planilha (client e ID)
+   * @param {string} name - Nome da aba (ex.: "sessoes")
+   * @param {Array<string>} columns - Campos dos registros
+   */
+  constructor(service, name, columns) {
+    super(name, columns)
+    this.service = service
+    this.lastColumn = columnLetter(this.columns.length)
+    this.cacheKey = `store:${service.spreadsheetId}:${name}`
+    this.sheetIdPromise = null
+  }
+
+  get client() {
+    return this.service.client
+  }
+
+  get spreadsheetId() {
+    return this.service.spreadsheetId
+  }
+
+  /**
+   * Garante que a aba existe, criando-a se necessário, e que o cabeçalho
+   * tem todas as colunas (campos novos entram no final)
+   * @returns {Promise<number>} sheetId da aba
+   */
+  ensureSheet() {
+    if (!this.sheetIdPromise) {
+      this.sheetIdPromise = this.fetchSheetId().catch(error => {
+        this.sheetIdPromise = null
+        throw error
+      })
+    }
+    return this.sheetIdPromise
+  }
+
+  async fetchSheetId() {
+    const spreadsheet = await this.client.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId
+    })
+    const sheet = spreadsheet.data.sheets.find(
+      s => s.properties.title === this.name
+    )
+    if (sheet) {
+      await this.ensureHeader()
+      return sheet.properties.sheetId
+    }
+
+    const response = await this.client.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title: this.name } } }]
+      }
+    })
+    await this.writeHeader()
+
+    logger.info('Aba criada na planilha', { sheet: this.name })
+    return response.data.replies?.[0]?.addSheet?.properties?.sheetId
+  }
+
+  /**
+   * Completa o cabeçalho de uma aba existente
+   */
+  async ensureHeader() {
+    const result = await this.client.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.name}!A1:${this.lastColumn}1`
+    })
+    const [headerRow = []] = result.data.values || []
+    if (this.columns.every((column, index) => headerRow[index])) return
+
+    await this.writeHeader()
+    logger.info('Cabeçalho da aba atualizado', { sheet: this.name })
+  }
+
+  async writeHeader() {
+    await this.client.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.name}!A1:${this.lastColumn}1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [this.columns] }
+    })
+  }
+
+  /**
+   * Lê as linhas da aba (com o número de cada uma)
+   * @returns {Promise<Array<{rowNumber: number, record: Object}>>}
+   */
+  async readRows() {
+    await this.ensureSheet()
+    const result = await this.client.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.name}!A2:${this.lastColumn}`
+    })
+
+    return (result.data.values || [])
+      .map((row, index) => ({
+        rowNumber: index + 2,
+        record: Object.fromEntries(
+          this.columns.map((column, i) => [column, row[i] || ''])
+        )
+      }))
+      .filter(({ record }) => record.id)
+  }
+
+  async getAll() {
+    return cacheService.getOrFetch(
+      this.cacheKey,
+      async () => (await this.readRows()).map(({ record }) => record),
+      constants.CACHE_TTL_GAMES
+    )
+  }
+
+  async add(data) {
+    await this.ensureSheet()
+    const record = { id: this.generateId(), ...this.toRecord(data) }
+
+    await this.client.spreadsheets.values.append({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.name}!A2:${this.lastColumn}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [this.columns.map(column => record[column])] }
+    })
+    cacheService.delete(this.cacheKey)
+
+    return record
+  }
+
+  async update(id, data) {
+    const entry = (await this.readRows()).find(({ record }) => record.id === id)
+    if (!entry) return null
+
+    const record = { ...entry.record, ...this.pickColumns(data) }
+    await this.client.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.name}!A${entry.rowNumber}:${this.lastColumn}${entry.rowNumber}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [this.columns.map(column => record[column])] }
+    })
+    cacheService.delete(this.cacheKey)
+
+    return record
+  }
+
+  async delete(id) {
+    return (await this.deleteWhere(record => record.id === id)) > 0
+  }
+
+  /**
+   * Remove as linhas em uma única chamada (de baixo para cima, para que os
+   * índices das linhas seguintes não mudem)
+   */
+  async deleteWhere(predicate) {
+    const sheetId = await this.ensureSheet()
+    const rows = (await this.readRows())
+      .filter(({ record }) => predicate(record))
+      .sort((a, b) => b.rowNumber - a.rowNumber)
+
+    if (rows.length > 0) {
+      await this.client.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        requestBody: {
+          requests: rows.map(({ rowNumber }) => ({
+            deleteDimension: {
+              range: {
+                sheetId,
+                dimension: 'ROWS',
+                startIndex: rowNumber - 1,
+                endIndex: rowNumber
+              }
+            }
+          }))
+        }
+      })
+    }
+    cacheService.delete(this.cacheKey)
+
+    return rows.length
+  }
+}
+
+module.exports = SheetsRecordStore
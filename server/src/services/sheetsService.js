@@ -1,18 +1,30 @@
 const { google } = require('googleapis')
 const { logger } = require('../middleware/auth')
 const constants = require('../config/constants')
+const HttpError = require('../utils/httpError')
+const cacheService = require('./cacheService')
+const GameRepository = require('./gameRepository')
+const SheetsRecordStore = require('./sheetsRecordStore')
+const { columnLetter } = require('../utils/sheets')
 
 /**
  * Serviço para gerenciar dados de jogos no Google Sheets
  * Realiza operações CRUD e exportação
  */
-class SheetsService {
+class SheetsService extends GameRepository {
   /**
    * Construtor do SheetsService
    * @param {GoogleAuth} auth - Cliente autenticado do Google
    * @param {string} spreadsheetId - ID da planilha (pode usar env var como default)
+   * @param {string} sheetName - Aba dos jogos (outras listas usam abas próprias)
    */
-  constructor(auth, spreadsheetId = constants.SPREADSHEET_ID) {
+  constructor(
+    auth,
+    spreadsheetId = constants.SPREADSHEET_ID,
+    sheetName = constants.SHEET_NAME
+  ) {
+    super()
+
     if (!auth) {
       throw new Error('GoogleAuth é obrigatório')
     }
@@ -20,11 +32,24 @@ class SheetsService {
     this.auth = auth
     this.client = google.sheets({ version: 'v4', auth })
     this.spreadsheetId = spreadsheetId
-    this.sheetName = constants.SHEET_NAME
-    this.dataRange = `${this.sheetName}!A2:I`
+    this.sheetName = sheetName
+    // Colunas da planilha (campos do jogo e ID persistente)
+    this.columns = constants.SHEET_COLUMNS
+    this.headers = this.columns.map(field =>
+      field === 'id'
+        ? constants.ID_HEADER
+        : constants.GAME_HEADERS[constants.GAME_FIELDS.indexOf(field)]
+    )
+    this.lastColumn = columnLetter(this.columns.length)
+    this.idColumn = columnLetter(this.columns.indexOf('id') + 1)
+    this.dataRange = `${this.sheetName}!A2:${this.lastColumn}`
+    this.cacheKey = `games:${this.spreadsheetId}:${this.sheetName}`
+    this.sheetPromise = null
+    this.idsPromise = null
 
     logger.info('SheetsService inicializado', {
-      spreadsheetId: this.spreadsheetId
+      spreadsheetId: this.spreadsheetId,
+      sheet: this.sheetName
     })
   }
 
@@ -35,8 +60,207 @@ class SheetsService {
     return this.client !== null && this.auth !== null
   }
 
+  /**
+   * Converte um jogo em linha da planilha (ordem de `this.columns`)
+   * @param {string} gameId - ID do jogo
+   * @param {Object} gameData - Dados do jogo
+   */
+  toRow(gameId, gameData) {
+    const record = { ...this.toRecord(gameData), id: gameId }
+    return this.columns.map(field => record[field])
+  }
+
+  /**
+   * Converte uma linha da planilha em jogo
+   * @param {Array} row - Valores da linha
+   */
+  fromRow(row) {
+    return Object.fromEntries(
+      this.columns.map((field, index) => [field, row[index] || ''])
+    )
+  }
+
+  /**
+   * Garante que a aba existe, criando-a com o cabeçalho se necessário
+   * (abas de listas novas), e gera os IDs que faltam nas linhas antigas;
+   * a verificação é feita uma vez por instância
+   */
+  ensureSheet() {
+    if (!this.sheetPromise) {
+      this.sheetPromise = this.createSheetIfMissing()
+        .then(() => this.fillMissingIds())
+        .catch(error => {
+          this.sheetPromise = null
+          this.idsPromise = null
+          throw error
+        })
+    }
+    return this.sheetPromise
+  }
+
+  async createSheetIfMissing() {
+    const spreadsheet = await this.client.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId
+    })
+    const exists = spreadsheet.data.sheets.some(
+      s => s.properties.title === this.sheetName
+    )
+    if (exists) return
+
+    await this.client.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title: this.sheetName } } }]
+      }
+    })
+    await this.ensureHeaders([])
+
+    logger.info('Aba criada na planilha', { sheet: this.sheetName })
+  }
+
+  /**
+   * Lê a aba inteira (cabeçalho e linhas de dados)
+   * @returns {Promise<Array<Array>>}
+   */
+  async readValues() {
+    const result = await this.client.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!A1:${this.lastColumn}`
+    })
+    return result.data.values || []
+  }
+
+  /**
+   * Lê as linhas de dados, completando o cabeçalho de colunas novas
+   * Linhas sem ID (incluídas direto na planilha) esperam `fillMissingIds()`
+   * e são lidas de novo, para que todos recebam o mesmo ID
+   * @returns {Promise<Array<{rowNumber: number, game: Object}>>}
+   */
+  async readRows() {
+    await this.ensureSheet()
+    let values = await this.readValues()
+    if (values.slice(1).some(row => !this.fromRow(row).id)) {
+      await this.fillMissingIds()
+      values = await this.readValues()
+    }
+
+    const [headerRow = [], ...rows] = values
+    const entries = rows.map((row, index) => ({
+      rowNumber: index + 2,
+      game: this.fromRow(row)
+    }))
+
+    await this.ensureHeaders(headerRow)
+
+    return entries.map(({ rowNumber, game }) => ({
+      rowNumber,
+      game: this.withVersion(game)
+    }))
+  }
+
+  /**
+   * Gera IDs para as linhas que ainda não têm
+   * Chamadas simultâneas compartilham a mesma gravação (como a renovação do
+   * token da IGDB), então uma linha nunca recebe dois IDs
+   * @returns {Promise<number>} Quantidade de IDs gerados
+   */
+  fillMissingIds() {
+    if (!this.idsPromise) {
+      this.idsPromise = this.backfillIds().finally(() => {
+        this.idsPromise = null
+      })
+    }
+    return this.idsPromise
+  }
+
+  /**
+   * Grava IDs para as linhas sem ID, relendo a aba antes de gravar
+   * @returns {Promise<number>} Quantidade de IDs gerados
+   */
+  async backfillIds() {
+    const [, ...rows] = await this.readValues()
+    const missing = rows
+      .map((row, index) => ({ rowNumber: index + 2, game: this.fromRow(row) }))
+      .filter(({ game }) => !game.id)
+    if (missing.length === 0) return 0
+
+    await this.client.spreadsheets.values.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: missing.map(({ rowNumber }) => ({
+          range: `${this.sheetName}!${this.idColumn}${rowNumber}`,
+          values: [[this.generateId()]]
+        }))
+      }
+    })
+
+    logger.info('IDs gerados para jogos existentes', { count: missing.length })
+    return missing.length
+  }
+
+  /**
+   * Preenche células vazias do cabeçalho (colunas novas)
+   * Cabeçalhos já existentes, mesmo renomeados, são preservados
+   * @param {Array} headerRow - Valores atuais da linha 1
+   */
+  async ensureHeaders(headerRow) {
+    const missing = this.headers
+      .map((header, index) => ({ header, index }))
+      .filter(({ index }) => !headerRow[index])
+
+    if (missing.length === 0) return
+
+    await this.client.spreadsheets.values.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: missing.map(({ header, index }) => ({
+          range: `${this.sheetName}!${columnLetter(index + 1)}1`,
+          values: [[header]]
+        }))
+      }
+    })
+
+    logger.info('Cabeçalho da planilha atualizado', {
+      columns: missing.map(({ header }) => header)
+    })
+  }
+
+  /**
+   * Descarta a lista de jogos em cache após uma escrita
+   */
+  invalidateCache() {
+    cacheService.delete(this.cacheKey)
+  }
+
+  /**
+   * Localiza a linha de um jogo pelo ID
+   * @param {string} gameId - ID do jogo
+   * @returns {Promise<{rowNumber: number, game: Object}>}
+   */
+  async findRow(gameId) {
+    const entries = await this.readRows()
+    // A leitura é sempre completa: aproveita para renovar o cache, que pode
+    // estar desatualizado se a planilha foi editada diretamente
+    cacheService.set(
+      this.cacheKey,
+      entries.map(({ game }) => game),
+      constants.CACHE_TTL_GAMES
+    )
+
+    const entry = entries.find(({ game }) => game.id === gameId)
+
+    if (!entry) {
+      throw new HttpError(404, 'Jogo não encontrado')
+    }
+
+    return entry
+  }
+
   /**
    * Obtém todas os jogos da planilha
+   * O resultado fica em cache por CACHE_TTL_GAMES segundos
    */
   async getAll() {
     try {
@@ -44,27 +268,15 @@ class SheetsService {
         throw new Error('SheetsService não foi inicializado corretamente')
       }
 
-      const result = await this.client.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: this.dataRange
-      })
-
-      const rows = result.data.values || []
-      const games = rows.map((row, index) => ({
-        id: index + 2,
-        plataforma: row[0] || '',
-        nome: row[1] || '',
-        dataLancamento: row[2] || '',
-        genero: row[3] || '',
-        status: row[4] || '',
-        tempo: row[5] || '',
-        inicio: row[6] || '',
-        fim: row[7] || '',
-        nota: row[8] || ''
-      }))
-
-      logger.info('Jogos carregados', { count: games.length })
-      return games
+      return await cacheService.getOrFetch(
+        this.cacheKey,
+        async () => {
+          const games = (await this.readRows()).map(({ game }) => game)
+          logger.info('Jogos carregados', { count: games.length })
+          return games
+        },
+        constants.CACHE_TTL_GAMES
+      )
     } catch (error) {
       logger.error('Erro ao carregar jogos', { error: error.message })
       throw error
@@ -74,6 +286,7 @@ class SheetsService {
   /**
    * Adiciona um novo jogo
    * @param {Object} gameData - Dados do jogo
+   * @returns {Promise<Object>} Jogo criado (com ID)
    */
   async add(gameData) {
     try {
@@ -81,72 +294,104 @@ class SheetsService {
         throw new Error('Google Sheets não foi inicializado')
       }
 
+      const gameId = this.generateId()
+
+      await this.ensureSheet()
       await this.client.spreadsheets.values.append({
         spreadsheetId: this.spreadsheetId,
         range: this.dataRange,
         valueInputOption: 'USER_ENTERED',
         requestBody: {
-          values: [
-            [
-              gameData.plataforma,
-              gameData.nome,
-              gameData.dataLancamento || '',
-              gameData.genero || '',
-              gameData.status || 'Não iniciado',
-              gameData.tempo || '',
-              gameData.inicio || '',
-              gameData.fim || '',
-              gameData.nota || ''
-            ]
-          ]
+          values: [this.toRow(gameId, gameData)]
         }
       })
+      this.invalidateCache()
 
-      logger.info('Jogo adicionado com sucesso', { nome: gameData.nome })
+      logger.info('Jogo adicionado com sucesso', {
+        id: gameId,
+        nome: gameData.nome
+      })
+      return this.withVersion({ id: gameId, ...this.toRecord(gameData) })
     } catch (error) {
       logger.error('Erro ao adicionar jogo', { error: error.message })
       throw error
     }
   }
 
+  /**
+   * Adiciona vários jogos em uma única chamada à API
+   * @param {Array<Object>} gamesData - Dados dos jogos
+   * @returns {Promise<Array>} Jogos criados (com ID)
+   */
+  async addMany(gamesData) {
+    try {
+      if (!this.isInitialized()) {
+        throw new Error('Google Sheets não foi inicializado')
+      }
+
+      const games = gamesData.map(gameData => ({
+        id: this.generateId(),
+        ...this.toRecord(gameData)
+      }))
+
+      await this.ensureSheet()
+      await this.client.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: this.dataRange,
+        valueInputOption: 'USER_ENTERED',
+        requestBody: {
+          values: games.map(game => this.toRow(game.id, game))
+        }
+      })
+      this.invalidateCache()
+
+      logger.info('Jogos adicionados em lote', { count: games.length })
+      return games.map(game => this.withVersion(game))
+    } catch (error) {
+      logger.error('Erro ao adicionar jogos em lote', { error: error.message })
+      throw error
+    }
+  }
+
   /**
    * Atualiza um jogo existente
-   * @param {number} gameId - ID do jogo (número da linha)
+   * @param {string} gameId - ID do jogo
    * @param {Object} gameData - Dados atualizados
+   * @param {Object} options - `expectedVersion`: versão conhecida pelo cliente
+   * @returns {Promise<Object>} Jogo atualizado (com nova versão)
    */
-  async update(gameId, gameData) {
+  async update(gameId, gameData, options = {}) {
     try {
       if (!this.isInitialized()) {
         throw new Error('Google Sheets não foi inicializado')
       }
 
-      const rowNumber = gameId
+      const { rowNumber, game: current } = await this.findRow(gameId)
+      this.assertVersion(current, options.expectedVersion)
 
-      await this.client.spreadsheets.values.update({
+      const response = await this.client.spreadsheets.values.update({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A${rowNumber}:I${rowNumber}`,
+        range: `${this.sheetName}!A${rowNumber}:${this.lastColumn}${rowNumber}`,
         valueInputOption: 'USER_ENTERED',
+        // Retorna os valores como a planilha os formatou, para a nova versão
+        includeValuesInResponse: true,
         requestBody: {
-          values: [
-            [
-              gameData.plataforma,
-              gameData.nome,
-              gameData.dataLancamento || '',
-              gameData.genero || '',
-              gameData.status || 'Não iniciado',
-              gameData.tempo || '',
-              gameData.inicio || '',
-              gameData.fim || '',
-              gameData.nota || ''
-            ]
-          ]
+          values: [this.toRow(gameId, gameData)]
         }
       })
+      this.invalidateCache()
 
       logger.info('Jogo atualizado com sucesso', {
         id: gameId,
         nome: gameData.nome
       })
+
+      const updatedRow = response.data.updatedData?.values?.[0]
+      return this.withVersion(
+        updatedRow
+          ? this.fromRow(updatedRow)
+          : { id: gameId, ...this.toRecord(gameData) }
+      )
     } catch (error) {
       logger.error('Erro ao atualizar jogo', {
         error: error.message,
@@ -157,28 +402,63 @@ class SheetsService {
   }
 
   /**
-   * Deleta um jogo
-   * @param {number} gameId - ID do jogo (número da linha)
+   * Atualiza vários jogos em uma única chamada à API
+   * Se algum jogo não existir, nada é gravado (404)
+   * @param {Array<Object>} gamesData - Jogos com `id` e os dados atualizados
+   * @returns {Promise<Array>} Jogos atualizados (com nova versão)
    */
-  async delete(gameId) {
+  async updateMany(gamesData) {
     try {
       if (!this.isInitialized()) {
         throw new Error('Google Sheets não foi inicializado')
       }
 
-      // Obter todas as linhas para validar índice
-      const result = await this.client.spreadsheets.values.get({
+      const rows = new Map(
+        (await this.readRows()).map(({ rowNumber, game }) => [
+          game.id,
+          rowNumber
+        ])
+      )
+      if (gamesData.some(({ id }) => !rows.has(id))) {
+        throw new HttpError(404, 'Jogo não encontrado')
+      }
+
+      await this.client.spreadsheets.values.batchUpdate({
         spreadsheetId: this.spreadsheetId,
-        range: this.dataRange
+        requestBody: {
+          valueInputOption: 'USER_ENTERED',
+          data: gamesData.map(({ id, ...gameData }) => ({
+            range: `${this.sheetName}!A${rows.get(id)}:${this.lastColumn}${rows.get(id)}`,
+            values: [this.toRow(id, gameData)]
+          }))
+        }
       })
+      this.invalidateCache()
 
-      const rows = result.data.values || []
-      const rowIndex = gameId - 2
+      logger.info('Jogos atualizados em lote', { count: gamesData.length })
+      return gamesData.map(({ id, ...gameData }) =>
+        this.withVersion({ id, ...this.toRecord(gameData) })
+      )
+    } catch (error) {
+      logger.error('Erro ao atualizar jogos em lote', { error: error.message })
+      throw error
+    }
+  }
 
-      if (rowIndex < 0 || rowIndex >= rows.length) {
-        throw new Error('Jogo não encontrado')
+  /**
+   * Deleta um jogo
+   * @param {string} gameId - ID do jogo
+   * @param {Object} options - `expectedVersion`: versão conhecida pelo cliente
+   */
+  async delete(gameId, options = {}) {
+    try {
+      if (!this.isInitialized()) {
+        throw new Error('Google Sheets não foi inicializado')
       }
 
+      const { rowNumber, game: current } = await this.findRow(gameId)
+      this.assertVersion(current, options.expectedVersion)
+
       // Obter informações da planilha
       const spreadsheet = await this.client.spreadsheets.get({
         spreadsheetId: this.spreadsheetId
@@ -204,14 +484,15 @@ class SheetsService {
                 range: {
                   sheetId: sheetId,
                   dimension: 'ROWS',
-                  startIndex: gameId - 1,
-                  endIndex: gameId
+                  startIndex: rowNumber - 1,
+                  endIndex: rowNumber
                 }
               }
             }
           ]
         }
       })
+      this.invalidateCache()
 
       logger.info('Jogo deletado com sucesso', { id: gameId })
     } catch (error) {
@@ -224,42 +505,23 @@ class SheetsService {
   }
 
   /**
-   * Exporta todos os jogos como CSV
+   * Cria um store de registros auxiliares (SheetsRecordStore)
+   * @param {string} name - Nome da aba
+   * @param {Array<string>} columns - Campos dos registros
    */
-  async exportAsCSV() {
-    try {
-      if (!this.isInitialized()) {
-        throw new Error('Google Sheets não foi inicializado')
-      }
-
-      const result = await this.client.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A1:I`
-      })
-
-      const rows = result.data.values || []
-      const csvRows = rows.map(row => {
-        return row
-          .map(cell => {
-            const cellStr = String(cell || '')
-            if (
-              cellStr.includes(',') ||
-              cellStr.includes('\n') ||
-              cellStr.includes('"')
-            ) {
-              return `"${cellStr.replace(/"/g, '""')}"`
-            }
-            return cellStr
-          })
-          .join(',')
-      })
+  createStore(name, columns) {
+    return new SheetsRecordStore(this, name, columns)
+  }
 
-      logger.info('Dados exportados como CSV', { rows: csvRows.length })
-      return csvRows.join('\n')
-    } catch (error) {
-      logger.error('Erro ao exportar jogos', { error: error.message })
-      throw error
-    }
+  /**
+   * Cria outra lista de jogos (SheetsService) em uma aba da mesma planilha,
+   * com o mesmo cliente da API
+   * @param {string} name - Nome da aba
+   */
+  createList(name) {
+    const list = new SheetsService(this.auth, this.spreadsheetId, name)
+    list.client = this.client
+    return list
   }
 }
 
@@ -0,0 +1,94 @@
+const { logger } = require('../middleware/auth')
+const RecordStore = require('./recordStore')
+
+/**
+ * Registros auxiliares guardados em uma tabela própria do banco SQLite
+ */
+class SqliteRecordStore extends RecordStore {
+  /**
+   * Cria a tabela (e colunas novas) se necessário
+   * @param {Database} db - Conexão do SqliteService
+   * @param {string} name - Nome da tabela (ex.: "sessoes")
+   * @param {Array<string>} columns - Campos dos registros
+   */
+  constructor(db, name, columns) {
+    super(name, columns)
+    this.db = db
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY)`)
+    const existing = this.db
+      .prepare(`PRAGMA table_info(${name})`)
+      .all()
+      .map(column => column.name)
+    const missing = this.columns.filter(column => !existing.includes(column))
+    missing.forEach(column => {
+      this.db.exec(
+        `ALTER TABLE ${name} ADD COLUMN ${column} TEXT NOT NULL DEFAULT ''`
+      )
+    })
+
+    if (missing.length > 0) {
+      logger.info('Colunas adicionadas ao banco', {
+        table: name,
+        columns: missing
+      })
+    }
+  }
+
+  async getAll() {
+    return this.db.prepare(`SELECT * FROM ${this.name} ORDER BY rowid`).all()
+  }
+
+  async add(data) {
+    const record = { id: this.generateId(), ...this.toRecord(data) }
+    this.db
+      .prepare(
+        `INSERT INTO ${this.name} (${this.columns.join(', ')})
+         VALUES (${this.columns.map(column => `@${column}`).join(', ')})`
+      )
+      .run(
+        Object.fromEntries(
+          Object.entries(record).map(([key, value]) => [key, String(value)])
+        )
+      )
+    return record
+  }
+
+  async update(id, data) {
+    const changes = this.pickColumns(data)
+    const columns = Object.keys(changes)
+    if (columns.length > 0) {
+      this.db
+        .prepare(
+          `UPDATE ${this.name}
+           SET ${columns.map(column => `${column} = @${column}`).join(', ')}
+           WHERE id = @id`
+        )
+        .run({
+          ...Object.fromEntries(
+            columns.map(column => [column, String(changes[column])])
+          ),
+          id
+        })
+    }
+    return (
+      this.db.prepare(`SELECT * FROM ${this.name} WHERE id = ?`).get(id) || null
+    )
+  }
+
+  async delete(id) {
+    const result = this.db
+      .prepare(`DELETE FROM ${this.name} WHERE id = ?`)
+      .run(id)
+    return result.changes > 0
+  }
+
+  async deleteWhere(predicate) {
+    const ids = (await this.getAll()).filter(predicate).map(record => record.id)
+    const remove = this.db.prepare(`DELETE FROM ${this.name} WHERE id = ?`)
+    this.db.transaction(() => ids.forEach(id => remove.run(id)))()
+    return ids.length
+  }
+}
+
+module.exports = SqliteRecordStore
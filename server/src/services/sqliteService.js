@@ -0,0 +1,329 @@
+const fs = require('fs')
+const path = require('path')
+const Database = require('better-sqlite3')
+const { logger } = require('../middleware/auth')
+const constants = require('../config/constants')
+const HttpError = require('../utils/httpError')
+const GameRepository = require('./gameRepository')
+const SqliteRecordStore = require('./sqliteRecordStore')
+
+/**
+ * Armazenamento de jogos em um arquivo SQLite local
+ * Útil para desenvolvimento e testes sem credenciais Google
+ */
+class SqliteService extends GameRepository {
+  /**
+   * Construtor do SqliteService
+   * @param {string} filename - Caminho do arquivo do banco (ou ':memory:')
+   * @param {Object} options - `table`: tabela dos jogos; `db`: conexão já
+   * aberta (listas criadas por `createList()` compartilham a do catálogo)
+   */
+  constructor(filename = constants.SQLITE_FILE, { table = 'jogos', db } = {}) {
+    super()
+
+    if (!db && filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true })
+    }
+
+    this.filename = filename
+    this.table = table
+    this.db = db || new Database(filename)
+    if (!db) this.db.pragma('journal_mode = WAL')
+    this.migrateIntegerIds()
+    this.createTable(this.table)
+    this.addMissingColumns()
+
+    logger.info('SqliteService inicializado', { filename, table })
+  }
+
+  /**
+   * Cria a tabela de jogos (ID persistente em texto/UUID)
+   * @param {string} table - Nome da tabela
+   */
+  createTable(table) {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id TEXT PRIMARY KEY,
+        ${constants.GAME_FIELDS.map(field => `${field} TEXT NOT NULL DEFAULT ''`).join(',\n        ')}
+      )
+    `)
+  }
+
+  /**
+   * Nomes das colunas existentes em uma tabela
+   * @param {string} table - Nome da tabela
+   */
+  tableColumns(table) {
+    return this.db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map(column => column.name)
+  }
+
+  /**
+   * Adiciona colunas para campos novos em bancos criados antes deles
+   */
+  addMissingColumns() {
+    const existing = this.tableColumns(this.table)
+    const missing = constants.GAME_FIELDS.filter(
+      field => !existing.includes(field)
+    )
+
+    missing.forEach(field => {
+      this.db.exec(
+        `ALTER TABLE ${this.table} ADD COLUMN ${field} TEXT NOT NULL DEFAULT ''`
+      )
+    })
+
+    if (missing.length > 0) {
+      logger.info('Colunas adicionadas ao banco', { columns: missing })
+    }
+  }
+
+  /**
+   * Migra bancos antigos com IDs inteiros para UUIDs
+   */
+  migrateIntegerIds() {
+    const idColumn = this.db
+      .prepare(`PRAGMA table_info(${this.table})`)
+      .all()
+      .find(column => column.name === 'id')
+
+    if (!idColumn || idColumn.type !== 'INTEGER') {
+      return
+    }
+
+    // Apenas as colunas que o banco antigo já tinha
+    const fields = this.tableColumns(this.table)
+      .filter(column => column !== 'id')
+      .join(', ')
+    this.db.transaction(() => {
+      this.db.exec(`ALTER TABLE ${this.table} RENAME TO ${this.table}_antigo`)
+      this.createTable(this.table)
+
+      const insert = this.db.prepare(
+        `INSERT INTO ${this.table} (id, ${fields})
+         SELECT @uuid, ${fields} FROM ${this.table}_antigo WHERE id = @id`
+      )
+      const rows = this.db.prepare(`SELECT id FROM ${this.table}_antigo`).all()
+      rows.forEach(({ id }) => insert.run({ id, uuid: this.generateId() }))
+
+      this.db.exec(`DROP TABLE ${this.table}_antigo`)
+      logger.info('IDs gerados para jogos existentes', { count: rows.length })
+    })()
+  }
+
+  /**
+   * Obtém todos os jogos
+   */
+  async getAll() {
+    try {
+      const games = this.db
+        .prepare(`SELECT * FROM ${this.table} ORDER BY rowid`)
+        .all()
+
+      logger.info('Jogos carregados', { count: games.length })
+      return games.map(game => this.withVersion(game))
+    } catch (error) {
+      logger.error('Erro ao carregar jogos', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Adiciona um novo jogo
+   * @param {Object} gameData - Dados do jogo
+   * @returns {Promise<Object>} Jogo criado (com ID)
+   */
+  async add(gameData) {
+    try {
+      const gameId = this.generateId()
+      this.insertStatement().run({ ...this.toParams(gameData), id: gameId })
+
+      logger.info('Jogo adicionado com sucesso', {
+        id: gameId,
+        nome: gameData.nome
+      })
+      return this.withVersion({ id: gameId, ...this.toRecord(gameData) })
+    } catch (error) {
+      logger.error('Erro ao adicionar jogo', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Adiciona vários jogos em uma única transação
+   * @param {Array<Object>} gamesData - Dados dos jogos
+   * @returns {Promise<Array>} Jogos criados (com ID)
+   */
+  async addMany(gamesData) {
+    try {
+      const games = gamesData.map(gameData => ({
+        id: this.generateId(),
+        ...this.toRecord(gameData)
+      }))
+
+      const insert = this.insertStatement()
+      this.db.transaction(() => {
+        games.forEach(game =>
+          insert.run({ ...this.toParams(game), id: game.id })
+        )
+      })()
+
+      logger.info('Jogos adicionados em lote', { count: games.length })
+      return games.map(game => this.withVersion(game))
+    } catch (error) {
+      logger.error('Erro ao adicionar jogos em lote', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Prepara o INSERT de um jogo (parâmetros nomeados de `toParams` + id)
+   */
+  insertStatement() {
+    const fields = ['id', ...constants.GAME_FIELDS]
+    return this.db.prepare(
+      `INSERT INTO ${this.table} (${fields.join(', ')})
+       VALUES (${fields.map(field => `@${field}`).join(', ')})`
+    )
+  }
+
+  /**
+   * Lê um jogo validando a versão esperada
+   * Deve ser chamado dentro da mesma transação da escrita
+   * @param {string} gameId - ID do jogo
+   * @param {string} expectedVersion - Versão conhecida pelo cliente
+   */
+  findForWrite(gameId, expectedVersion) {
+    const game = this.db
+      .prepare(`SELECT * FROM ${this.table} WHERE id = ?`)
+      .get(gameId)
+    if (!game) {
+      throw new HttpError(404, 'Jogo não encontrado')
+    }
+    this.assertVersion(this.withVersion(game), expectedVersion)
+    return game
+  }
+
+  /**
+   * Atualiza um jogo existente
+   * @param {string} gameId - ID do jogo
+   * @param {Object} gameData - Dados atualizados
+   * @param {Object} options - `expectedVersion`: versão conhecida pelo cliente
+   * @returns {Promise<Object>} Jogo atualizado (com nova versão)
+   */
+  async update(gameId, gameData, options = {}) {
+    try {
+      const params = { id: gameId, ...this.toParams(gameData) }
+
+      this.db.transaction(() => {
+        this.findForWrite(gameId, options.expectedVersion)
+        this.db
+          .prepare(
+            `UPDATE ${this.table}
+             SET ${constants.GAME_FIELDS.map(field => `${field} = @${field}`).join(', ')}
+             WHERE id = @id`
+          )
+          .run(params)
+      })()
+
+      logger.info('Jogo atualizado com sucesso', {
+        id: gameId,
+        nome: gameData.nome
+      })
+      return this.withVersion(params)
+    } catch (error) {
+      logger.error('Erro ao atualizar jogo', {
+        error: error.message,
+        id: gameId
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Atualiza vários jogos em uma única transação
+   * Se algum jogo não existir, nada é gravado (404)
+   * @param {Array<Object>} gamesData - Jogos com `id` e os dados atualizados
+   * @returns {Promise<Array>} Jogos atualizados (com nova versão)
+   */
+  async updateMany(gamesData) {
+    try {
+      const games = gamesData.map(({ id, ...gameData }) => ({
+        id,
+        ...this.toParams(gameData)
+      }))
+
+      const update = this.db.prepare(
+        `UPDATE ${this.table}
+         SET ${constants.GAME_FIELDS.map(field => `${field} = @${field}`).join(', ')}
+         WHERE id = @id`
+      )
+      this.db.transaction(() => {
+        games.forEach(game => {
+          this.findForWrite(game.id)
+          update.run(game)
+        })
+      })()
+
+      logger.info('Jogos atualizados em lote', { count: games.length })
+      return games.map(game => this.withVersion(game))
+    } catch (error) {
+      logger.error('Erro ao atualizar jogos em lote', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Deleta um jogo
+   * @param {string} gameId - ID do jogo
+   * @param {Object} options - `expectedVersion`: versão conhecida pelo cliente
+   */
+  async delete(gameId, options = {}) {
+    try {
+      this.db.transaction(() => {
+        this.findForWrite(gameId, options.expectedVersion)
+        this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(gameId)
+      })()
+
+      logger.info('Jogo deletado com sucesso', { id: gameId })
+    } catch (error) {
+      logger.error('Erro ao deletar jogo', {
+        error: error.message,
+        id: gameId
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Converte os dados do jogo em parâmetros nomeados (todos texto)
+   * @param {Object} gameData - Dados do jogo
+   */
+  toParams(gameData) {
+    const record = this.toRecord(gameData)
+    return Object.fromEntries(
+      constants.GAME_FIELDS.map(field => [field, String(record[field] ?? '')])
+    )
+  }
+
+  /**
+   * Cria um store de registros auxiliares (SqliteRecordStore)
+   * @param {string} name - Nome da tabela
+   * @param {Array<string>} columns - Campos dos registros
+   */
+  createStore(name, columns) {
+    return new SqliteRecordStore(this.db, name, columns)
+  }
+
+  /**
+   * Cria outra lista de jogos (SqliteService) em uma tabela do mesmo banco
+   * @param {string} name - Nome da tabela
+   */
+  createList(name) {
+    return new SqliteService(this.filename, { table: name, db: this.db })
+  }
+}
+
+module.exports = SqliteService
@@ -0,0 +1,84 @@
+const STATUS_RULES = require('../config/statusRules')
+const HttpError = require('../utils/httpError')
+const { today, checkGameDates } = require('../utils/gameDates')
+
+/**
+ * Fluxo de status dos jogos: transições permitidas, datas preenchidas
+ * automaticamente e coerência entre status e datas (config/statusRules)
+ */
+class StatusWorkflow {
+  /**
+   * @param {Object} rules - transitions, dateStamps e forbiddenDates
+   */
+  constructor(rules = STATUS_RULES) {
+    this.rules = rules
+  }
+
+  /**
+   * Status para os quais um jogo pode mudar (inclui o atual)
+   * @param {string} from - Status atual
+   * @returns {Array<string>}
+   */
+  allowedFrom(from) {
+    return [from, ...(this.rules.transitions[from] || [])]
+  }
+
+  /**
+   * Garante que a mudança de status é permitida
+   * @param {string} from - Status atual
+   * @param {string} to - Novo status
+   * @throws {HttpError} 400 com os status permitidos
+   */
+  assertTransition(from, to) {
+    const allowed = this.allowedFrom(from)
+    if (!allowed.includes(to)) {
+      throw new HttpError(
+        400,
+        `Não é possível mudar o status de "${from}" para "${to}"`,
+        { allowed }
+      )
+    }
+  }
+
+  /**
+   * Aplica as regras a um jogo novo (current = null) ou alterado
+   * Preenche as datas vazias do novo status e valida as datas resultantes
+   * @param {Object|null} current - Jogo atual
+   * @param {Object} gameData - Dados recebidos
+   * @param {Object} options - `date`: dia usado nas datas automáticas
+   * @returns {Object} Dados com as datas preenchidas
+   * @throws {HttpError} 400 se a transição ou as datas forem inválidas
+   */
+  apply(current, gameData, { date = today() } = {}) {
+    const status = gameData.status || 'Não iniciado'
+    const data = { ...gameData, status }
+
+    if (current && current.status !== status) {
+      this.assertTransition(current.status, status)
+    }
+
+    // Ao criar ou ao entrar no status, preenche as datas vazias
+    if (!current || current.status !== status) {
+      const stamps = this.rules.dateStamps[status] || []
+      stamps.forEach(field => {
+        if (!data[field]) data[field] = date
+      })
+    }
+
+    const errors = checkGameDates(data, this.rules)
+    if (errors.length > 0) {
+      throw new HttpError(400, 'Dados inválidos', { errors })
+    }
+
+    return data
+  }
+
+  /**
+   * Regras expostas ao cliente (GET /games/status-rules)
+   */
+  toJSON() {
+    return this.rules
+  }
+}
+
+module.exports = StatusWorkflow
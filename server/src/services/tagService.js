@@ -0,0 +1,93 @@
+const { logger } = require('../middleware/auth')
+const HttpError = require('../utils/httpError')
+const { parseTags, formatTags, sameTag } = require('../utils/tags')
+
+/**
+ * Tags dos jogos (campo `tags`, separado por vírgula)
+ * Renomear ou remover uma tag altera todos os jogos que a usam
+ */
+class TagService {
+  /**
+   * @param {GameRepository} gameRepository - Repositório dos jogos
+   */
+  constructor(gameRepository) {
+    this.gameRepository = gameRepository
+  }
+
+  /**
+   * Tags em uso, em ordem alfabética, com a quantidade de jogos
+   * @returns {Promise<{tags: Array<{nome: string, total: number}>}>}
+   */
+  async list() {
+    const games = await this.gameRepository.getAll()
+    const counts = new Map()
+    games.forEach(game => {
+      parseTags(game.tags).forEach(tag => {
+        const key = [...counts.keys()].find(name => sameTag(name, tag)) ?? tag
+        counts.set(key, (counts.get(key) || 0) + 1)
+      })
+    })
+
+    const tags = [...counts]
+      .map(([nome, total]) => ({ nome, total }))
+      .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'))
+    return { tags }
+  }
+
+  /**
+   * Renomeia uma tag em todos os jogos (junta com a nova, se já existir)
+   * @param {string} from - Tag atual (404 se nenhum jogo a usa)
+   * @param {string} to - Novo nome
+   * @returns {Promise<{nome: string, total: number}>}
+   */
+  async rename(from, to) {
+    const total = await this.replace(from, tags =>
+      tags.map(tag => (sameTag(tag, from) ? to.trim() : tag))
+    )
+    logger.info('Tag renomeada', { from, to, total })
+    return { nome: to.trim(), total }
+  }
+
+  /**
+   * Remove uma tag de todos os jogos
+   * @param {string} tag - Tag (404 se nenhum jogo a usa)
+   * @returns {Promise<number>} Quantidade de jogos alterados
+   */
+  async remove(tag) {
+    const total = await this.replace(tag, tags =>
+      tags.filter(name => !sameTag(name, tag))
+    )
+    logger.info('Tag removida', { tag, total })
+    return total
+  }
+
+  /**
+   * Reescreve as tags dos jogos que usam `tag`
+   * @param {string} tag - Tag procurada
+   * @param {Function} change - Recebe a lista de tags e retorna a nova
+   * @returns {Promise<number>} Quantidade de jogos alterados
+   */
+  async replace(tag, change) {
+    try {
+      const games = (await this.gameRepository.getAll()).filter(game =>
+        parseTags(game.tags).some(name => sameTag(name, tag))
+      )
+      if (games.length === 0) {
+        throw new HttpError(404, 'Tag não encontrada')
+      }
+
+      for (const game of games) {
+        await this.gameRepository.update(game.id, {
+          ...game,
+          tags: formatTags(change(parseTags(game.tags)))
+        })
+      }
+      return games.length
+    } catch (error) {
+      logger.error('Erro ao alterar tag', { tag, error: error.message })
+      throw error
+    }
+  }
+}
+
+module.exports = TagService
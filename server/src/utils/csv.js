@@ -0,0 +1,80 @@
+/**
+ * Escapa uma célula para CSV
+ * Envolve em aspas se contém vírgula, quebra de linha ou aspas
+ * @param {*} cell - Valor da célula
+ * @returns {string}
+ */
+const escapeCell = cell => {
+  const cellStr = String(cell ?? '')
+  if (
+    cellStr.includes(',') ||
+    cellStr.includes('\n') ||
+    cellStr.includes('"')
+  ) {
+    return `"${cellStr.replace(/"/g, '""')}"`
+  }
+  return cellStr
+}
+
+/**
+ * Converte uma matriz de valores em CSV
+ * @param {Array<Array>} rows - Linhas (incluindo cabeçalho, se houver)
+ * @returns {string}
+ */
+const toCSV = rows => rows.map(row => row.map(escapeCell).join(',')).join('\n')
+
+/**
+ * Converte texto CSV em matriz de valores
+ * Aceita BOM, quebras de linha CRLF e células entre aspas (com vírgulas,
+ * quebras de linha e aspas duplicadas); linhas vazias são ignoradas
+ * @param {string} text - Conteúdo CSV
+ * @returns {Array<Array<string>>}
+ */
+const parseCSV = text => {
+  const input = String(text ?? '').replace(/^\ufeff/, '')
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''))
+}
+
+module.exports = {
+  escapeCell,
+  toCSV,
+  parseCSV
+}
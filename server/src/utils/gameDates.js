@@ -0,0 +1,56 @@
+const constants = require('../config/constants')
+const STATUS_RULES = require('../config/statusRules')
+
+/**
+ * Rótulo de um campo do jogo (o mesmo do CSV)
+ * @param {string} field
+ */
+const labelOf = field =>
+  constants.GAME_HEADERS[constants.GAME_FIELDS.indexOf(field)]
+
+/**
+ * Data de hoje no fuso do servidor (AAAA-MM-DD)
+ * `toISOString()` daria a data em UTC, que à noite no Brasil já é o dia
+ * seguinte
+ * @param {Date} date - Momento (padrão: agora)
+ * @returns {string}
+ */
+const today = (date = new Date()) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-')
+
+/**
+ * Verifica a coerência das datas do jogo com o status
+ * - `fim` não pode ser anterior a `inicio`
+ * - o status não pode ter as datas de `forbiddenDates`
+ * @param {Object} game - Dados do jogo (datas em ISO)
+ * @param {Object} rules - Regras de status (padrão: config/statusRules)
+ * @returns {Array<string>} Mensagens de erro (vazio se válido)
+ */
+const checkGameDates = (game, rules = STATUS_RULES) => {
+  const errors = []
+  const inicio = String(game.inicio || '').slice(0, 10)
+  const fim = String(game.fim || '').slice(0, 10)
+
+  if (inicio && fim && fim < inicio) {
+    errors.push('A data de fim não pode ser anterior à de início')
+  }
+
+  const forbidden = rules.forbiddenDates[game.status] || []
+  forbidden
+    .filter(field => game[field])
+    .forEach(field => {
+      errors.push(
+        `Um jogo "${game.status}" não pode ter data de ${labelOf(
+          field
+        ).toLowerCase()}`
+      )
+    })
+
+  return errors
+}
+
+module.exports = { today, checkGameDates }
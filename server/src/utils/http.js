@@ -0,0 +1,44 @@
+/**
+ * Extrai a versão esperada do header If-Match
+ * Aceita ETags fortes ou fracos ("abc", W/"abc") e "*"
+ * @param {string} header - Valor do header
+ * @returns {string|undefined}
+ */
+const parseIfMatch = header => {
+  if (!header) return undefined
+  return header
+    .trim()
+    .replace(/^W\//, '')
+    .replace(/^"(.*)"$/, '$1')
+}
+
+/**
+ * Define o header ETag com a versão do jogo
+ */
+const setETag = (res, game) => res.set('ETag', `"${game.version}"`)
+
+/**
+ * Monta os links de paginação preservando os demais parâmetros
+ * @param {Request} req - Requisição (com query já validada)
+ * @param {Object} result - Resultado de `query()`
+ */
+const buildPageLinks = (req, result) => {
+  const linkTo = page => {
+    const params = new URLSearchParams()
+    Object.entries({ ...req.query, page }).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') params.set(key, value)
+    })
+    const path = req.path === '/' ? '' : req.path
+    return `${req.baseUrl}${path}?${params}`
+  }
+
+  return {
+    self: linkTo(result.page),
+    first: linkTo(1),
+    prev: result.page > 1 ? linkTo(result.page - 1) : null,
+    next: result.page < result.totalPages ? linkTo(result.page + 1) : null,
+    last: linkTo(result.totalPages)
+  }
+}
+
+module.exports = { parseIfMatch, setETag, buildPageLinks }
@@ -0,0 +1,19 @@
+/**
+ * Erro HTTP com status code associado
+ * Tratado pelo errorHandler, que usa `statusCode` na resposta
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - Status HTTP da resposta
+   * @param {string} message - Mensagem exibida ao cliente
+   * @param {Object} details - Dados extras incluídos na resposta (opcional)
+   */
+  constructor(statusCode, message, details) {
+    super(message)
+    this.name = 'HttpError'
+    this.statusCode = statusCode
+    this.details = details
+  }
+}
+
+module.exports = HttpError
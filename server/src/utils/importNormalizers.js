@@ -0,0 +1,199 @@
+const { normalizeText } = require('./text')
+const { formatPlaytime } = require('./playtime')
+
+// Nomes de status usados por outros rastreadores (já normalizados)
+const STATUS_ALIASES = {
+  'Não iniciado': [
+    'nao iniciado',
+    'backlog',
+    'not started',
+    'unplayed',
+    'to play',
+    'want to play',
+    'plan to play',
+    'wishlist',
+    'wish list',
+    'owned'
+  ],
+  Jogando: [
+    'jogando',
+    'playing',
+    'currently playing',
+    'now playing',
+    'in progress',
+    'started'
+  ],
+  Pausado: ['pausado', 'paused', 'on hold', 'on-hold', 'shelved'],
+  Concluído: [
+    'concluido',
+    'completed',
+    'complete',
+    'beaten',
+    'finished',
+    'done',
+    'played',
+    'mastered'
+  ],
+  Dropado: ['dropado', 'dropped', 'abandoned', 'retired', 'quit', 'gave up']
+}
+
+const STATUS_BY_ALIAS = new Map(
+  Object.entries(STATUS_ALIASES).flatMap(([status, aliases]) =>
+    aliases.map(alias => [alias, status])
+  )
+)
+
+/**
+ * Separa um valor com vários itens
+ * Aceita JSON (objeto: usa as chaves; array: os itens ou seus `name`) e
+ * listas separadas por vírgula, ponto e vírgula ou barra vertical
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+const splitList = value => {
+  const text = String(value ?? '').trim()
+  if (!text) return []
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text)
+      const items = Array.isArray(parsed) ? parsed : Object.keys(parsed)
+      return items
+        .map(item => (typeof item === 'object' ? item?.name : item))
+        .filter(Boolean)
+        .map(String)
+    } catch {
+      // Não é JSON: segue como lista simples
+    }
+  }
+
+  return text
+    .split(/[,;|]/)
+    .map(item => item.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Converte o status de outro rastreador em um dos GAME_STATUSES
+ * Em listas (ex.: várias estantes), vale o primeiro item reconhecido
+ * @param {string} value
+ * @returns {string|null} Status ou null se não reconhecido
+ */
+const normalizeStatus = value => {
+  for (const item of splitList(value)) {
+    const status = STATUS_BY_ALIAS.get(normalizeText(item))
+    if (status) return status
+  }
+  return null
+}
+
+/**
+ * Converte uma data para AAAA-MM-DD
+ * @param {string} value - ISO, AAAA/MM/DD, AAAA-MM e AAAA (primeiro dia),
+ *   DD/MM/AAAA, MM/DD/AAAA ou texto reconhecido por `Date.parse` (ex.:
+ *   "Mar 3, 2021")
+ * @param {string} dateOrder - `dmy` ou `mdy`, para datas com barras
+ * @returns {string|null} Vazio se não houver valor; null se inválida
+ */
+const normalizeDate = (value, dateOrder = 'dmy') => {
+  const text = String(value ?? '').trim()
+  if (!text) return ''
+
+  const pad = n => String(n).padStart(2, '0')
+  const build = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day))
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null
+    }
+    return `${year}-${pad(month)}-${pad(day)}`
+  }
+
+  let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/)
+  if (match) return build(+match[1], +match[2], +match[3])
+
+  // Só o ano ("2021") ou ano e mês ("2021-03"): o `Date` os leria como
+  // meia-noite em UTC, que no fuso do Brasil ainda é o dia anterior
+  match = text.match(/^(\d{4})(?:[-/](\d{1,2}))?$/)
+  if (match) return build(+match[1], +(match[2] || 1), 1)
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/)
+  if (match) {
+    const [first, second] = [+match[1], +match[2]]
+    return dateOrder === 'mdy'
+      ? build(+match[3], first, second)
+      : build(+match[3], second, first)
+  }
+
+  const parsed = new Date(text)
+  if (isNaN(parsed.getTime())) return null
+  return build(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate())
+}
+
+/**
+ * Converte uma nota para a escala 0-10 (uma casa decimal)
+ * @param {string} value - Nota no rastreador (aceita vírgula decimal)
+ * @param {number} scale - Nota máxima do rastreador
+ * @returns {number|string|null} Vazio se não houver valor; null se inválida
+ */
+const normalizeRating = (value, scale = 10) => {
+  const text = String(value ?? '').trim()
+  if (!text) return ''
+
+  const rating = Number(text.replace(',', '.'))
+  if (isNaN(rating) || rating < 0 || rating > scale) return null
+  return Math.round((rating / scale) * 100) / 10
+}
+
+/**
+ * Converte um tempo de jogo para o formato do catálogo ("12h 30m")
+ * @param {string} value - "12h 30m", "HH:MM[:SS]" ou horas ("12", "12,5")
+ * @returns {string|null} Vazio se não houver valor; null se inválido
+ */
+const normalizePlaytime = value => {
+  const text = String(value ?? '').trim()
+  if (!text) return ''
+  if (/^(\d+h)?\s*(\d+m)?$/i.test(text)) return text
+
+  const clock = text.match(/^(\d+):(\d{1,2})(?::\d{1,2})?$/)
+  if (clock) return formatPlaytime(+clock[1] * 60 + +clock[2])
+
+  const hours = Number(text.replace(',', '.'))
+  if (isNaN(hours) || hours < 0) return null
+  return formatPlaytime(hours * 60)
+}
+
+/**
+ * Converte um preço ("R$ 59,90", "$19.99", "59.90") em número
+ * @param {string} value - Preço no rastreador (aceita vírgula decimal)
+ * @returns {number|string|null} Vazio se não houver valor; null se inválido
+ */
+const normalizePrice = value => {
+  const raw = String(value ?? '').trim()
+  if (!raw) return ''
+
+  const text = raw.replace(/[^\d.,-]/g, '')
+  if (!/\d/.test(text)) return null
+
+  // "1.299,90" (pt-BR) ou "1,299.90" (en): o último separador é o decimal,
+  // exceto quando há um só tipo de separador seguido de três dígitos
+  // ("1.299" ou "1,299" são milhares)
+  let decimal = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'))
+  const separators = new Set(text.match(/[.,]/g))
+  if (separators.size === 1 && /[.,]\d{3}$/.test(text)) decimal = -1
+  const digits =
+    decimal === -1
+      ? text.replace(/[.,]/g, '')
+      : `${text.slice(0, decimal).replace(/[.,]/g, '')}.${text.slice(decimal + 1)}`
+  const price = Number(digits)
+  if (isNaN(price) || price < 0) return null
+  return Math.round(price * 100) / 100
+}
+
+module.exports = {
+  splitList,
+  normalizeStatus,
+  normalizeDate,
+  normalizeRating,
+  normalizePlaytime,
+  normalizePrice
+}
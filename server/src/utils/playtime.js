@@ -0,0 +1,53 @@
+/**
+ * Converte um tempo de jogo ("12h 30m", "90m", "10h") em minutos
+ * @param {string} timeString - Tempo no formato aceito por gameSchema
+ * @returns {number}
+ */
+const parsePlaytimeToMinutes = timeString => {
+  if (!timeString) return 0
+  let totalMinutes = 0
+  const hoursMatch = String(timeString).match(/(\d+)h/i)
+  const minutesMatch = String(timeString).match(/(\d+)m/i)
+
+  if (hoursMatch) totalMinutes += parseInt(hoursMatch[1], 10) * 60
+  if (minutesMatch) totalMinutes += parseInt(minutesMatch[1], 10)
+
+  return totalMinutes
+}
+
+/**
+ * Formata minutos no padrão de tempo de jogo ("12h 30m", "45m", "10h")
+ * @param {number} minutes - Total de minutos
+ * @returns {string} Vazio para 0 ou valores inválidos
+ */
+const formatPlaytime = minutes => {
+  const total = Math.round(Number(minutes))
+  if (!total || total < 0) return ''
+
+  const hours = Math.floor(total / 60)
+  const rest = total % 60
+  if (!hours) return `${rest}m`
+  return rest ? `${hours}h ${rest}m` : `${hours}h`
+}
+
+/**
+ * Custo por hora jogada: preço da compra dividido pelo tempo de jogo
+ * @param {number|string} preco - Preço pago
+ * @param {string} tempo - Tempo de jogo ("12h 30m")
+ * @returns {number|string} Valor com 2 casas, ou vazio sem preço ou tempo
+ */
+const costPerHour = (preco, tempo) => {
+  const minutes = parsePlaytimeToMinutes(tempo)
+  if (preco === '' || preco === null || preco === undefined || !minutes) {
+    return ''
+  }
+  const price = Number(String(preco).replace(',', '.'))
+  if (Number.isNaN(price)) return ''
+  return Math.round((price / (minutes / 60)) * 100) / 100
+}
+
+module.exports = {
+  parsePlaytimeToMinutes,
+  formatPlaytime,
+  costPerHour
+}
@@ -0,0 +1,121 @@
+/**
+ * Fila de requisições com limite de concorrência e de taxa
+ * Usada para respeitar os limites de APIs externas (ex.: IGDB)
+ */
+class RequestQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Máximo de requisições simultâneas
+   * @param {number} options.ratePerSecond - Máximo de requisições iniciadas por segundo
+   */
+  constructor({ concurrency, ratePerSecond }) {
+    this.concurrency = concurrency
+    this.ratePerSecond = ratePerSecond
+    this.queue = []
+    this.active = 0
+    // Instantes de início das requisições do último segundo
+    this.startedAt = []
+    this.pausedUntil = 0
+    this.timer = null
+    this.stats = { processed: 0, failed: 0, paused: 0, maxDepth: 0 }
+  }
+
+  /**
+   * Agenda uma tarefa na fila
+   * @param {Function} task - Função que retorna uma Promise
+   * @returns {Promise<*>} Resultado da tarefa
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject })
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.queue.length)
+      this.pump()
+    })
+  }
+
+  /**
+   * Suspende o início de novas requisições (ex.: após um 429)
+   * @param {number} ms - Tempo de espera em milissegundos
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms)
+    this.stats.paused++
+  }
+
+  /**
+   * Inicia as tarefas que cabem nos limites atuais
+   * Se algum limite impedir, agenda uma nova tentativa
+   */
+  pump() {
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const now = Date.now()
+      this.startedAt = this.startedAt.filter(time => now - time < 1000)
+
+      let wait = this.pausedUntil - now
+      if (this.startedAt.length >= this.ratePerSecond) {
+        wait = Math.max(wait, this.startedAt[0] + 1000 - now)
+      }
+
+      if (wait > 0) {
+        this.wakeUpIn(wait)
+        return
+      }
+
+      this.start(this.queue.shift())
+    }
+  }
+
+  /**
+   * Agenda `pump()` (um único timer por vez)
+   * @param {number} ms - Atraso em milissegundos
+   */
+  wakeUpIn(ms) {
+    if (this.timer) return
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.pump()
+    }, ms)
+  }
+
+  /**
+   * Executa uma tarefa e libera a vaga ao terminar
+   * @param {{task: Function, resolve: Function, reject: Function}} item
+   */
+  start({ task, resolve, reject }) {
+    this.active++
+    this.startedAt.push(Date.now())
+
+    Promise.resolve()
+      .then(task)
+      .then(
+        result => {
+          this.stats.processed++
+          resolve(result)
+        },
+        error => {
+          this.stats.failed++
+          reject(error)
+        }
+      )
+      .finally(() => {
+        this.active--
+        this.pump()
+      })
+  }
+
+  /**
+   * Métricas da fila
+   */
+  getStats() {
+    return {
+      pending: this.queue.length,
+      active: this.active,
+      concurrency: this.concurrency,
+      ratePerSecond: this.ratePerSecond,
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now()),
+      ...this.stats
+    }
+  }
+}
+
+module.exports = RequestQueue
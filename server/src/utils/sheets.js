@@ -0,0 +1,15 @@
+/**
+ * Converte um número de coluna (1 = A) em letra(s) da planilha
+ * @param {number} index - Número da coluna
+ */
+const columnLetter = index => {
+  let letter = ''
+  while (index > 0) {
+    const remainder = (index - 1) % 26
+    letter = String.fromCharCode(65 + remainder) + letter
+    index = Math.floor((index - 1) / 26)
+  }
+  return letter
+}
+
+module.exports = { columnLetter }
@@ -0,0 +1,60 @@
+const constants = require('../config/constants')
+const { normalizeText } = require('./text')
+
+/**
+ * Separa as tags de um jogo ("couch co-op, 100%")
+ * Remove espaços extras, vazias e repetidas (sem diferenciar maiúsculas e
+ * acentos), mantendo a primeira grafia
+ * @param {string|Array<string>} value - Tags separadas por vírgula ou lista
+ * @returns {Array<string>}
+ */
+const parseTags = value => {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',')
+  const seen = new Set()
+
+  return list
+    .map(tag =>
+      String(tag ?? '')
+        .trim()
+        .replace(/\s+/g, ' ')
+    )
+    .filter(tag => {
+      const key = normalizeText(tag)
+      if (!key || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+/**
+ * Junta as tags no formato armazenado
+ * @param {string|Array<string>} value - Tags separadas por vírgula ou lista
+ * @returns {string}
+ */
+const formatTags = value => parseTags(value).join(', ')
+
+/**
+ * Verifica se duas tags são a mesma (sem diferenciar maiúsculas e acentos)
+ * @param {string} a
+ * @param {string} b
+ */
+const sameTag = (a, b) => normalizeText(a.trim()) === normalizeText(b.trim())
+
+/**
+ * Verifica os limites de tamanho e quantidade das tags de um jogo
+ * @param {string|Array<string>} value - Tags separadas por vírgula ou lista
+ * @returns {string|null} Mensagem do problema
+ */
+const checkTags = value => {
+  const tags = parseTags(value)
+  if (tags.length > constants.TAGS_MAX_PER_GAME) {
+    return `Um jogo pode ter no máximo ${constants.TAGS_MAX_PER_GAME} tags`
+  }
+  const long = tags.find(tag => tag.length > constants.TAG_MAX_LENGTH)
+  if (long) {
+    return `A tag "${long}" passa de ${constants.TAG_MAX_LENGTH} caracteres`
+  }
+  return null
+}
+
+module.exports = { parseTags, formatTags, sameTag, checkTags }
@@ -0,0 +1,11 @@
+/**
+ * Normaliza texto para busca (minúsculas, sem acentos)
+ * @param {*} value
+ */
+const normalizeText = value =>
+  String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+
+module.exports = { normalizeText }